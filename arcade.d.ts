@@ -0,0 +1,233 @@
+// arcade.d.ts - Types for window.arcade, the renderer API exposed by preload.js
+//
+// preload.js builds window.arcade from hardware-api.js and main.js - add new requests
+// and topics here too so editors know about them.
+
+type Unsubscribe = () => void;
+type Listener<T> = (callback: (data: T) => void) => Unsubscribe;
+
+interface ArcadeResult {
+    success: boolean;
+    error?: string;
+    code?: 'unknown-request' | 'invalid-argument' | 'unavailable' | 'failed';
+}
+
+interface ButtonLayout {
+    name: string;
+    description: string;
+    buttons: { number: number; color: string; position: string; group: string | null; css: string }[];
+}
+
+interface ButtonEvent {
+    button: number;
+    color: string;
+    position: string;
+    timestamp: number;
+}
+
+interface BikeReading {
+    bikeId: number;
+    revolutions: number;
+    rpm: number;
+    cadence: number | null;
+    distance: number;   // metres
+    speed: number;      // km/h
+    power: number;      // watts
+    calories: number;
+    event: string;
+    quality: { score: number; status: 'good' | 'fair' | 'poor' | 'no-signal' };
+    timestamp: number;
+    port: string;
+}
+
+interface BikeCalibration {
+    wheelCircumference?: number;
+    gearRatio?: number;
+    magnetsPerRevolution?: number;
+    riderWeight?: number;
+}
+
+interface ButtonAssignmentPress {
+    port: string;
+    serialNumber: string | null;
+    reportedButton: number | null;
+    currentButton: number | null;
+}
+
+interface Play {
+    id: string;
+    game: string;
+    player: string | null;
+    playerId: string | null;    // the PlayerProfile the play belongs to
+    score: number;
+    mode: string | null;
+    difficulty: string | null;
+    variant: string | null;     // mode and difficulty together, e.g. "4-player" or "hard"
+    classGroup: string | null;
+    duration: number | null;    // milliseconds
+    stats: Record<string, unknown> | null;
+    playedAt: string;
+}
+
+interface ScoreFilters {
+    playerId?: string;
+    period?: 'today' | 'week' | 'term' | 'month' | 'all';
+    variant?: string | null;
+    classGroup?: string | null;
+    mode?: string | null;
+    difficulty?: string | null;
+    since?: string;
+    until?: string;
+}
+
+interface PlayerProfile {
+    id: string;
+    name: string;               // upper case, from PlayerOptions.characters
+    avatar: string;
+    classGroup: string | null;
+    createdAt: string;
+    lastPlayedAt: string | null;
+}
+
+interface Arcade {
+    // Any request or topic by name - 'leds.flash', 'buttons.press'...
+    request(name: string, ...args: unknown[]): Promise<ArcadeResult & Record<string, unknown>>;
+    subscribe(topic: string, callback: (data: any) => void): Unsubscribe;
+
+    buttons: {
+        getStates(): Promise<ArcadeResult & { states?: boolean[] }>;
+        getLayout(): Promise<ArcadeResult & { layout: ButtonLayout }>;
+        listLayouts(): Promise<ArcadeResult & { layouts: ButtonLayout[] }>;
+        setLayout(nameOrLayout: string | object): Promise<ArcadeResult & { layout?: ButtonLayout }>;
+        getInputConfig(): Promise<ArcadeResult & { config: object }>;
+        setInputConfig(config: object): Promise<ArcadeResult & { config?: object }>;
+        startAssignment(): Promise<ArcadeResult & { boards?: { port: string; serialNumber: string | null; buttonNumber: number | null }[] }>;
+        setBoardLED(portPath: string, on: boolean): Promise<ArcadeResult>;
+        finishAssignment(assignments: { port: string; buttonNumber: number }[]): Promise<ArcadeResult & {
+            results?: { port: string; buttonNumber: number; persisted: boolean; confirmed: boolean }[];
+        }>;
+        cancelAssignment(): Promise<ArcadeResult>;
+        onPress: Listener<ButtonEvent>;
+        onRelease: Listener<ButtonEvent>;
+        onGesture: Listener<ButtonEvent & { gesture: 'long-press' | 'double-press' | 'hold' | 'stuck' }>;
+        onLayoutChanged: Listener<ButtonLayout>;
+        onAssignmentPress: Listener<ButtonAssignmentPress>;
+    };
+
+    leds: {
+        set(buttonNumber: number, state: boolean): Promise<ArcadeResult>;
+        setAll(state: boolean): Promise<ArcadeResult>;
+        getStates(): Promise<ArcadeResult & { ledStates?: boolean[] }>;
+        setFrame(frame: (boolean | number)[]): Promise<ArcadeResult>;
+        playFrames(frames: object[]): Promise<ArcadeResult>;
+        flash(buttonNumber: number, times?: number, duration?: number): Promise<ArcadeResult>;
+        flashAll(times?: number, duration?: number): Promise<ArcadeResult>;
+        chase(rounds?: number, speed?: number): Promise<ArcadeResult>;
+        randomSequence(count?: number, onDuration?: number, offDuration?: number, totalSequences?: number): Promise<ArcadeResult>;
+        randomFlashSequence(sequences?: number, flashDuration?: number): Promise<ArcadeResult>;
+        randomGame(rounds?: number, speed?: number): Promise<ArcadeResult>;
+        simonSays(patternLength?: number, playbackSpeed?: number): Promise<ArcadeResult & { pattern?: number[] }>;
+        randomCascade(waves?: number, waveSpeed?: number): Promise<ArcadeResult>;
+        rhythmicPattern(beats?: number, tempo?: number): Promise<ArcadeResult>;
+        playPattern(name: string, options?: object): Promise<ArcadeResult>;
+        listPatterns(): Promise<ArcadeResult & { patterns: { name: string; description: string }[] }>;
+        animations(): Promise<ArcadeResult & { animations?: object[] }>;
+        stop(idOrName: number | string): Promise<ArcadeResult>;
+        stopAll(finalState?: boolean | null): Promise<ArcadeResult & { stopped?: number }>;
+    };
+
+    bikes: {
+        getStatus(): Promise<ArcadeResult & { connected: boolean; bikeCount: number; data: BikeReading | null; bikes: BikeReading[] }>;
+        getData(bikeId?: number): Promise<ArcadeResult & { data?: BikeReading & { calibration: BikeCalibration } }>;
+        getAll(): Promise<ArcadeResult & { bikes?: BikeReading[] }>;
+        setCalibration(bikeId: number, calibration: BikeCalibration): Promise<ArcadeResult & { calibration?: BikeCalibration }>;
+        resetCounter(bikeId?: number): Promise<ArcadeResult>;
+        setGameMode(active: boolean, bikeId?: number): Promise<ArcadeResult>;
+        speedFeedback(rpm: number): Promise<ArcadeResult>;
+        test(bikeId?: number): Promise<ArcadeResult & { message?: string }>;
+        simulate(revolutions?: number, rpm?: number, bikeId?: number): Promise<ArcadeResult & { data?: object }>;
+        onStatus: Listener<{ status: 'connected' | 'disconnected'; bikeId?: number; bikeCount: number }>;
+        onData: Listener<BikeReading>;
+        onRawData: Listener<string>;
+    };
+
+    buzzer: {
+        getStatus(): Promise<ArcadeResult & { connected: boolean }>;
+        showIcon(icon: 'HAPPY' | 'SAD' | 'NO' | 'YES'): Promise<ArcadeResult>;
+        clearDisplay(): Promise<ArcadeResult>;
+        onContact: Listener<{ contact: 'buzz' | 'start-pad' | 'end-pad'; timestamp: number }>;
+        onStatus: Listener<{ status: 'connected' | 'disconnected'; port: string }>;
+    };
+
+    sensors: {
+        setRate(sensor: 'TILT' | 'COMPASS' | 'ANALOG' | 'LIGHT', hz: number, target?: number | null): Promise<ArcadeResult>;
+        stopStreams(): Promise<ArcadeResult>;
+        getData(sensor?: string | null): Promise<ArcadeResult & { readings?: object }>;
+        onData: Listener<{ sensor: string; buttonId: number | null; port: string; [value: string]: unknown }>;
+    };
+
+    devices: {
+        getStatus(): Promise<ArcadeResult & { connected: boolean; connectionCount?: number; [detail: string]: unknown }>;
+        getRegistry(): Promise<ArcadeResult & { devices?: object[] }>;
+        assignRole(serialNumber: string, role: 'button' | 'bike' | 'buzzer', number?: number | null): Promise<ArcadeResult>;
+        forget(serialNumber: string): Promise<ArcadeResult>;
+        ping(buttonNumber: number): Promise<ArcadeResult>;
+        restart(): Promise<ArcadeResult>;
+        getStats(): Promise<ArcadeResult & { devices?: object[] }>;
+        getDiagnostics(limit?: number): Promise<ArcadeResult & { diagnostics?: object[] }>;
+        openDiagnostics(): Promise<ArcadeResult>;
+        onStatus: Listener<{ status: 'connected' | 'disconnected'; message: string }>;
+        onAttached: Listener<{ port: string; deviceKey: string; deviceType: string; buttonId: number | null }>;
+        onDetached: Listener<{ port: string; deviceType: string; buttonId: number | null }>;
+        onConflict: Listener<{ port?: string; serialNumber: string | null; buttonId: number; resolution: 'reassigned' | 'rejected'; message: string }>;
+        onFirmwareOutdated: Listener<{ port: string; role: string; buttonNumber: number | null; bikeId: number | null; version: string; latest: string }>;
+    };
+
+    capture: {
+        start(name?: string): Promise<ArcadeResult & { capture?: object }>;
+        stop(): Promise<ArcadeResult & { capture?: object }>;
+        status(): Promise<ArcadeResult & { status?: object }>;
+        list(): Promise<ArcadeResult & { captures?: string[] }>;
+        replay(name: string, speed?: number): Promise<ArcadeResult & { replay?: object }>;
+        stopReplay(): Promise<ArcadeResult>;
+    };
+
+    scores: {
+        record(play: {
+            game: string; player?: string | null; playerId?: string | null; score: number; mode?: string; difficulty?: string;
+            variant?: string; classGroup?: string | null; duration?: number; stats?: object;
+        }): Promise<ArcadeResult & { play?: Play }>;
+        top(game: string, options?: ScoreFilters & { limit?: number; bestPerPlayer?: boolean }): Promise<ArcadeResult & { scores?: Play[] }>;
+        personalBest(game: string, player?: string | null, options?: ScoreFilters): Promise<ArcadeResult & { best?: Play | null }>;
+        facets(game?: string): Promise<ArcadeResult & {
+            facets?: { variants: string[]; classes: string[]; term: { name: string; start: string; end: string } };
+        }>;
+        history(options?: ScoreFilters & { game?: string; player?: string; limit?: number }): Promise<ArcadeResult & { plays?: Play[] }>;
+    };
+
+    players: {
+        list(options?: { classGroup?: string | null }): Promise<ArcadeResult & { players?: PlayerProfile[] }>;
+        options(): Promise<ArcadeResult & { avatars?: string[]; characters?: string; maxNameLength?: number }>;
+        create(profile: { name: string; avatar?: string; classGroup?: string | null }): Promise<ArcadeResult & { player?: PlayerProfile }>;
+        update(id: string, changes: { name?: string; avatar?: string; classGroup?: string | null }): Promise<ArcadeResult & { player?: PlayerProfile }>;
+        remove(id: string): Promise<ArcadeResult>;
+    };
+
+    diagnostics: {
+        getHealth(): Promise<ArcadeResult & { report?: object }>;
+        ping(portPath: string): Promise<ArcadeResult & { latency?: number }>;
+        pingAll(): Promise<ArcadeResult & { results?: (ArcadeResult & { port: string; latency?: number })[] }>;
+        flash(portPath: string): Promise<ArcadeResult>;
+        reassign(portPath: string, role: 'button' | 'bike' | 'buzzer', number?: number | null): Promise<ArcadeResult>;
+        reset(portPath: string): Promise<ArcadeResult>;
+        getFirmwareStatus(): Promise<ArcadeResult & { bundled?: object[]; drives?: object[]; boards?: object[] }>;
+        flashFirmware(role: string, drivePath: string): Promise<ArcadeResult & { version?: string; awaitingBoard?: boolean }>;
+        onUpdate: Listener<object>;
+        onFlashProgress: Listener<{ drive: string; stage: 'checking' | 'copying' | 'verifying' | 'done'; written: number; total: number; percent: number }>;
+        onFirmwareVerified: Listener<{ port: string; serialNumber: string; version: string; expected: string; success: boolean }>;
+    };
+}
+
+interface Window {
+    arcade: Arcade;
+}
@@ -0,0 +1,134 @@
+// bike-metrics.js - Turn a bike's revolutions and cadence into distance, speed, power and calories
+//
+// Each bike has a calibration stored with its device in the registry:
+//
+//   {
+//     "wheelCircumference": 2.1,    // metres - the (virtual) wheel the distance is measured on
+//     "gearRatio": 2.5,             // wheel turns per crank turn
+//     "magnetsPerRevolution": 1,    // sensor pulses per crank turn
+//     "riderWeight": 50             // kg
+//   }
+//
+// The sensor counts pulses, so revolutions and rpm are divided by magnetsPerRevolution
+// to get the crank. Distance is added up a revolution at a time, so changing the
+// calibration mid-ride doesn't rewrite the distance already covered.
+//
+// Power is what riding the same speed on a flat road would take (rolling resistance
+// plus air drag) - an estimate, but it rises with effort the way riders expect.
+// Calories are that work divided by a typical 24% muscle efficiency.
+
+const DEFAULT_CALIBRATION = {
+    wheelCircumference: 2.1,
+    gearRatio: 2.5,
+    magnetsPerRevolution: 1,
+    riderWeight: 50
+};
+
+// [min, max] for each calibration value
+const CALIBRATION_LIMITS = {
+    wheelCircumference: [0.5, 3.5],
+    gearRatio: [0.5, 6],
+    magnetsPerRevolution: [1, 8],
+    riderWeight: [15, 200]
+};
+
+const BIKE_WEIGHT = 12;         // kg, added to the rider for rolling resistance
+const ROLLING_RESISTANCE = 0.005;
+const DRAG_AREA = 0.5;          // CdA, m^2 - upright on an ordinary bike
+const AIR_DENSITY = 1.225;      // kg/m^3
+const GRAVITY = 9.81;
+const MUSCLE_EFFICIENCY = 0.24;
+const JOULES_PER_KCAL = 4184;
+const MAX_ENERGY_GAP = 5000;    // ms - longer gaps between updates don't count as riding
+
+// Check calibration values and fill in the defaults - throws with a readable message if one is unusable
+function normalizeCalibration(calibration = {}) {
+    const normalized = { ...DEFAULT_CALIBRATION };
+
+    Object.keys(CALIBRATION_LIMITS).forEach(key => {
+        if (calibration[key] === undefined || calibration[key] === null) return;
+
+        const value = Number(calibration[key]);
+        const [min, max] = CALIBRATION_LIMITS[key];
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`${key} must be between ${min} and ${max} (got ${calibration[key]})`);
+        }
+        if (key === 'magnetsPerRevolution' && !Number.isInteger(value)) {
+            throw new Error(`magnetsPerRevolution must be a whole number (got ${calibration[key]})`);
+        }
+
+        normalized[key] = value;
+    });
+
+    return normalized;
+}
+
+// Watts to hold speed (m/s) on the flat
+function estimatePower(speed, riderWeight) {
+    const rolling = ROLLING_RESISTANCE * (riderWeight + BIKE_WEIGHT) * GRAVITY * speed;
+    const drag = 0.5 * AIR_DENSITY * DRAG_AREA * Math.pow(speed, 3);
+    return rolling + drag;
+}
+
+class BikeMetrics {
+    constructor(calibration = {}) {
+        this.configure(calibration);
+        this.reset();
+    }
+
+    configure(calibration = {}) {
+        this.calibration = normalizeCalibration({ ...(this.calibration || {}), ...calibration });
+        return { ...this.calibration };
+    }
+
+    reset() {
+        this.lastPulses = 0;
+        this.lastUpdateAt = 0;
+        this.power = 0;
+        this.distance = 0;  // metres
+        this.energy = 0;    // joules of work at the pedals
+    }
+
+    // reading is a bike-signal reading (revolutions and rpm are sensor pulses)
+    update(reading, now = Date.now()) {
+        const { wheelCircumference, gearRatio, magnetsPerRevolution, riderWeight } = this.calibration;
+        const metresPerPulse = wheelCircumference * gearRatio / magnetsPerRevolution;
+
+        // Signal processor was reset - carry on counting from its new total
+        if (reading.revolutions < this.lastPulses) {
+            this.lastPulses = reading.revolutions;
+        }
+        this.distance += (reading.revolutions - this.lastPulses) * metresPerPulse;
+        this.lastPulses = reading.revolutions;
+
+        // Work done since the last update, at the power we had then
+        if (this.lastUpdateAt) {
+            const elapsed = now - this.lastUpdateAt;
+            if (elapsed > 0 && elapsed <= MAX_ENERGY_GAP) {
+                this.energy += this.power * elapsed / 1000;
+            }
+        }
+        this.lastUpdateAt = now;
+
+        const speed = reading.rpm / 60 * metresPerPulse; // m/s
+        this.power = reading.rpm > 0 ? estimatePower(speed, riderWeight) : 0;
+
+        return {
+            revolutions: Math.floor(reading.revolutions / magnetsPerRevolution),
+            rpm: Math.round(reading.rpm / magnetsPerRevolution),
+            cadence: reading.cadence === null ? null : Math.round(reading.cadence / magnetsPerRevolution),
+            distance: Math.round(this.distance * 10) / 10,                  // metres
+            speed: Math.round(speed * 3.6 * 10) / 10,                       // km/h
+            power: Math.round(this.power),                                  // watts
+            calories: Math.round(this.energy / MUSCLE_EFFICIENCY / JOULES_PER_KCAL * 10) / 10
+        };
+    }
+}
+
+module.exports = {
+    BikeMetrics,
+    DEFAULT_CALIBRATION,
+    CALIBRATION_LIMITS,
+    normalizeCalibration,
+    estimatePower
+};
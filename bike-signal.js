@@ -0,0 +1,272 @@
+// bike-signal.js - Turn raw HW-484 revolution reports into a steady cadence
+//
+// The board's own rpm figure is kept as the "raw" value only. Cadence is worked
+// out here from the gap between revolution timestamps (board clock), then:
+//   - magnet bounce: a revolution faster than maxRpm allows is a double trigger
+//     and is not counted
+//   - outliers: a cadence far from the median of the last few is dropped
+//   - smoothing: accepted cadences feed an exponential moving average
+//   - decay: with no revolution for longer than the current cadence allows, the
+//     rpm falls as 60000 / time-since-last-revolution, then to 0 after stopTimeout
+//   - dropout: a sudden silence while pedalling briskly, or a jump of several
+//     revolutions in one report, counts against the signal quality
+//
+// A bike's calibration is checked with normalizeSignalSettings before it gets here: every
+// setting must fall in SETTING_RANGES (maxRpm as crank rpm), and anything else is refused
+// rather than clamped, so a bad calibration can't spin the decay timer or turn rpm into NaN.
+
+const DEFAULT_SETTINGS = {
+    maxRpm: 220,            // anything faster is magnet bounce
+    smoothing: 0.35,        // EMA weight of the newest cadence
+    outlierRatio: 2.5,      // x or / the recent median
+    historySize: 8,
+    stopTimeout: 3000,      // ms without a revolution before the rpm is 0
+    decayInterval: 250,
+    dropoutRpm: 40,         // only a sudden stop from above this looks like a dropout
+    qualityWindow: 20
+};
+
+// [min, max] for each setting - historySize and qualityWindow count samples, so are whole numbers
+const SETTING_RANGES = {
+    maxRpm: [30, 400],
+    smoothing: [0.05, 1],
+    outlierRatio: [1.2, 10],
+    historySize: [3, 50],
+    stopTimeout: [500, 30000],
+    decayInterval: [50, 2000],
+    dropoutRpm: [0, 200],
+    qualityWindow: [5, 200]
+};
+const WHOLE_NUMBER_SETTINGS = ['historySize', 'qualityWindow'];
+
+// Check signal settings from a calibration - throws on an unknown key or a value out of range
+function normalizeSignalSettings(settings) {
+    Object.entries(settings).forEach(([key, value]) => {
+        const range = SETTING_RANGES[key];
+        if (!range) {
+            throw new Error(`Unknown bike setting "${key}"`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+            throw new Error(`${key} must be a number from ${range[0]} to ${range[1]} (got ${typeof value === 'string' ? JSON.stringify(value) : String(value)})`);
+        }
+        if (WHOLE_NUMBER_SETTINGS.includes(key) && !Number.isInteger(value)) {
+            throw new Error(`${key} must be a whole number (got ${value})`);
+        }
+    });
+    return { ...settings };
+}
+
+class BikeSignalProcessor {
+    constructor(onDecay, options = {}) {
+        // onDecay(reading) is called as the rpm falls between revolutions
+        this.onDecay = onDecay;
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.configure(options);
+        this.decayTimer = null;
+        this.reset();
+    }
+
+    // Only the keys in DEFAULT_SETTINGS are taken - a bike's calibration can be passed as is
+    configure(options = {}) {
+        Object.keys(DEFAULT_SETTINGS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.settings[key] = options[key];
+            }
+        });
+        return { ...this.settings };
+    }
+
+    reset() {
+        this.stopDecay();
+
+        this.lastRaw = null;            // last report as the board sent it
+        this.stopped = false;           // link lost since lastRaw - see stop()
+        this.lastRevolutionTime = null; // board clock of the last accepted revolution
+        this.lastRevolutionAt = 0;      // our clock of the same
+        this.revolutions = 0;           // accepted revolutions (bounces taken out)
+        this.rpm = 0;
+        this.history = [];              // recent accepted instant cadences
+        this.events = [];               // recent samples: 'ok', 'bounce', 'outlier', 'dropout'
+        this.dropoutPending = false;
+
+        this.counts = { samples: 0, bounces: 0, outliers: 0, dropouts: 0 };
+    }
+
+    // sample is { revolutions, rpm, timestamp } straight from the parser. Returns a reading.
+    addSample(sample, now = Date.now()) {
+        const previous = this.lastRaw;
+        const resuming = this.stopped;
+        this.lastRaw = sample;
+        this.stopped = false;
+        this.counts.samples++;
+
+        // First report, or the board's counter was reset - it's still a revolution,
+        // but there is nothing to time it against yet
+        if (!previous || sample.revolutions < previous.revolutions) {
+            if (sample.revolutions > 0) {
+                this.revolutions++;
+            }
+            this.lastRevolutionTime = sample.timestamp;
+            this.lastRevolutionAt = now;
+            return this.reading('start');
+        }
+
+        const newRevolutions = sample.revolutions - previous.revolutions;
+
+        // First report since the link came back - the board kept counting while it was
+        // gone, but the gap is too long to time a cadence from
+        if (resuming) {
+            this.revolutions += newRevolutions;
+            this.lastRevolutionTime = sample.timestamp;
+            this.lastRevolutionAt = now;
+            return this.reading('start');
+        }
+
+        if (newRevolutions === 0) {
+            return this.reading('repeat');
+        }
+
+        // Board clock went backwards (rebooted) - fall back to ours
+        let elapsed = sample.timestamp - this.lastRevolutionTime;
+        if (!(elapsed > 0)) {
+            elapsed = now - this.lastRevolutionAt;
+        }
+
+        const cadence = 60000 * newRevolutions / elapsed;
+
+        if (cadence > this.settings.maxRpm) {
+            // Bounce - keep timing from the real revolution before it
+            this.counts.bounces++;
+            this.note('bounce');
+            return this.reading('bounce');
+        }
+
+        // Several revolutions in one report: the board counted them but we lost the lines
+        if (newRevolutions > 1 || this.dropoutPending) {
+            this.counts.dropouts++;
+            this.note('dropout');
+        }
+        this.dropoutPending = false;
+
+        this.revolutions += newRevolutions;
+        this.lastRevolutionTime = sample.timestamp;
+        this.lastRevolutionAt = now;
+
+        // Long pause - starting again from rest, so old cadences mean nothing
+        if (elapsed > this.settings.stopTimeout) {
+            this.history = [];
+            this.rpm = 0;
+        }
+
+        if (this.isOutlier(cadence)) {
+            this.counts.outliers++;
+            this.note('outlier');
+            return this.reading('outlier');
+        }
+
+        this.history.push(cadence);
+        if (this.history.length > this.settings.historySize) {
+            this.history.shift();
+        }
+
+        this.rpm = this.rpm === 0
+            ? cadence
+            : this.rpm + this.settings.smoothing * (cadence - this.rpm);
+        this.note('ok');
+        this.startDecay();
+
+        return this.reading('revolution', cadence);
+    }
+
+    isOutlier(cadence) {
+        if (this.history.length < 3) return false;
+
+        const sorted = [...this.history].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        return cadence > median * this.settings.outlierRatio || cadence < median / this.settings.outlierRatio;
+    }
+
+    note(event) {
+        this.events.push(event);
+        if (this.events.length > this.settings.qualityWindow) {
+            this.events.shift();
+        }
+    }
+
+    startDecay() {
+        if (this.decayTimer) return;
+        this.decayTimer = setInterval(() => this.decay(), this.settings.decayInterval);
+    }
+
+    stopDecay() {
+        clearInterval(this.decayTimer);
+        this.decayTimer = null;
+    }
+
+    decay(now = Date.now()) {
+        const sinceRevolution = now - this.lastRevolutionAt;
+        let rpm = this.rpm;
+
+        if (sinceRevolution >= this.settings.stopTimeout) {
+            if (this.rpm >= this.settings.dropoutRpm) {
+                // Brisk pedalling doesn't stop dead - probably the sensor or the cable
+                this.dropoutPending = true;
+            }
+            rpm = 0;
+        } else {
+            // Can't be pedalling faster than one revolution in the time since the last
+            rpm = Math.min(this.rpm, 60000 / sinceRevolution);
+        }
+
+        if (rpm === this.rpm) return;
+
+        this.rpm = rpm;
+        if (rpm === 0) {
+            this.stopDecay();
+        }
+        if (this.onDecay) {
+            this.onDecay(this.reading('decay'));
+        }
+    }
+
+    // Board gone - zero the rpm but keep the totals. The board's count is kept too, so
+    // what it counted while unplugged is added on reconnect unless its counter reset.
+    stop() {
+        this.stopDecay();
+        this.stopped = true;
+        this.history = [];
+        this.rpm = 0;
+        this.dropoutPending = false;
+    }
+
+    // 0-1 from the share of recent samples that were clean, plus a label
+    getQuality() {
+        if (!this.lastRaw || this.stopped) {
+            return { score: 0, status: 'no-signal', ...this.counts };
+        }
+
+        const clean = this.events.filter(event => event === 'ok').length;
+        const score = this.events.length ? clean / this.events.length : 1;
+        const status = score >= 0.8 ? 'good' : score >= 0.5 ? 'fair' : 'poor';
+
+        return { score: Math.round(score * 100) / 100, status, ...this.counts };
+    }
+
+    reading(event, cadence = null) {
+        return {
+            event,
+            revolutions: this.revolutions,
+            rpm: Math.round(this.rpm),
+            cadence: cadence === null ? null : Math.round(cadence),
+            raw: this.lastRaw ? { ...this.lastRaw } : null,
+            quality: this.getQuality()
+        };
+    }
+}
+
+module.exports = {
+    BikeSignalProcessor,
+    DEFAULT_SETTINGS,
+    SETTING_RANGES,
+    normalizeSignalSettings
+};
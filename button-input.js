@@ -0,0 +1,249 @@
+// button-input.js - Debounce raw button edges and turn them into gestures
+//
+// The firmware reports every PRESSED / RELEASED edge it sees, contact bounce
+// included. Each button's edges only count once the state has stayed put for
+// `debounceTime` ms; anything faster is chatter and is dropped. Accepted edges
+// come out as 'press' / 'release', plus the gestures built on top of them:
+//
+//   long-press    - held for longPressTime (fires once, while still held)
+//   hold          - every holdInterval after that, with the duration so far
+//   double-press  - a second press within doublePressWindow of the last release
+//   stuck         - held for stuckTime; no more hold events until it lets go
+//
+// Settings can be overridden per button: { debounceTime: 30, buttons: { 3: { debounceTime: 60 } } }
+// Every setting is in ms and must fall in SETTING_RANGES - a config that doesn't is
+// refused whole, so a typo from the renderer can't flood it with hold events.
+
+const DEFAULT_SETTINGS = {
+    debounceTime: 30,
+    longPressTime: 800,
+    holdInterval: 250,
+    doublePressWindow: 300,
+    stuckTime: 15000
+};
+
+const SETTING_RANGES = {
+    debounceTime: [0, 500],
+    longPressTime: [100, 10000],
+    holdInterval: [50, 10000],
+    doublePressWindow: [50, 2000],
+    stuckTime: [1000, 600000]
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkSettings(settings, where) {
+    Object.entries(settings).forEach(([key, value]) => {
+        const range = SETTING_RANGES[key];
+        if (!range) {
+            throw new Error(`${where}: unknown setting "${key}"`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+            throw new Error(`${where}: ${key} must be a number from ${range[0]} to ${range[1]} ms (got ${typeof value === 'string' ? JSON.stringify(value) : String(value)})`);
+        }
+    });
+    return { ...settings };
+}
+
+// Check a button input config - throws with a readable message if it can't be used
+function normalizeInputConfig(config) {
+    if (!isPlainObject(config)) {
+        throw new Error('Button input config must be an object');
+    }
+
+    const { buttons, ...defaults } = config;
+    const normalized = checkSettings(defaults, 'Button input');
+
+    if (buttons !== undefined) {
+        if (!isPlainObject(buttons)) {
+            throw new Error('Button input: "buttons" must map button numbers to settings');
+        }
+        normalized.buttons = {};
+        Object.entries(buttons).forEach(([number, settings]) => {
+            if (!/^[1-9]\d*$/.test(number)) {
+                throw new Error(`Button input: "${number}" is not a button number`);
+            }
+            if (!isPlainObject(settings)) {
+                throw new Error(`Button ${number}: settings must be an object`);
+            }
+            normalized.buttons[number] = checkSettings(settings, `Button ${number}`);
+        });
+    }
+    return normalized;
+}
+
+class ButtonInput {
+    constructor(emit, config = {}) {
+        // emit(eventName, buttonNumber, details)
+        this.emit = emit;
+        this.buttons = new Map();
+        this.configure(config);
+    }
+
+    // Throws (and changes nothing) if the config is invalid - see normalizeInputConfig
+    configure(config = {}) {
+        const { buttons, ...defaults } = normalizeInputConfig(config);
+        this.defaults = { ...DEFAULT_SETTINGS, ...(this.defaults || {}), ...defaults };
+        this.overrides = { ...(this.overrides || {}), ...(buttons || {}) };
+        return this.getConfig();
+    }
+
+    getConfig() {
+        return { ...this.defaults, buttons: { ...this.overrides } };
+    }
+
+    settingsFor(buttonNumber) {
+        return { ...this.defaults, ...(this.overrides[buttonNumber] || {}) };
+    }
+
+    state(buttonNumber) {
+        if (!this.buttons.has(buttonNumber)) {
+            this.buttons.set(buttonNumber, {
+                pressed: false,      // debounced state
+                raw: false,          // last edge the firmware reported
+                lastEdgeAt: 0,
+                pressedAt: 0,
+                lastReleaseAt: 0,
+                longPressed: false,
+                stuck: false,
+                settleTimer: null,
+                longPressTimer: null,
+                holdTimer: null,
+                stuckTimer: null,
+                chatter: 0
+            });
+        }
+        return this.buttons.get(buttonNumber);
+    }
+
+    // Feed raw edges from the firmware here
+    rawEdge(buttonNumber, pressed) {
+        const button = this.state(buttonNumber);
+        const now = Date.now();
+        const { debounceTime } = this.settingsFor(buttonNumber);
+
+        button.raw = pressed;
+
+        if (button.settleTimer) {
+            button.chatter++;
+            return;
+        }
+
+        if (pressed === button.pressed) {
+            return;
+        }
+
+        if (now - button.lastEdgeAt < debounceTime) {
+            // Too soon after the last accepted edge - decide once the contacts settle
+            button.chatter++;
+            button.settleTimer = setTimeout(() => {
+                button.settleTimer = null;
+                if (button.raw !== button.pressed) {
+                    this.accept(buttonNumber, button.raw);
+                }
+            }, debounceTime - (now - button.lastEdgeAt));
+            return;
+        }
+
+        this.accept(buttonNumber, pressed);
+    }
+
+    accept(buttonNumber, pressed) {
+        const button = this.state(buttonNumber);
+        const now = Date.now();
+        const settings = this.settingsFor(buttonNumber);
+
+        button.pressed = pressed;
+        button.lastEdgeAt = now;
+
+        if (pressed) {
+            const sinceRelease = now - button.lastReleaseAt;
+            button.pressedAt = now;
+            button.longPressed = false;
+            this.emit('press', buttonNumber, {});
+
+            if (button.lastReleaseAt && sinceRelease <= settings.doublePressWindow) {
+                this.emit('double-press', buttonNumber, { interval: sinceRelease });
+                button.lastReleaseAt = 0; // a third press starts a new pair
+            }
+
+            this.startHoldTimers(buttonNumber, settings);
+        } else {
+            const duration = now - button.pressedAt;
+            const wasStuck = button.stuck;
+            this.clearHoldTimers(button);
+
+            // A long press or a stuck button is not half of a double press
+            button.lastReleaseAt = button.longPressed || wasStuck ? 0 : now;
+            this.emit('release', buttonNumber, { duration, wasStuck });
+        }
+    }
+
+    startHoldTimers(buttonNumber, settings) {
+        const button = this.state(buttonNumber);
+
+        button.longPressTimer = setTimeout(() => {
+            button.longPressed = true;
+            this.emit('long-press', buttonNumber, { duration: Date.now() - button.pressedAt });
+
+            button.holdTimer = setInterval(() => {
+                this.emit('hold', buttonNumber, { duration: Date.now() - button.pressedAt });
+            }, settings.holdInterval);
+        }, settings.longPressTime);
+
+        button.stuckTimer = setTimeout(() => {
+            button.stuck = true;
+            clearInterval(button.holdTimer);
+            button.holdTimer = null;
+            this.emit('stuck', buttonNumber, { duration: Date.now() - button.pressedAt });
+        }, settings.stuckTime);
+    }
+
+    clearHoldTimers(button) {
+        clearTimeout(button.longPressTimer);
+        clearInterval(button.holdTimer);
+        clearTimeout(button.stuckTimer);
+        button.longPressTimer = null;
+        button.holdTimer = null;
+        button.stuckTimer = null;
+        button.stuck = false;
+    }
+
+    isPressed(buttonNumber) {
+        return this.buttons.has(buttonNumber) && this.buttons.get(buttonNumber).pressed;
+    }
+
+    // Forget a button without emitting anything (board unplugged or reassigned)
+    reset(buttonNumber) {
+        const button = this.buttons.get(buttonNumber);
+        if (!button) return;
+
+        clearTimeout(button.settleTimer);
+        this.clearHoldTimers(button);
+        this.buttons.delete(buttonNumber);
+    }
+
+    resetAll() {
+        Array.from(this.buttons.keys()).forEach(buttonNumber => this.reset(buttonNumber));
+    }
+
+    getStats() {
+        const stats = {};
+        this.buttons.forEach((button, buttonNumber) => {
+            stats[buttonNumber] = {
+                pressed: button.pressed,
+                stuck: button.stuck,
+                chatter: button.chatter
+            };
+        });
+        return stats;
+    }
+}
+
+module.exports = {
+    ButtonInput,
+    DEFAULT_SETTINGS,
+    normalizeInputConfig
+};
@@ -0,0 +1,91 @@
+// button-layout.js - How many arcade buttons there are, and the colour and place of each one
+//
+// A layout file (layouts/*.json, or button-layout.json in the user data folder) looks like:
+//
+//   {
+//     "name": "two-cabinet",
+//     "description": "Two four-button cabinets side by side",
+//     "buttons": [
+//       { "color": "GREEN", "position": "LEFT", "group": "Cabinet A" },
+//       { "color": "WHITE", "position": "MIDDLE-LEFT", "group": "Cabinet A" },
+//       ...
+//     ]
+//   }
+//
+// Buttons are numbered 1, 2, 3... in the order they are listed. "color" names the
+// arcade button (GREEN, WHITE, RED, BLUE, YELLOW...); "css" overrides the colour the
+// screen uses for it. "group" is optional and only used to draw cabinets apart.
+
+const fs = require('fs');
+
+const MAX_BUTTONS = 16;
+
+const BUTTON_CSS_COLORS = {
+    GREEN: '#4CAF50',
+    WHITE: '#ffffff',
+    RED: '#f44336',
+    BLUE: '#2196F3',
+    YELLOW: '#FFEB3B',
+    ORANGE: '#FF9800',
+    PURPLE: '#9C27B0',
+    BLACK: '#212121'
+};
+
+const DEFAULT_LAYOUT = {
+    name: 'single-cabinet',
+    description: 'One cabinet with four buttons',
+    buttons: [
+        { color: 'GREEN', position: 'LEFT' },
+        { color: 'WHITE', position: 'MIDDLE-LEFT' },
+        { color: 'RED', position: 'MIDDLE-RIGHT' },
+        { color: 'GREEN', position: 'RIGHT' }
+    ]
+};
+
+// Check a layout and fill in the defaults - throws with a readable message if it can't be used
+function normalizeLayout(layout) {
+    if (!layout || !Array.isArray(layout.buttons) || layout.buttons.length === 0) {
+        throw new Error('Button layout needs a non-empty "buttons" array');
+    }
+    if (layout.buttons.length > MAX_BUTTONS) {
+        throw new Error(`Button layout can have at most ${MAX_BUTTONS} buttons`);
+    }
+
+    const buttons = layout.buttons.map((button, index) => {
+        const color = String(button.color || 'WHITE').toUpperCase();
+        const css = button.css || BUTTON_CSS_COLORS[color];
+        if (!css) {
+            throw new Error(`Button ${index + 1}: unknown colour "${button.color}" - add a "css" colour for it`);
+        }
+
+        return {
+            number: index + 1,
+            color,
+            position: button.position || `BUTTON-${index + 1}`,
+            group: button.group || null,
+            css
+        };
+    });
+
+    return {
+        name: layout.name || 'custom',
+        description: layout.description || '',
+        buttons
+    };
+}
+
+// Missing file means the standard four-button cabinet
+function loadLayout(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return normalizeLayout(DEFAULT_LAYOUT);
+    }
+    return normalizeLayout(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports = {
+    MAX_BUTTONS,
+    BUTTON_CSS_COLORS,
+    DEFAULT_LAYOUT,
+    normalizeLayout,
+    loadLayout
+};
@@ -0,0 +1,123 @@
+// command-queue.js - Per-port outbound queue that waits for the Microbit to acknowledge
+
+class CommandQueue {
+    constructor(write, options = {}) {
+        // write(command) sends one line and returns false if the port is gone
+        this.write = write;
+        this.timeout = options.timeout || 300;
+        this.maxRetries = options.retries !== undefined ? options.retries : 2;
+
+        this.pending = [];
+        this.inFlight = null;
+
+        this.stats = {
+            sent: 0,
+            acknowledged: 0,
+            retries: 0,
+            failures: 0,
+            lastLatency: null,
+            averageLatency: null
+        };
+        this.totalLatency = 0;
+    }
+
+    // Resolves true once `matches(message)` sees the reply, false after the last retry times out.
+    // Commands without a matcher resolve as soon as they are written.
+    enqueue(command, matches = null) {
+        return new Promise(resolve => {
+            this.pending.push({ command, matches, resolve, attempts: 0 });
+            this.next();
+        });
+    }
+
+    next() {
+        if (this.inFlight || this.pending.length === 0) return;
+
+        this.inFlight = this.pending.shift();
+        this.transmit();
+    }
+
+    transmit() {
+        const item = this.inFlight;
+        item.attempts++;
+        item.sentAt = Date.now();
+
+        if (!this.write(item.command)) {
+            this.stats.failures++;
+            this.finish(false);
+            return;
+        }
+
+        this.stats.sent++;
+        if (item.attempts > 1) {
+            this.stats.retries++;
+        }
+
+        if (!item.matches) {
+            this.finish(true);
+            return;
+        }
+
+        item.timer = setTimeout(() => this.handleTimeout(), this.timeout);
+    }
+
+    handleTimeout() {
+        const item = this.inFlight;
+        if (!item) return;
+
+        if (item.attempts <= this.maxRetries) {
+            console.warn(`⏱️ No reply to ${item.command} - retrying (${item.attempts}/${this.maxRetries})`);
+            this.transmit();
+        } else {
+            console.error(`❌ ${item.command} was never acknowledged`);
+            this.stats.failures++;
+            this.finish(false);
+        }
+    }
+
+    // Feed every parsed inbound message here - returns true if it acknowledged the command in flight
+    handleMessage(message) {
+        const item = this.inFlight;
+        if (!item || !item.matches || !item.matches(message)) {
+            return false;
+        }
+
+        const latency = Date.now() - item.sentAt;
+        this.stats.acknowledged++;
+        this.stats.lastLatency = latency;
+        this.totalLatency += latency;
+        this.stats.averageLatency = Math.round(this.totalLatency / this.stats.acknowledged);
+
+        this.finish(true);
+        return true;
+    }
+
+    finish(result) {
+        const item = this.inFlight;
+        clearTimeout(item.timer);
+        this.inFlight = null;
+        item.resolve(result);
+        this.next();
+    }
+
+    // Give up on everything queued (port closed)
+    clear() {
+        if (this.inFlight) {
+            clearTimeout(this.inFlight.timer);
+            this.inFlight.resolve(false);
+            this.inFlight = null;
+        }
+
+        this.pending.forEach(item => item.resolve(false));
+        this.pending = [];
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            queued: this.pending.length + (this.inFlight ? 1 : 0)
+        };
+    }
+}
+
+module.exports = CommandQueue;
@@ -0,0 +1,179 @@
+// device-registry.js - Persistent identity for Microbits, keyed on USB serial number
+//
+// Every change is built on a copy of the devices and saved first; the copy only replaces
+// what is in memory once it is on disk, so a failed write changes nothing.
+
+const fs = require('fs');
+const path = require('path');
+
+const VALID_ROLES = ['button', 'bike', 'buzzer'];
+
+class DeviceRegistry {
+    constructor(filePath = null) {
+        // No file path means the registry only lives for this session
+        this.filePath = filePath;
+        this.devices = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                (data.devices || []).forEach(entry => {
+                    if (entry.serialNumber) {
+                        this.devices.set(entry.serialNumber, entry);
+                    }
+                });
+                console.log(`📒 Loaded ${this.devices.size} known devices from ${this.filePath}`);
+            }
+        } catch (error) {
+            console.error('❌ Error loading device registry:', error);
+        }
+    }
+
+    // Write devices to disk and, once that worked, make them the registry's
+    save(devices = this.devices) {
+        if (this.filePath) {
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.writeFileSync(this.filePath, JSON.stringify({ devices: Array.from(devices.values()) }, null, 2));
+            } catch (error) {
+                console.error('❌ Error saving device registry:', error);
+                return false;
+            }
+        }
+
+        this.devices = devices;
+        return true;
+    }
+
+    // { success } for a change that was saved, or the reason it wasn't
+    commit(devices, result = {}) {
+        return this.save(devices)
+            ? { success: true, ...result }
+            : { success: false, error: 'Could not save the device registry' };
+    }
+
+    get(serialNumber) {
+        return serialNumber ? this.devices.get(serialNumber) || null : null;
+    }
+
+    getAll() {
+        return Array.from(this.devices.values()).map(entry => ({ ...entry }));
+    }
+
+    findByButton(buttonNumber) {
+        for (const entry of this.devices.values()) {
+            if (entry.role === 'button' && entry.buttonNumber === buttonNumber) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    findByBike(bikeId) {
+        for (const entry of this.devices.values()) {
+            if (entry.role === 'bike' && entry.bikeId === bikeId) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Returns { success, error } - refuses a button or bike number already bound to another device
+    assign(serialNumber, role, number = null) {
+        if (!serialNumber) {
+            return { success: false, error: 'Device has no serial number' };
+        }
+
+        if (!VALID_ROLES.includes(role)) {
+            return { success: false, error: `Unknown role: ${role}` };
+        }
+
+        const owner = role === 'button' ? this.findByButton(number)
+            : role === 'bike' && number ? this.findByBike(number)
+            : null;
+        if (owner && owner.serialNumber !== serialNumber) {
+            return {
+                success: false,
+                error: `${role === 'button' ? 'Button' : 'Bike'} ${number} is already assigned to ${owner.serialNumber}`,
+                conflictWith: owner.serialNumber
+            };
+        }
+
+        const devices = new Map(this.devices);
+        devices.set(serialNumber, {
+            ...(devices.get(serialNumber) || {}),
+            serialNumber,
+            role,
+            buttonNumber: role === 'button' ? number : null,
+            bikeId: role === 'bike' ? number : null,
+            updatedAt: new Date().toISOString()
+        });
+
+        return this.commit(devices);
+    }
+
+    // Give several boards their button numbers in one go (the assignment wizard) - swapping
+    // two boards would otherwise be refused as a conflict. A board that isn't in the set but
+    // still holds one of the numbers (usually one that's unplugged) is forgotten.
+    assignButtons(assignments) {
+        const serialNumbers = new Set(assignments.map(entry => entry.serialNumber));
+        const devices = new Map(this.devices);
+
+        assignments.forEach(({ buttonNumber }) => {
+            const owner = this.findByButton(buttonNumber);
+            if (owner && !serialNumbers.has(owner.serialNumber)) {
+                console.log(`📒 Forgetting ${owner.serialNumber} - Button ${buttonNumber} now belongs to another board`);
+                devices.delete(owner.serialNumber);
+            }
+        });
+
+        const updatedAt = new Date().toISOString();
+        assignments.forEach(({ serialNumber, buttonNumber }) => {
+            devices.set(serialNumber, {
+                ...(devices.get(serialNumber) || {}),
+                serialNumber,
+                role: 'button',
+                buttonNumber,
+                bikeId: null,
+                updatedAt
+            });
+        });
+
+        return this.commit(devices);
+    }
+
+    // Per-device settings that aren't part of the role (bike calibration etc.)
+    setCalibration(serialNumber, calibration) {
+        const existing = this.devices.get(serialNumber);
+        if (!existing) {
+            return { success: false, error: `Unknown device: ${serialNumber}` };
+        }
+
+        const updated = {
+            ...existing,
+            calibration: { ...(existing.calibration || {}), ...calibration },
+            updatedAt: new Date().toISOString()
+        };
+        const devices = new Map(this.devices);
+        devices.set(serialNumber, updated);
+        return this.commit(devices, { calibration: { ...updated.calibration } });
+    }
+
+    // True once the device is forgotten on disk as well
+    remove(serialNumber) {
+        if (!this.devices.has(serialNumber)) return false;
+
+        const devices = new Map(this.devices);
+        devices.delete(serialNumber);
+        return this.save(devices);
+    }
+}
+
+DeviceRegistry.VALID_ROLES = VALID_ROLES;
+
+module.exports = DeviceRegistry;
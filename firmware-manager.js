@@ -0,0 +1,290 @@
+// firmware-manager.js - Bundled Microbit firmware, version checks and flashing over the MICROBIT drive
+//
+// firmware/manifest.json lists the .hex files shipped with the platform, one per role:
+//
+//   {
+//     "firmware": [
+//       { "role": "button", "version": "2.1.0", "file": "arcade-button.hex" },
+//       ...
+//     ]
+//   }
+//
+// Boards report their version when asked to IDENTIFY (see serial-protocol.js); anything
+// older than the bundled file for its role is "outdated".
+//
+// No .hex builds ship with the platform yet, so the manifest is empty: every board checks
+// as 'no-bundle', nothing is flagged out of date and flash() refuses, until the builds are
+// added. test/firmware-manager.test.js checks every listed file is there and is valid HEX.
+//
+// Flashing is what a teacher would do by hand: copy the .hex onto the MICROBIT drive.
+// The board's interface chip takes the file, programs itself and remounts the drive -
+// with FAIL.TXT on it if the programming went wrong. The drive's DETAILS.TXT carries
+// the same Unique ID the board uses as its USB serial number, so drives and serial
+// ports can be matched up.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CHUNK_SIZE = 16 * 1024;
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+// Intel HEX record types - 00-05 standard, 0A-0D the universal hex blocks for V1/V2 boards
+const HEX_RECORD_TYPES = [0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x0A, 0x0B, 0x0C, 0x0D];
+
+// -1, 0 or 1 - missing parts count as 0, so "2.1" equals "2.1.0"
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) return difference < 0 ? -1 : 1;
+    }
+    return 0;
+}
+
+function isVersion(version) {
+    return typeof version === 'string' && VERSION_PATTERN.test(version);
+}
+
+// Throws with a readable message if the text isn't a complete Intel HEX file
+function validateHex(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.length > 0);
+    if (lines.length === 0) {
+        throw new Error('The file is empty');
+    }
+
+    let ended = false;
+    lines.forEach((line, index) => {
+        if (!/^:([0-9A-Fa-f]{2})+$/.test(line) || line.length < 11) {
+            throw new Error(`Line ${index + 1} is not an Intel HEX record`);
+        }
+
+        const bytes = [];
+        for (let i = 1; i < line.length; i += 2) {
+            bytes.push(parseInt(line.slice(i, i + 2), 16));
+        }
+
+        if (bytes.length !== bytes[0] + 5) {
+            throw new Error(`Line ${index + 1} has the wrong length`);
+        }
+        if (bytes.reduce((sum, byte) => sum + byte, 0) % 256 !== 0) {
+            throw new Error(`Line ${index + 1} fails its checksum`);
+        }
+        if (!HEX_RECORD_TYPES.includes(bytes[3])) {
+            throw new Error(`Line ${index + 1} has an unknown record type ${bytes[3]}`);
+        }
+        if (bytes[3] === 0x01) {
+            ended = true;
+        }
+    });
+
+    if (!ended) {
+        throw new Error('The file has no end-of-file record - it may be cut short');
+    }
+    return lines.length;
+}
+
+// "Unique ID: 9904..." and friends from a drive's DETAILS.TXT
+function parseDetails(text) {
+    const details = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^([^:]+):\s*(.*)$/);
+        if (match) {
+            details[match[1].trim()] = match[2].trim();
+        }
+    });
+
+    return {
+        uniqueId: details['Unique ID'] || null,
+        interfaceVersion: details['Interface Version'] || details['Version'] || null
+    };
+}
+
+class FirmwareManager {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.manifest = [];
+        this.platform = options.platform || process.platform;
+        this.remountTimeout = options.remountTimeout || 30000;
+        this.pollInterval = options.pollInterval || 500;
+        this.load();
+    }
+
+    load() {
+        const manifestFile = path.join(this.directory, 'manifest.json');
+
+        try {
+            if (!fs.existsSync(manifestFile)) {
+                this.manifest = [];
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+            this.manifest = (data.firmware || []).filter(entry => {
+                if (!entry.role || !isVersion(entry.version) || !entry.file) {
+                    console.warn(`⚠️ Skipping firmware entry with no role, version or file: ${JSON.stringify(entry)}`);
+                    return false;
+                }
+                return true;
+            });
+            console.log(`📦 ${this.manifest.length} bundled firmware image(s) in ${this.directory}`);
+        } catch (error) {
+            console.error('❌ Error loading firmware manifest:', error);
+            this.manifest = [];
+        }
+    }
+
+    // Everything in the manifest, and whether its .hex file is actually there
+    list() {
+        return this.manifest.map(entry => {
+            const file = path.join(this.directory, entry.file);
+            const available = fs.existsSync(file);
+            return {
+                role: entry.role,
+                version: entry.version,
+                file: entry.file,
+                notes: entry.notes || '',
+                available,
+                size: available ? fs.statSync(file).size : 0
+            };
+        });
+    }
+
+    // Newest bundled firmware for a role, or null
+    latestFor(role) {
+        return this.manifest
+            .filter(entry => entry.role === role)
+            .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+    }
+
+    // { status: 'current' | 'outdated' | 'unknown' | 'no-bundle', version, latest }
+    check(role, version) {
+        const latest = this.latestFor(role);
+        const result = { version: version || null, latest: latest ? latest.version : null };
+
+        if (!latest) return { status: 'no-bundle', ...result };
+        if (!isVersion(version)) return { status: 'unknown', ...result };
+        return { status: compareVersions(version, latest.version) < 0 ? 'outdated' : 'current', ...result };
+    }
+
+    // ========================================
+    // MICROBIT DRIVES
+    // ========================================
+
+    // Folders a MICROBIT drive could be mounted on, for this OS
+    candidateMounts() {
+        if (this.platform === 'win32') {
+            return 'DEFGHIJKLMNOPQRSTUVWXYZ'.split('').map(letter => `${letter}:\\`);
+        }
+
+        const roots = this.platform === 'darwin'
+            ? ['/Volumes']
+            : [path.join('/media', os.userInfo().username), path.join('/run/media', os.userInfo().username), '/media', '/mnt'];
+
+        const mounts = [];
+        roots.forEach(root => {
+            try {
+                fs.readdirSync(root).forEach(name => mounts.push(path.join(root, name)));
+            } catch (error) {
+                // Not there on this machine
+            }
+        });
+        return mounts;
+    }
+
+    // [{ path, uniqueId, interfaceVersion }] - drives with a DETAILS.TXT are Microbits
+    findDrives() {
+        const drives = [];
+
+        this.candidateMounts().forEach(mount => {
+            try {
+                const details = parseDetails(fs.readFileSync(path.join(mount, 'DETAILS.TXT'), 'utf8'));
+                drives.push({ path: mount, ...details });
+            } catch (error) {
+                // Not a Microbit drive
+            }
+        });
+
+        return drives;
+    }
+
+    // ========================================
+    // FLASHING
+    // ========================================
+
+    // Copy the bundled firmware for role onto drivePath. onProgress gets
+    // { stage: 'checking' | 'copying' | 'verifying' | 'done', written, total, percent }
+    async flash(role, drivePath, onProgress = () => {}) {
+        const entry = this.latestFor(role);
+        if (!entry) {
+            throw new Error(`Flashing is off - no firmware for ${role} is bundled (see firmware/manifest.json)`);
+        }
+
+        const source = path.join(this.directory, entry.file);
+        if (!fs.existsSync(source)) {
+            throw new Error(`${entry.file} is missing from ${this.directory}`);
+        }
+
+        // drivePath comes from the renderer - only ever write to a drive we found ourselves
+        if (!this.findDrives().some(drive => drive.path === drivePath)) {
+            throw new Error(`${drivePath} is not a MICROBIT drive`);
+        }
+
+        const data = await fs.promises.readFile(source);
+        const total = data.length;
+        const report = (stage, written) => onProgress({ stage, written, total, percent: Math.round(written / total * 100) });
+
+        report('checking', 0);
+        validateHex(data.toString('ascii'));
+
+        const target = path.join(drivePath, path.basename(entry.file));
+        const handle = await fs.promises.open(target, 'w');
+        try {
+            for (let written = 0; written < total; written += CHUNK_SIZE) {
+                await handle.write(data, written, Math.min(CHUNK_SIZE, total - written));
+                report('copying', Math.min(written + CHUNK_SIZE, total));
+            }
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        report('verifying', total);
+        await this.waitForRemount(drivePath, target);
+        report('done', total);
+
+        return { role, version: entry.version, file: entry.file, drive: drivePath };
+    }
+
+    // The board takes the file, programs itself and remounts the drive without it.
+    // FAIL.TXT after the remount says why programming failed.
+    async waitForRemount(drivePath, target) {
+        const deadline = Date.now() + this.remountTimeout;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+            const mounted = fs.existsSync(path.join(drivePath, 'DETAILS.TXT'));
+            if (!mounted || fs.existsSync(target)) continue;
+
+            const failFile = path.join(drivePath, 'FAIL.TXT');
+            if (fs.existsSync(failFile)) {
+                const reason = fs.readFileSync(failFile, 'utf8').trim();
+                throw new Error(`The Microbit rejected the firmware: ${reason || 'no reason given'}`);
+            }
+            return;
+        }
+
+        throw new Error('The Microbit did not restart after the copy - check it is still plugged in');
+    }
+}
+
+module.exports = {
+    FirmwareManager,
+    compareVersions,
+    isVersion,
+    validateHex,
+    parseDetails
+};
@@ -0,0 +1,217 @@
+// hardware-api.js - Everything renderers may ask the Microbit controller for, and every event they may hear
+//
+// Games reach these as window.arcade.<namespace>.<action>(...) and
+// window.arcade.<namespace>.on<Event>(callback) - see hardware-bridge.js for the format.
+// A new controller capability is one line here; main.js and preload.js pick it up.
+// Requests that need main.js itself (files, windows, high scores) are added there.
+
+const REQUESTS = {
+    // Buttons
+    'buttons.getStates': { method: 'getButtonStates', result: 'states' },
+    'buttons.getInputConfig': { method: 'getButtonInputConfig', result: 'config' },
+    'buttons.setInputConfig': { method: 'setButtonInputConfig', args: ['config: object'], result: 'config' },
+
+    // Button assignment wizard (js/button-wizard.js)
+    'buttons.startAssignment': { method: 'startButtonAssignment' },
+    'buttons.setBoardLED': { method: 'setBoardLED', args: ['portPath: string', 'on: boolean'], result: 'success' },
+    'buttons.finishAssignment': { method: 'finishButtonAssignment', args: ['assignments: array'] },
+    'buttons.cancelAssignment': { method: 'cancelButtonAssignment', result: 'success' },
+
+    // LEDs - frames are [led1, led2, ...], each true/false or { on, brightness, blink }
+    'leds.set': { method: 'setLED', args: ['buttonNumber: integer', 'state: boolean'], result: 'success' },
+    'leds.setAll': { method: 'setAllLEDs', args: ['state: boolean'], result: 'success' },
+    'leds.getStates': { method: 'getLEDStates', result: 'ledStates' },
+    'leds.setFrame': { method: 'setLEDFrame', args: ['frame: array'], result: 'success' },
+    'leds.playFrames': { method: 'playLEDFrames', args: ['frames: array'], result: 'success' },
+    'leds.flash': { method: 'flashLED', args: ['buttonNumber: integer', 'times?: integer', 'duration?: number'], result: 'done' },
+    'leds.flashAll': { method: 'flashAllLEDs', args: ['times?: integer', 'duration?: number'], result: 'done' },
+    'leds.chase': { method: 'chaseLEDs', args: ['rounds?: integer', 'speed?: number'], result: 'done' },
+    'leds.randomSequence': {
+        method: 'randomLEDSequence',
+        args: ['count?: integer', 'onDuration?: number', 'offDuration?: number', 'totalSequences?: integer'],
+        result: 'done'
+    },
+    'leds.randomFlashSequence': { method: 'randomFlashSequence', args: ['sequences?: integer', 'flashDuration?: number'], result: 'done' },
+    'leds.randomGame': { method: 'randomLEDGame', args: ['rounds?: integer', 'speed?: number'], result: 'done' },
+    'leds.simonSays': { method: 'simonSaysPattern', args: ['patternLength?: integer', 'playbackSpeed?: number'], result: 'pattern' },
+    'leds.randomCascade': { method: 'randomCascade', args: ['waves?: integer', 'waveSpeed?: number'], result: 'done' },
+    'leds.rhythmicPattern': { method: 'rhythmicRandomPattern', args: ['beats?: integer', 'tempo?: number'], result: 'done' },
+    'leds.playPattern': { method: 'playPattern', args: ['name: string|object', 'options?: object'], result: 'success' },
+    'leds.listPatterns': { method: 'listPatterns', result: 'patterns' },
+    'leds.animations': { method: 'getRunningAnimations', result: 'animations' },
+    'leds.stop': { method: 'stopAnimation', args: ['idOrName: integer|string'], result: 'success' },
+    'leds.stopAll': { method: 'stopAllAnimations', args: ['finalState?: boolean'], result: 'stopped' },
+
+    // Bike sensors - no bikeId means the primary (lowest connected) bike, or every bike for resets
+    'bikes.getStatus': {
+        result: 'spread',
+        offline: { connected: false, bikeCount: 0, data: null, bikes: [] },
+        call: (controller) => ({
+            connected: controller.isBikeSensorConnected(),
+            bikeCount: controller.connectedBikes().length,
+            data: controller.getBikeData(),
+            bikes: controller.getAllBikeData()
+        })
+    },
+    'bikes.getData': { method: 'getBikeData', args: ['bikeId?: integer'], result: 'data' },
+    'bikes.getAll': { method: 'getAllBikeData', result: 'bikes' },
+    'bikes.setCalibration': { method: 'setBikeCalibration', args: ['bikeId: integer', 'calibration: object'] },
+    'bikes.resetCounter': { method: 'resetBikeCounter', args: ['bikeId?: integer'], result: 'success' },
+    'bikes.setGameMode': { method: 'setBikeGameMode', args: ['active: boolean', 'bikeId?: integer'], result: 'success' },
+    'bikes.speedFeedback': { method: 'bikeSpeedFeedback', args: ['rpm: number'], result: 'done' },
+    'bikes.test': {
+        args: ['bikeId?: integer'],
+        call: (controller, [bikeId]) => {
+            if (!controller.isBikeSensorConnected(bikeId)) {
+                return { success: false, error: 'No bike sensor connected' };
+            }
+            controller.sendBikeCommand('TEST', bikeId);
+            return { success: true, message: 'Test command sent to bike sensor' };
+        }
+    },
+    // Fake a pedal stroke for games under development
+    'bikes.simulate': {
+        args: ['revolutions?: integer', 'rpm?: number', 'bikeId?: integer'],
+        result: 'data',
+        call: (controller, [revolutions = 1, rpm = 60, bikeId = 1], bridge) => {
+            const data = { bikeId, revolutions, rpm, timestamp: Date.now(), port: 'simulated' };
+            console.log('🧪 Simulating bike data:', data);
+            bridge.publish('bikes.data', data);
+            bridge.publish('bikes.rawData', `BIKE_REV:${revolutions}:${rpm}:${data.timestamp}`);
+            return data;
+        }
+    },
+
+    // Wire buzzer display
+    'buzzer.getStatus': {
+        result: 'spread',
+        offline: { connected: false },
+        call: (controller) => ({ connected: controller.isBuzzerConnected() })
+    },
+    'buzzer.showIcon': { method: 'showBuzzerIcon', args: ['icon: string'], result: 'success' },
+    'buzzer.clearDisplay': { method: 'clearBuzzerDisplay', result: 'success' },
+
+    // Sensor streams - sensor is TILT, COMPASS, ANALOG or LIGHT; no target means every board
+    'sensors.setRate': { method: 'setSensorRate', args: ['sensor: string', 'hz: number', 'target?: integer'] },
+    'sensors.stopStreams': { method: 'stopSensorStreams', result: 'done' },
+    'sensors.getData': { method: 'getSensorData', args: ['sensor?: string'], result: 'readings' },
+
+    // Devices and the registry of which board plays which role
+    'devices.getStatus': {
+        result: 'spread',
+        offline: { connected: false, bikeConnected: false },
+        call: (controller) => {
+            const status = controller.getConnectionStatus();
+            return {
+                connected: status.connected > 0,
+                buttonStates: controller.getButtonStates(),
+                connectionCount: status.connected,
+                bikeConnected: status.bikeConnected || false,
+                bikeCount: status.bikeCount || 0,
+                bikeData: controller.getBikeData()
+            };
+        }
+    },
+    'devices.getRegistry': { method: 'getDeviceRegistry', result: 'devices' },
+    'devices.assignRole': { method: 'assignDeviceRole', args: ['serialNumber: string', 'role: string', 'buttonNumber?: integer'] },
+    'devices.forget': { method: 'forgetDevice', args: ['serialNumber: string'], result: 'success' },
+    'devices.ping': { method: 'pingMicrobit', args: ['buttonNumber: integer'], result: 'success' },
+    'devices.getStats': { method: 'getDeviceStats', result: 'devices' },
+    'devices.getDiagnostics': { method: 'getDiagnostics', args: ['limit?: integer'], result: 'diagnostics' },
+
+    // Serial capture - starting a capture or replay needs a file, so those are in main.js
+    'capture.stop': { method: 'stopRecording', result: 'capture' },
+    'capture.status': { method: 'getRecordingStatus', result: 'status' },
+    'capture.stopReplay': { method: 'stopReplay', result: 'success' },
+
+    // The diagnostics window (diagnostics.html)
+    'diagnostics.getHealth': { method: 'getHealthReport', result: 'report' },
+    'diagnostics.ping': { method: 'pingPort', args: ['portPath: string'] },
+    'diagnostics.pingAll': {
+        call: async (controller) => {
+            const results = await controller.pingAllMicrobits();
+            return { success: results.every(result => result.success), results };
+        }
+    },
+    'diagnostics.flash': { method: 'flashDevice', args: ['portPath: string'] },
+    'diagnostics.reassign': { method: 'reassignDevice', args: ['portPath: string', 'role: string', 'number?: integer'] },
+    'diagnostics.reset': { method: 'resetDevice', args: ['portPath: string'] },
+    'diagnostics.getFirmwareStatus': { method: 'getFirmwareStatus', result: 'spread' },
+    'diagnostics.flashFirmware': {
+        args: ['role: string', 'drivePath: string'],
+        call: (controller, [role, drivePath], bridge) => controller.flashFirmware(role, drivePath, (progress) => {
+            bridge.publish('diagnostics.flashProgress', { drive: drivePath, ...progress });
+        })
+    }
+};
+
+const TOPICS = {
+    'buttons.press': {
+        event: 'button-press',
+        log: data => `Main process: Button ${data.button} (${data.color}) pressed`
+    },
+    'buttons.release': {
+        event: 'button-release',
+        log: data => `Main process: Button ${data.button} (${data.color}) released`
+    },
+    // Debounced gestures built on top of press/release
+    'buttons.gesture': {
+        events: ['button-long-press', 'button-double-press', 'button-hold', 'button-stuck'],
+        map: (data, eventName) => ({ ...data, gesture: eventName.replace('button-', '') })
+    },
+    'buttons.assignmentPress': { event: 'button-assignment-press' },
+    'buttons.layoutChanged': {},    // published by main.js when the layout file changes
+
+    // Tilt, compass, analog and light streams - no logging, they run at up to 50 Hz
+    'sensors.data': { event: 'sensor-data' },
+
+    'devices.status': {
+        event: 'microbit-ready',
+        map: data => ({ status: 'connected', message: data.message }),
+        log: data => `Microbit ready: ${data.message}`
+    },
+    // Hot-plug - a board was plugged in or pulled out
+    'devices.attached': { event: 'device-attached', log: data => `🔌 Device attached: ${data.port}` },
+    'devices.detached': { event: 'device-detached', log: data => `🔌 Device detached: ${data.port} (${data.deviceType})` },
+    'devices.conflict': { event: 'device-conflict', log: data => `⚠️ Device conflict: ${data.message}` },
+    'devices.firmwareOutdated': { event: 'firmware-outdated' },
+
+    'bikes.status': {
+        events: ['bike-sensor-ready', 'bike-sensor-disconnected'],
+        map: (data, eventName, controller) => {
+            const bikeCount = controller.connectedBikes().length;
+            return {
+                // Still 'connected' while another bike is plugged in
+                status: bikeCount > 0 ? 'connected' : 'disconnected',
+                message: data.message,
+                port: data.port,
+                bikeId: data.bikeId,
+                bikeCount
+            };
+        },
+        log: data => `🚴‍♂️ Bike ${data.bikeId} ${data.status === 'connected' ? 'ready' : 'gone'} on ${data.port} (${data.bikeCount} connected)`
+    },
+    'bikes.data': {
+        event: 'bike-data',
+        log: data => `🚴‍♂️ Bike ${data.bikeId} data: Rev ${data.revolutions}, RPM ${data.rpm}, ${data.distance} m, ${data.power} W`
+    },
+    // "BIKE_REV:<count>:<rpm>:<time>" for the first bike, as Biker Beat reads it
+    'bikes.rawData': { event: 'microbit-data' },
+
+    'buzzer.status': {
+        events: ['buzzer-ready', 'buzzer-disconnected'],
+        map: (data, eventName) => ({
+            status: eventName === 'buzzer-ready' ? 'connected' : 'disconnected',
+            message: data.message,
+            port: data.port
+        }),
+        log: data => `🔔 Wire buzzer ${data.status}: ${data.port}`
+    },
+    'buzzer.contact': { event: 'buzzer-contact' },
+
+    'diagnostics.update': {},           // published by main.js once a second while the window is open
+    'diagnostics.flashProgress': {},    // published by diagnostics.flashFirmware
+    'diagnostics.firmwareVerified': { event: 'firmware-verified' }
+};
+
+module.exports = { REQUESTS, TOPICS };
@@ -0,0 +1,259 @@
+// hardware-bridge.js - One request/response channel and one event channel between renderers and main
+//
+// Requests are named "namespace.action" (see hardware-api.js) and described like:
+//
+//   'leds.flash': { method: 'flashLED', args: ['buttonNumber: integer', 'times?: integer'], result: 'done' }
+//
+//   method     - controller method to call with the checked arguments
+//   call       - (controller, args, bridge) => value, instead of method, for anything more involved
+//   args       - "name: type" or "name?: type" for optional; types are integer, number, boolean,
+//                string, object, array or any, and "string|object" takes either
+//   result     - how the value becomes the reply:
+//                  'result'  the value already is { success, ... } (the default)
+//                  'success' { success: Boolean(value) }
+//                  'done'    { success: true }
+//                  'spread'  { success: true, ...value }
+//                  any other word, e.g. 'patterns' -> { success: true, patterns: value }
+//   offline    - value to reply with while there is no controller, instead of an error
+//   standalone - run even without a controller (call gets null)
+//
+// Every failure is { success: false, code, error } with code 'unknown-request',
+// 'invalid-argument', 'unavailable' or 'failed'.
+//
+// Topics are named the same way and list the controller events they carry:
+//
+//   'bikes.status': { events: ['bike-sensor-ready', 'bike-sensor-disconnected'], map: (data, eventName, controller) => ... }
+//
+// A topic with no events is published by main.js itself. Renderers subscribe per topic,
+// so a window only receives what it listens to.
+
+const ARG_TYPES = {
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    string: value => typeof value === 'string',
+    object: value => typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    any: () => true
+};
+
+// "times?: integer" -> { name: 'times', optional: true, types: ['integer'] }
+function parseArg(text, requestName) {
+    const match = String(text).match(/^\s*(\w+)(\?)?\s*:\s*([\w|]+)\s*$/);
+    if (!match) {
+        throw new Error(`${requestName}: argument "${text}" should look like "name: type" or "name?: type"`);
+    }
+
+    const types = match[3].split('|');
+    types.forEach(type => {
+        if (!ARG_TYPES[type]) {
+            throw new Error(`${requestName}: unknown argument type "${type}"`);
+        }
+    });
+    return { name: match[1], optional: Boolean(match[2]), types };
+}
+
+function describeValue(value) {
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 40)}...` : String(text);
+}
+
+function failure(code, error) {
+    return { success: false, code, error };
+}
+
+function shapeResult(result, value) {
+    switch (result) {
+        case 'result': return value;
+        case 'success': return { success: Boolean(value) };
+        case 'done': return { success: true };
+        case 'spread': return { success: true, ...value };
+        default: return { success: true, [result]: value };
+    }
+}
+
+class HardwareBridge {
+    constructor(requests = {}, topics = {}) {
+        this.requests = new Map();
+        this.topics = new Map();
+        this.controller = null;
+        this.controllerListeners = [];  // [{ eventName, listener }] on the attached controller
+        this.subscribers = new Map();   // webContents -> Set of topics
+
+        Object.entries(requests).forEach(([name, spec]) => this.handle(name, spec));
+        Object.entries(topics).forEach(([name, spec]) => this.topic(name, spec));
+    }
+
+    // Add or replace one request - throws if the description is unusable
+    handle(name, spec) {
+        if (!/^\w+\.\w+$/.test(name)) {
+            throw new Error(`Request name "${name}" should look like "namespace.action"`);
+        }
+        if (!spec.method && typeof spec.call !== 'function') {
+            throw new Error(`${name}: needs a controller "method" or a "call" function`);
+        }
+
+        this.requests.set(name, {
+            ...spec,
+            args: (spec.args || []).map(text => parseArg(text, name)),
+            result: spec.result || 'result'
+        });
+    }
+
+    topic(name, spec = {}) {
+        if (!/^\w+\.\w+$/.test(name)) {
+            throw new Error(`Topic name "${name}" should look like "namespace.event"`);
+        }
+        const events = spec.events || (spec.event ? [spec.event] : []);
+        this.topics.set(name, { ...spec, events });
+    }
+
+    // Names only - preload.js builds window.arcade from this
+    describe() {
+        return {
+            requests: Array.from(this.requests.keys()),
+            topics: Array.from(this.topics.keys())
+        };
+    }
+
+    // ========================================
+    // CONTROLLER
+    // ========================================
+
+    // Forward the controller's events to their topics - a new controller replaces the old one
+    attach(controller) {
+        this.detach();
+        this.controller = controller;
+
+        this.topics.forEach((spec, topic) => {
+            spec.events.forEach(eventName => {
+                const listener = (data) => {
+                    const payload = spec.map ? spec.map(data, eventName, controller) : data;
+                    if (spec.log) {
+                        console.log(spec.log(payload));
+                    }
+                    this.publish(topic, payload);
+                };
+                controller.on(eventName, listener);
+                this.controllerListeners.push({ eventName, listener });
+            });
+        });
+    }
+
+    detach() {
+        if (this.controller) {
+            this.controllerListeners.forEach(({ eventName, listener }) => {
+                this.controller.removeListener(eventName, listener);
+            });
+        }
+        this.controller = null;
+        this.controllerListeners = [];
+    }
+
+    // ========================================
+    // REQUESTS
+    // ========================================
+
+    checkArgs(name, spec, args) {
+        if (!Array.isArray(args)) {
+            return { error: failure('invalid-argument', `${name}: arguments must be a list`) };
+        }
+        if (args.length > spec.args.length) {
+            return { error: failure('invalid-argument', `${name} takes at most ${spec.args.length} argument(s), got ${args.length}`) };
+        }
+
+        const values = [];
+        for (let i = 0; i < spec.args.length; i++) {
+            const arg = spec.args[i];
+            const value = args[i];
+
+            // Missing optional arguments go through as undefined so the method's defaults apply
+            if (value === undefined || value === null) {
+                if (!arg.optional) {
+                    return { error: failure('invalid-argument', `${name}: ${arg.name} is required`) };
+                }
+                values.push(undefined);
+                continue;
+            }
+
+            if (!arg.types.some(type => ARG_TYPES[type](value))) {
+                return { error: failure('invalid-argument', `${name}: ${arg.name} must be ${arg.types.join(' or ')} (got ${describeValue(value)})`) };
+            }
+            values.push(value);
+        }
+        return { values };
+    }
+
+    async request(name, args = []) {
+        const spec = this.requests.get(name);
+        if (!spec) {
+            return failure('unknown-request', `Unknown request: ${name}`);
+        }
+
+        const { values, error } = this.checkArgs(name, spec, args);
+        if (error) return error;
+
+        if (!this.controller && !spec.standalone) {
+            return 'offline' in spec
+                ? shapeResult(spec.result, spec.offline)
+                : failure('unavailable', 'Microbit controller not available');
+        }
+        if (spec.method && typeof this.controller[spec.method] !== 'function') {
+            return failure('unavailable', `The Microbit controller cannot ${spec.method}`);
+        }
+
+        try {
+            const value = spec.call
+                ? await spec.call(this.controller, values, this)
+                : await this.controller[spec.method](...values);
+            return shapeResult(spec.result, value);
+        } catch (error) {
+            return failure('failed', error.message);
+        }
+    }
+
+    // ========================================
+    // EVENTS
+    // ========================================
+
+    publish(topic, data) {
+        this.subscribers.forEach((topics, webContents) => {
+            if (topics.has(topic) && !webContents.isDestroyed()) {
+                webContents.send('arcade:event', topic, data);
+            }
+        });
+    }
+
+    subscribe(webContents, topic) {
+        if (!this.topics.has(topic)) {
+            console.warn(`⚠️ Subscription to unknown topic ${topic} ignored`);
+            return false;
+        }
+
+        if (!this.subscribers.has(webContents)) {
+            this.subscribers.set(webContents, new Set());
+            webContents.once('destroyed', () => this.subscribers.delete(webContents));
+        }
+        this.subscribers.get(webContents).add(topic);
+        return true;
+    }
+
+    unsubscribe(webContents, topic) {
+        const topics = this.subscribers.get(webContents);
+        if (topics) {
+            topics.delete(topic);
+        }
+    }
+
+    // The four IPC channels preload.js talks to
+    listen(ipcMain) {
+        ipcMain.on('arcade:describe', (event) => {
+            event.returnValue = this.describe();
+        });
+        ipcMain.handle('arcade:request', (event, name, args) => this.request(name, args));
+        ipcMain.on('arcade:subscribe', (event, topic) => this.subscribe(event.sender, topic));
+        ipcMain.on('arcade:unsubscribe', (event, topic) => this.unsubscribe(event.sender, topic));
+    }
+}
+
+module.exports = HardwareBridge;
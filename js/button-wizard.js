@@ -0,0 +1,267 @@
+// button-wizard.js - Guided button assignment, for boards that report the wrong BUTTON_<n>_READY
+//
+// Goes through the layout one button at a time. Every board that hasn't been placed yet
+// lights up, and whoever is at the cabinet presses the lit button in the spot being asked
+// for - that board becomes that button number. While the wizard runs the controller sends
+// presses here instead of to the game. Save hands the whole mapping to the controller,
+// which stores it in the device registry and sends ASSIGN_BUTTON:<n> to each board.
+
+class ButtonAssignmentWizard {
+    constructor(platform) {
+        this.platform = platform;
+        this.boards = [];               // [{ port, serialNumber, buttonNumber }] from the controller
+        this.slots = [];                // layout buttons, in number order
+        this.slotIndex = 0;
+        this.assignments = new Map();   // port -> button number
+        this.finished = false;
+        this.overlay = null;
+        this.onClose = null;
+
+        this.handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancel();
+            }
+        };
+    }
+
+    async start() {
+        this.createOverlay();
+
+        const result = await this.platform.startButtonAssignment();
+        if (!result.success) {
+            this.showMessage(`❌ ${result.error}`, [['Close', () => this.close()]]);
+            return;
+        }
+
+        this.boards = result.boards;
+        this.slots = this.platform.buttonLayout
+            ? this.platform.buttonLayout.buttons
+            : this.platform.buttonStates.map((state, index) => ({ number: index + 1, color: 'WHITE', position: `BUTTON-${index + 1}`, css: '#ffffff' }));
+
+        if (this.boards.length === 0) {
+            this.showMessage('No button boards are connected.', [['Close', () => this.cancel()]]);
+            return;
+        }
+
+        await this.restart();
+    }
+
+    async restart() {
+        this.assignments.clear();
+        this.slotIndex = 0;
+        this.finished = false;
+
+        await Promise.all(this.boards.map(board => this.platform.setBoardLED(board.port, true)));
+        this.renderStep();
+    }
+
+    unassignedBoards() {
+        return this.boards.filter(board => !this.assignments.has(board.port));
+    }
+
+    currentSlot() {
+        return this.slots[this.slotIndex] || null;
+    }
+
+    // data is { port, serialNumber, reportedButton, currentButton } from the controller
+    handlePress(data) {
+        if (this.finished || !this.currentSlot()) return;
+
+        if (this.assignments.has(data.port)) {
+            this.renderStep(`That board is already Button ${this.assignments.get(data.port)} - press a lit button`);
+            return;
+        }
+
+        // A board plugged in after the wizard started - take it as it comes
+        if (!this.boards.some(board => board.port === data.port)) {
+            this.boards.push({ port: data.port, serialNumber: data.serialNumber, buttonNumber: data.currentButton });
+        }
+
+        this.assignments.set(data.port, this.currentSlot().number);
+        this.platform.setBoardLED(data.port, false);
+        this.advance();
+    }
+
+    skip() {
+        this.advance();
+    }
+
+    advance() {
+        this.slotIndex++;
+
+        if (!this.currentSlot() || this.unassignedBoards().length === 0) {
+            this.renderSummary();
+        } else {
+            this.renderStep();
+        }
+    }
+
+    async save() {
+        if (this.assignments.size === 0) {
+            this.cancel();
+            return;
+        }
+
+        const assignments = Array.from(this.assignments.entries()).map(([port, buttonNumber]) => ({ port, buttonNumber }));
+        this.finished = true;
+        this.showMessage('Saving...', []);
+
+        const result = await this.platform.finishButtonAssignment(assignments);
+        if (!result.success) {
+            this.finished = false;
+            this.showMessage(`❌ ${result.error}`, [['Start again', () => this.restart()], ['Cancel', () => this.cancel()]]);
+            return;
+        }
+
+        this.renderResults(result.results);
+    }
+
+    async cancel() {
+        if (!this.finished) {
+            await this.platform.cancelButtonAssignment();
+        }
+        this.close();
+    }
+
+    close() {
+        this.finished = true;
+        document.removeEventListener('keydown', this.handleKeyDown);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    // ========================================
+    // SCREENS
+    // ========================================
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'button-wizard';
+        this.overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.85); z-index: 2000; display: flex; align-items: center; justify-content: center; font-family: Arial; color: white;';
+
+        this.panel = document.createElement('div');
+        this.panel.style.cssText = 'background: #1e1e1e; padding: 30px; border-radius: 12px; width: 520px; max-width: 90vw; text-align: center;';
+
+        this.overlay.appendChild(this.panel);
+        document.body.appendChild(this.overlay);
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    renderStep(hint = null) {
+        const slot = this.currentSlot();
+        const where = slot.group ? `${slot.position} spot of ${slot.group}` : `${slot.position} spot`;
+
+        this.panel.replaceChildren(
+            this.heading(`🔧 Button ${slot.number} of ${this.slots.length}`),
+            this.swatch(slot.css),
+            this.text(`Press the lit button in the ${where} (${slot.color}).`, '20px'),
+            this.text(`It becomes Button ${slot.number}. ${this.unassignedBoards().length} board(s) still lit.`, '14px', '#aaa'),
+            this.text(hint || '', '14px', '#FFD700'),
+            this.buttonRow([
+                ['Skip', () => this.skip()],
+                ['Start again', () => this.restart()],
+                ['Cancel', () => this.cancel()],
+                ['Save', () => this.save(), this.assignments.size === 0]
+            ])
+        );
+    }
+
+    renderSummary() {
+        const unplaced = this.unassignedBoards();
+        const list = Array.from(this.assignments.entries())
+            .sort((a, b) => a[1] - b[1])
+            .map(([port, buttonNumber]) => `Button ${buttonNumber} ← ${port}`);
+
+        this.panel.replaceChildren(
+            this.heading('🔧 Ready to save'),
+            this.list(list),
+            this.text(unplaced.length ? `Not placed (keep their numbers): ${unplaced.map(board => board.port).join(', ')}` : '', '14px', '#FFD700'),
+            this.buttonRow([
+                ['Start again', () => this.restart()],
+                ['Cancel', () => this.cancel()],
+                ['Save', () => this.save(), this.assignments.size === 0]
+            ])
+        );
+    }
+
+    renderResults(results) {
+        const list = results
+            .sort((a, b) => a.buttonNumber - b.buttonNumber)
+            .map(result => {
+                if (result.confirmed) return `✅ Button ${result.buttonNumber} ← ${result.port} (board updated)`;
+                if (result.persisted) return `💾 Button ${result.buttonNumber} ← ${result.port} (saved on this computer - older firmware)`;
+                return `⚠️ Button ${result.buttonNumber} ← ${result.port} (this session only - the board has no serial number)`;
+            });
+
+        this.panel.replaceChildren(
+            this.heading('🔧 Buttons assigned'),
+            this.list(list),
+            this.buttonRow([['Done', () => this.close()]])
+        );
+    }
+
+    showMessage(message, actions) {
+        this.panel.replaceChildren(
+            this.heading('🔧 Assign Buttons'),
+            this.text(message, '18px'),
+            this.buttonRow(actions)
+        );
+    }
+
+    // ========================================
+    // ELEMENTS
+    // ========================================
+
+    heading(text) {
+        const heading = document.createElement('h2');
+        heading.textContent = text;
+        heading.style.cssText = 'margin: 0 0 20px 0;';
+        return heading;
+    }
+
+    text(content, size, color = 'white') {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = content;
+        paragraph.style.cssText = `font-size: ${size}; color: ${color}; margin: 10px 0;`;
+        return paragraph;
+    }
+
+    swatch(css) {
+        const swatch = document.createElement('div');
+        swatch.style.cssText = `width: 60px; height: 60px; border-radius: 50%; margin: 0 auto 15px auto; background: ${css}; box-shadow: 0 0 20px ${css};`;
+        return swatch;
+    }
+
+    list(items) {
+        const list = document.createElement('ul');
+        list.style.cssText = 'list-style: none; padding: 0; text-align: left; font-size: 16px;';
+        items.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            item.style.cssText = 'margin: 6px 0;';
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    // actions: [[label, onClick, disabled]]
+    buttonRow(actions) {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 10px; justify-content: center; margin-top: 20px;';
+        actions.forEach(([label, onClick, disabled]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.disabled = Boolean(disabled);
+            button.style.cssText = `padding: 10px 18px; background: ${label === 'Save' || label === 'Done' ? '#4CAF50' : '#555'}; color: white; border: none; border-radius: 4px; cursor: pointer;`;
+            button.onclick = onClick;
+            row.appendChild(button);
+        });
+        return row;
+    }
+}
@@ -0,0 +1,356 @@
+// diagnostics.js - Renderer for the diagnostics window (diagnostics.html)
+//
+// The main process pushes a health report every second (window.arcade.diagnostics.onUpdate);
+// the buttons here ping, flash, reassign or reset one board at a time. The firmware
+// section copies a bundled .hex onto a board's MICROBIT drive.
+
+class DiagnosticsView {
+    constructor() {
+        this.report = null;
+        this.selectedPort = null;
+
+        this.elements = {
+            summary: document.getElementById('summary'),
+            message: document.getElementById('message'),
+            devices: document.getElementById('devices'),
+            noDevices: document.getElementById('noDevices'),
+            detail: document.getElementById('detail'),
+            detailTitle: document.getElementById('detailTitle'),
+            lines: document.getElementById('lines'),
+            diagnostics: document.getElementById('diagnostics'),
+            reassignForm: document.getElementById('reassignForm'),
+            reassignRole: document.getElementById('reassignRole'),
+            reassignNumber: document.getElementById('reassignNumber'),
+            bundled: document.getElementById('bundled'),
+            drives: document.getElementById('drives'),
+            noDrives: document.getElementById('noDrives'),
+            flashProgress: document.getElementById('flashProgress'),
+            flashStage: document.getElementById('flashStage'),
+            flashBar: document.getElementById('flashBar')
+        };
+
+        this.firmware = null;
+        this.flashing = false;
+
+        window.arcade.diagnostics.onUpdate((report) => this.render(report));
+        window.arcade.diagnostics.onFlashProgress((progress) => this.showFlashProgress(progress));
+        window.arcade.diagnostics.onFirmwareVerified((data) => {
+            this.showMessage(data.success
+                ? `📦 ${data.port} is running firmware ${data.version}`
+                : `❌ ${data.port} came back with firmware ${data.version}, expected ${data.expected}`, data.success);
+        });
+
+        document.getElementById('pingAll').addEventListener('click', () => this.pingAll());
+        document.getElementById('findDrives').addEventListener('click', () => this.refreshFirmware());
+
+        this.elements.reassignForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reassign();
+        });
+
+        this.refresh();
+        this.refreshFirmware();
+    }
+
+    async refresh() {
+        try {
+            const result = await window.arcade.diagnostics.getHealth();
+            if (result.success) {
+                this.render(result.report);
+            }
+        } catch (error) {
+            console.error('Error getting device health:', error);
+        }
+    }
+
+    render(report) {
+        this.report = report;
+
+        const recording = report.recording.recording ? ' · ⏺ recording' : '';
+        const replay = report.recording.replay ? ' · ▶ replaying a capture' : '';
+        this.elements.summary.textContent =
+            `${report.devices.length} board(s) · layout ${report.layout} (${report.buttonCount} buttons) · transport ${report.transport}${recording}${replay}`;
+
+        this.elements.noDevices.hidden = report.devices.length > 0;
+        this.elements.devices.replaceChildren(...report.devices.map(device => this.deviceRow(device)));
+
+        // The selected board was unplugged
+        if (this.selectedPort && !report.devices.some(device => device.port === this.selectedPort)) {
+            this.selectedPort = null;
+        }
+        this.renderDetail();
+
+        this.elements.diagnostics.replaceChildren(...report.diagnostics.slice().reverse().map(entry =>
+            this.lineItem(entry.timestamp, entry.kind, `${entry.port}: ${entry.reason}${entry.raw ? ` - ${entry.raw}` : ''}`)
+        ));
+    }
+
+    deviceRow(device) {
+        const row = document.createElement('tr');
+        row.classList.toggle('selected', device.port === this.selectedPort);
+        row.classList.toggle('has-errors', device.errors.total > 0);
+        row.addEventListener('click', () => this.select(device.port));
+
+        const cells = [
+            device.port,
+            device.serialNumber || '—',
+            this.describeRole(device),
+            this.describeIdle(device.idleFor),
+            device.messageRate.toFixed(1),
+            `${device.received} / ${device.sent}`,
+            device.errors.total
+                ? `${device.errors.total} (serial ${device.errors.serial}, lines ${device.errors.diagnostics}, commands ${device.errors.commands})`
+                : '0',
+            device.latency !== null ? `${device.latency} ms` : '—',
+            this.describeFirmware(device)
+        ];
+
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.lastChild.className = `firmware-${device.firmwareStatus}`;
+
+        const actions = document.createElement('td');
+        actions.className = 'diag-actions';
+        [
+            ['🏓', 'Ping', () => this.ping(device.port)],
+            ['⚡', 'Flash', () => this.flash(device.port)],
+            ['🔄', 'Reset', () => this.reset(device.port)]
+        ].forEach(([icon, title, action]) => {
+            const button = document.createElement('button');
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+            actions.appendChild(button);
+        });
+        row.appendChild(actions);
+
+        return row;
+    }
+
+    describeRole(device) {
+        if (device.role === 'button') return `Button ${device.buttonNumber}`;
+        if (device.role === 'bike') return `Bike ${device.bikeId}`;
+        if (device.role === 'buzzer') return 'Wire buzzer';
+        return device.role;
+    }
+
+    describeFirmware(device) {
+        if (!device.firmwareVersion) return '—';
+        return device.firmwareStatus === 'outdated' ? `${device.firmwareVersion} ⚠️` : device.firmwareVersion;
+    }
+
+    describeIdle(ms) {
+        if (ms < 1000) return 'just now';
+        if (ms < 60000) return `${Math.round(ms / 1000)}s ago`;
+        return `${Math.round(ms / 60000)}m ago`;
+    }
+
+    select(portPath) {
+        this.selectedPort = portPath;
+
+        const device = this.selectedDevice();
+        if (device) {
+            // Start the form from what the board is now
+            this.elements.reassignRole.value = ['button', 'bike', 'buzzer'].includes(device.role) ? device.role : 'button';
+            this.elements.reassignNumber.value = device.buttonNumber || device.bikeId || '';
+        }
+
+        if (this.report) {
+            this.render(this.report);
+        }
+    }
+
+    selectedDevice() {
+        if (!this.report || !this.selectedPort) return null;
+        return this.report.devices.find(device => device.port === this.selectedPort) || null;
+    }
+
+    renderDetail() {
+        const device = this.selectedDevice();
+        this.elements.detail.hidden = !device;
+        if (!device) return;
+
+        this.elements.detailTitle.textContent = `${device.port} — ${this.describeRole(device)}` +
+            (device.boardType ? ` on a ${device.boardType}` : '') +
+            (device.protocolVersion ? ` (protocol v${device.protocolVersion})` : '');
+
+        this.elements.lines.replaceChildren(...device.recentLines.slice().reverse().map(entry =>
+            this.lineItem(entry.t, entry.dir, entry.line)
+        ));
+    }
+
+    lineItem(timestamp, kind, text) {
+        const item = document.createElement('li');
+        item.className = `line-${kind}`;
+
+        const time = document.createElement('span');
+        time.className = 'line-time';
+        time.textContent = new Date(timestamp).toLocaleTimeString();
+
+        const label = document.createElement('span');
+        label.className = 'line-kind';
+        label.textContent = kind;
+
+        const body = document.createElement('code');
+        body.textContent = text;
+
+        item.append(time, label, body);
+        return item;
+    }
+
+    showMessage(text, ok = true) {
+        this.elements.message.textContent = text;
+        this.elements.message.className = `diag-message ${ok ? 'ok' : 'failed'}`;
+    }
+
+    // action is one of window.arcade.diagnostics - errors come back as a failed result
+    async run(action, ...args) {
+        try {
+            return await window.arcade.diagnostics[action](...args);
+        } catch (error) {
+            console.error(`Error calling ${action}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async ping(portPath) {
+        const result = await this.run('ping', portPath);
+        this.showMessage(result.success ? `🏓 ${portPath} answered in ${result.latency} ms` : `❌ ${portPath}: ${result.error}`, result.success);
+    }
+
+    async pingAll() {
+        const result = await this.run('pingAll');
+        if (!result.results) {
+            this.showMessage(`❌ ${result.error}`, false);
+            return;
+        }
+
+        const failed = result.results.filter(entry => !entry.success).map(entry => entry.port);
+        this.showMessage(failed.length
+            ? `❌ No answer from ${failed.join(', ')}`
+            : `🏓 All ${result.results.length} board(s) answered`, failed.length === 0);
+    }
+
+    async flash(portPath) {
+        const result = await this.run('flash', portPath);
+        this.showMessage(result.success ? `⚡ Flashed ${portPath}` : `❌ ${portPath}: ${result.error}`, result.success);
+    }
+
+    async reset(portPath) {
+        this.showMessage(`🔄 Resetting ${portPath}...`);
+        const result = await this.run('reset', portPath);
+        this.showMessage(result.success ? `🔄 ${portPath} reopened` : `❌ ${portPath}: ${result.error}`, result.success);
+    }
+
+    // ========================================
+    // FIRMWARE
+    // ========================================
+
+    async refreshFirmware() {
+        const result = await this.run('getFirmwareStatus');
+        if (!result.success) {
+            this.elements.bundled.textContent = `❌ ${result.error}`;
+            return;
+        }
+
+        this.firmware = result;
+        const listed = result.bundled.map(entry => `${entry.role} ${entry.version}${entry.available ? '' : ' (file missing)'}`).join(' · ');
+        this.elements.bundled.textContent = result.bundled.some(entry => entry.available)
+            ? `Bundled: ${listed}`
+            : `Flashing is off - no firmware .hex files come with this copy of the platform yet. ` +
+              `Put them in the firmware folder and list them in firmware/manifest.json to turn it on.${listed ? ` (Listed: ${listed})` : ''}`;
+
+        this.elements.noDrives.hidden = result.drives.length > 0;
+        this.elements.drives.replaceChildren(...result.drives.map(drive => this.driveItem(drive)));
+    }
+
+    driveItem(drive) {
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        const board = drive.port ? `${drive.port} (${drive.role})` : 'no serial port open';
+        label.textContent = `💾 ${drive.path} — ${board}`;
+
+        // Start from the firmware for the role the board has now
+        const role = document.createElement('select');
+        this.firmware.bundled.filter(entry => entry.available).forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.role;
+            option.textContent = `${entry.role} ${entry.version}`;
+            role.appendChild(option);
+        });
+        if (drive.role && Array.from(role.options).some(option => option.value === drive.role)) {
+            role.value = drive.role;
+        }
+
+        const flash = document.createElement('button');
+        flash.textContent = '📦 Flash';
+        flash.disabled = role.options.length === 0;
+        if (flash.disabled) {
+            flash.title = 'No bundled firmware to flash';
+        }
+        flash.addEventListener('click', () => this.flashFirmware(role.value, drive.path));
+
+        item.append(label, role, flash);
+        return item;
+    }
+
+    async flashFirmware(role, drivePath) {
+        if (this.flashing) return;
+        this.flashing = true;
+
+        this.showMessage(`📦 Flashing ${role} firmware to ${drivePath}...`);
+        this.showFlashProgress({ stage: 'checking', percent: 0 });
+
+        const result = await this.run('flashFirmware', role, drivePath);
+        this.flashing = false;
+        this.elements.flashProgress.hidden = true;
+
+        if (!result.success) {
+            this.showMessage(`❌ ${drivePath}: ${result.error}`, false);
+            return;
+        }
+
+        this.showMessage(result.awaitingBoard
+            ? `📦 ${role} ${result.version} copied and accepted - waiting for the board to reconnect...`
+            : `📦 ${role} ${result.version} copied and accepted by ${drivePath}`);
+        this.refreshFirmware();
+    }
+
+    showFlashProgress(progress) {
+        const stages = {
+            checking: 'Checking the file',
+            copying: `Copying ${progress.percent}%`,
+            verifying: 'Waiting for the Microbit to restart',
+            done: 'Done'
+        };
+
+        this.elements.flashProgress.hidden = false;
+        this.elements.flashStage.textContent = stages[progress.stage] || progress.stage;
+        this.elements.flashBar.value = progress.percent;
+    }
+
+    async reassign() {
+        const device = this.selectedDevice();
+        if (!device) return;
+
+        const role = this.elements.reassignRole.value;
+        const number = parseInt(this.elements.reassignNumber.value, 10) || null;
+
+        const result = await this.run('reassign', device.port, role, number);
+        this.showMessage(result.success
+            ? `🔧 ${device.port} is now ${role}${number ? ' ' + number : ''}`
+            : `❌ ${device.port}: ${result.error}`, result.success);
+        this.refresh();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.diagnosticsView = new DiagnosticsView();
+});
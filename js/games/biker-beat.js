@@ -127,8 +127,8 @@ class BikerBeatGame {
         console.log('🚴‍♂️ Setting up HW-484 Hall Sensor listener...');
         
         // Listen for HW-484 hall sensor data from Microbit
-        if (window.ipcRenderer) {
-            window.ipcRenderer.on('microbit-data', (event, data) => {
+        if (window.arcade) {
+            this.unsubscribeBikeData = window.arcade.bikes.onRawData((data) => {
                 console.log('📨 Received Microbit data:', data);
                 
                 if (data.includes('BIKE_REV:')) {
@@ -144,7 +144,10 @@ class BikerBeatGame {
             });
             
             // Also listen for button presses from Microbit (for game controls)
-            window.ipcRenderer.on('microbit-button-press', (event, data) => {
+            this.unsubscribeButtons = window.arcade.buttons.onPress((data) => {
+                // The buttons belong to the player picker once the ride is over
+                if (this.platform && this.platform.playerPicker) return;
+                
                 if (this.showDifficultySelect && data.button >= 1 && data.button <= 4) {
                     const difficulties = ['easy', 'normal', 'hard', 'extreme'];
                     this.selectDifficulty(difficulties[data.button - 1]);
@@ -153,7 +156,7 @@ class BikerBeatGame {
                 }
             });
         } else {
-            console.log('⚠️ IPC Renderer not available - sensor won\'t work');
+            console.log('⚠️ window.arcade not available - sensor won\'t work');
         }
     }
 
@@ -216,7 +219,8 @@ class BikerBeatGame {
     }
 
     updateRPM(rpm) {
-        if (rpm > 0 && rpm <= 300) { // Reasonable RPM range
+        // 0 is allowed - the controller decays the rpm to 0 when pedalling stops
+        if (rpm >= 0 && rpm <= 300) { // Reasonable RPM range
             this.currentRPM = rpm;
             this.maxRPM = Math.max(this.maxRPM, rpm);
             
@@ -420,7 +424,10 @@ class BikerBeatGame {
         this.createVictoryParticles();
         
         setTimeout(() => {
-            this.platform.gameOver(finalScore);
+            this.platform.gameOver(finalScore, {
+                difficulty: this.selectedDifficulty,
+                stats: { maxRpm: this.maxRPM, averageRpm: Math.round(this.averageRPM), seconds: Math.round(completionTime) }
+            });
         }, 4000);
     }
 
@@ -1065,9 +1072,13 @@ class BikerBeatGame {
         this.running = false;
         
         // Clean up event listeners
-        if (window.ipcRenderer) {
-            window.ipcRenderer.removeAllListeners('microbit-data');
-            window.ipcRenderer.removeAllListeners('microbit-button-press');
+        if (this.unsubscribeBikeData) {
+            this.unsubscribeBikeData();
+            this.unsubscribeBikeData = null;
+        }
+        if (this.unsubscribeButtons) {
+            this.unsubscribeButtons();
+            this.unsubscribeButtons = null;
         }
         
         // Remove from window
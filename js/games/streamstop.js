@@ -819,7 +819,10 @@ class StreamStopGame {
     gameOver() {
         this.running = false;
         setTimeout(() => {
-            this.platform.gameOver(this.score);
+            this.platform.gameOver(this.score, {
+                mode: `${this.gameMode.players}-player`,
+                stats: { maxCombo: this.maxCombo }
+            });
         }, 4000);
     }
     
@@ -36,8 +36,8 @@ class WireBuzzerGame {
         this.buzzCount = 0;
         this.maxBuzzes = 3; // Game over after 3 buzzes
         
-        // Microbit connection
-        this.microbitConnected = this.platform.microbitConnected;
+        // Wire buzzer rig - contacts arrive through platform.handleBuzzerContact()
+        this.buzzerConnected = this.platform.buzzerConnected;
         this.buzzDetected = false;
         this.lastBuzzTime = 0;
         
@@ -103,14 +103,24 @@ class WireBuzzerGame {
             });
             this.canvas.dispatchEvent(mouseEvent);
         });
+    }
 
-        // Set up Microbit listener if available
-        if (this.microbitConnected && window.microbitController) {
-            window.microbitController.onData((message) => {
-                if (message.includes('BUZZ') || message.includes('TOUCH')) {
-                    this.onMicrobitBuzz();
-                }
-            });
+    // The real rig: lifting off the start pad starts the run, the wire buzzes, the end pad finishes
+    handleBuzzerContact(contact) {
+        this.buzzerConnected = true;
+        
+        if (contact === 'start-pad') {
+            if (!this.gameStarted) {
+                this.startGame();
+            }
+        } else if (contact === 'buzz') {
+            if (this.gameStarted && !this.gameCompleted && this.running) {
+                this.onMicrobitBuzz();
+            }
+        } else if (contact === 'end-pad') {
+            if (this.gameStarted && !this.gameCompleted && this.running) {
+                this.completeGame();
+            }
         }
     }
 
@@ -192,8 +202,8 @@ class WireBuzzerGame {
             
             // Check if hoop is touching the wire (for visual feedback)
             if (minDistance > this.hoop.radius + this.wireWidth / 2) {
-                // Simulate buzz if not connected to Microbit
-                if (!this.microbitConnected) {
+                // Simulate buzz if there is no wire rig
+                if (!this.buzzerConnected) {
                     this.simulateBuzz();
                 }
             }
@@ -248,13 +258,11 @@ class WireBuzzerGame {
             });
         }
         
-        // Send feedback to Microbit if connected
-        if (this.microbitConnected && window.microbitController) {
-            window.microbitController.showIcon('SAD');
+        // Send feedback to the wire buzzer's display
+        if (this.buzzerConnected) {
+            this.platform.showBuzzerIcon('SAD');
             setTimeout(() => {
-                if (window.microbitController) {
-                    window.microbitController.clearDisplay();
-                }
+                this.platform.clearBuzzerDisplay();
             }, 1000);
         }
     }
@@ -273,9 +281,9 @@ class WireBuzzerGame {
         // Success effect
         this.createSuccessEffect();
         
-        // Send success to Microbit
-        if (this.microbitConnected && window.microbitController) {
-            window.microbitController.showIcon('HAPPY');
+        // Send success to the wire buzzer's display
+        if (this.buzzerConnected) {
+            this.platform.showBuzzerIcon('HAPPY');
         }
         
         setTimeout(() => {
@@ -302,9 +310,9 @@ class WireBuzzerGame {
     gameOver() {
         this.running = false;
         
-        // Send game over to Microbit
-        if (this.microbitConnected && window.microbitController) {
-            window.microbitController.showIcon('NO');
+        // Send game over to the wire buzzer's display
+        if (this.buzzerConnected) {
+            this.platform.showBuzzerIcon('NO');
         }
         
         setTimeout(() => {
@@ -392,8 +400,8 @@ class WireBuzzerGame {
             this.ctx.fillText('Click and drag to start', this.canvas.width / 2, this.canvas.height / 2 + 100 * this.scaleY);
             
             // Microbit status
-            const statusText = this.microbitConnected ? 'Microbit: Connected ✓' : 'Microbit: Not connected (simulation mode)';
-            this.ctx.fillStyle = this.microbitConnected ? '#00ff00' : '#ffaa00';
+            const statusText = this.buzzerConnected ? 'Wire buzzer: Connected ✓' : 'Wire buzzer: Not connected (simulation mode)';
+            this.ctx.fillStyle = this.buzzerConnected ? '#00ff00' : '#ffaa00';
             this.ctx.font = `${Math.max(14, 16 * this.scaleY)}px Arial`;
             this.ctx.fillText(statusText, this.canvas.width / 2, this.canvas.height - 30 * this.scaleY);
             
@@ -0,0 +1,143 @@
+// leaderboard.js - The high score sidebar: one game's board, split by period, variant and class
+//
+// Variants are whatever the game reported to platform.gameOver() as its mode and
+// difficulty (see score-store.js), so Biker Beat's "hard" and Stream Stop's "4-player"
+// rounds get boards of their own. The filters stay put as the mouse moves between games.
+
+const LEADERBOARD_PERIODS = [
+    ['today', 'Today'],
+    ['week', 'This week'],
+    ['term', 'This term'],
+    ['all', 'All time']
+];
+
+class Leaderboard {
+    constructor(platform) {
+        this.platform = platform;
+        this.game = null;
+        this.period = 'all';
+        this.variant = null;        // null - every variant
+        this.classGroup = null;     // null - every class
+        this.facets = { variants: [], classes: [], term: null };
+    }
+
+    async show(game) {
+        if (game !== this.game) {
+            this.game = game;
+            this.variant = null;
+        }
+
+        this.facets = await this.platform.getScoreFacets(game);
+        if (this.variant && !this.facets.variants.includes(this.variant)) {
+            this.variant = null;
+        }
+
+        const scores = await this.platform.getTopScores(game, {
+            limit: 10,
+            period: this.period,
+            variant: this.variant || undefined,
+            classGroup: this.classGroup || undefined
+        });
+
+        // The mouse may have moved on to another game while we waited
+        if (game === this.game) {
+            this.render(scores);
+        }
+    }
+
+    render(scores) {
+        const container = document.getElementById('highScoresList');
+        if (!container) return;
+
+        const title = document.createElement('h4');
+        title.textContent = this.game.charAt(0).toUpperCase() + this.game.slice(1);
+
+        container.replaceChildren(title, this.filters(), this.list(scores));
+    }
+
+    filters() {
+        const row = document.createElement('div');
+        row.className = 'leaderboard-filters';
+
+        const termName = this.facets.term ? ` (${this.facets.term.name})` : '';
+        row.appendChild(this.select(
+            LEADERBOARD_PERIODS.map(([value, label]) => [value, value === 'term' ? label + termName : label]),
+            this.period,
+            (value) => { this.period = value; }
+        ));
+
+        if (this.facets.variants.length > 0) {
+            row.appendChild(this.select(
+                [['', 'All variants'], ...this.facets.variants.map(variant => [variant, variant])],
+                this.variant || '',
+                (value) => { this.variant = value || null; }
+            ));
+        }
+
+        if (this.facets.classes.length > 0) {
+            row.appendChild(this.select(
+                [['', 'All classes'], ...this.facets.classes.map(classGroup => [classGroup, classGroup])],
+                this.classGroup || '',
+                (value) => { this.classGroup = value || null; }
+            ));
+        }
+
+        return row;
+    }
+
+    // options: [[value, label]]
+    select(options, selected, onChange) {
+        const select = document.createElement('select');
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => {
+            onChange(select.value);
+            this.show(this.game);
+        });
+        return select;
+    }
+
+    list(scores) {
+        if (scores.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No scores yet!';
+            return empty;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'score-list';
+
+        scores.forEach((score, index) => {
+            const item = document.createElement('div');
+            item.className = 'score-item';
+
+            // Say which variant and class a score came from when the board mixes them
+            const details = [
+                !this.variant && score.variant,
+                !this.classGroup && score.classGroup
+            ].filter(Boolean);
+
+            const name = document.createElement('span');
+            name.textContent = `${index + 1}. ${score.player}`;
+            if (details.length > 0) {
+                const tag = document.createElement('small');
+                tag.className = 'score-details';
+                tag.textContent = ` ${details.join(' · ')}`;
+                name.appendChild(tag);
+            }
+
+            const value = document.createElement('span');
+            value.textContent = score.score;
+
+            item.append(name, value);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+}
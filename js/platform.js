@@ -1,33 +1,96 @@
-// platform.js 
-
-const { ipcRenderer } = require('electron');
+// platform.js - talks to the main process only through window.arcade (see preload.js)
 
 class GamesPlatform {
     constructor() {
         this.currentGame = null;
         this.gameInstance = null;
         this.microbitConnected = false;
+        this.buzzerConnected = false;
         this.buttonStates = [false, false, false, false]; // Green1, White, Red, Green2
+        this.buttonLayout = null; // Filled from the main process - see button-layout.js
         this.gameOverInProgress = false; // Prevent multiple game over calls
+        this.gameStartedAt = null; // For the play's duration in the score log
+        this.classGroup = localStorage.getItem('arcade.classGroup'); // Recorded with every play
+        this.leaderboard = new Leaderboard(this);
+        this.playerPicker = null;               // Open while a finished game asks who played
         
         console.log('GamesPlatform initializing...');
         this.initializeEventListeners();
+        this.setupClassPicker();
         this.setupMicrobitListeners();
+        this.loadButtonLayout();
         this.checkMicrobitConnection();
     }
 
+    async loadButtonLayout() {
+        try {
+            const result = await window.arcade.buttons.getLayout();
+            if (result.success) {
+                this.applyButtonLayout(result.layout);
+            }
+        } catch (error) {
+            console.error('Error loading button layout:', error);
+        }
+    }
+
+    applyButtonLayout(layout) {
+        this.buttonLayout = layout;
+        this.buttonStates = layout.buttons.map(() => false);
+        
+        // Redraw the indicators for the new set of buttons
+        document.querySelectorAll('.microbit-button-indicator').forEach(indicator => indicator.remove());
+        layout.buttons.forEach(button => this.updateButtonIndicator(button.number, false));
+        
+        if (document.getElementById('led-test-panel')) {
+            this.createLEDTestPanel();
+        }
+        
+        console.log(`🎮 Button layout: ${layout.name} (${layout.buttons.length} buttons)`);
+    }
+
+    getButtonLayout() {
+        return this.buttonLayout;
+    }
+
+    async listButtonLayouts() {
+        try {
+            const result = await window.arcade.buttons.listLayouts();
+            return result.success ? result.layouts : [];
+        } catch (error) {
+            console.error('Error listing button layouts:', error);
+            return [];
+        }
+    }
+
+    // Name of a file in layouts/, or a layout object - the controller restarts with it
+    async setButtonLayout(nameOrLayout) {
+        try {
+            const result = await window.arcade.buttons.setLayout(nameOrLayout);
+            if (!result.success) {
+                console.error('Error setting button layout:', result.error);
+            }
+            return result.success;
+        } catch (error) {
+            console.error('Error setting button layout:', error);
+            return false;
+        }
+    }
+
     setupMicrobitListeners() {
         console.log('Setting up Microbit event listeners...');
         
         // Listen for button press events from Microbits
-        ipcRenderer.on('microbit-button-press', (event, data) => {
+        window.arcade.buttons.onPress((data) => {
             console.log(`🎮 Microbit Button Press: ${data.color} Button ${data.button} (${data.position})`);
             
             // Update button state
             this.buttonStates[data.button - 1] = true;
             
-            // Forward to current game as keyboard event
-            if (this.gameInstance) {
+            // The player picker has the buttons until it closes
+            if (this.playerPicker) {
+                this.playerPicker.handleButton(data.button);
+            } else if (this.gameInstance) {
+                // Forward to current game as keyboard event
                 this.handleMicrobitButtonPress(data);
             }
             
@@ -36,14 +99,14 @@ class GamesPlatform {
         });
 
         // Listen for button release events
-        ipcRenderer.on('microbit-button-release', (event, data) => {
+        window.arcade.buttons.onRelease((data) => {
             console.log(`🎮 Microbit Button Release: ${data.color} Button ${data.button} (${data.position})`);
             
             // Update button state
             this.buttonStates[data.button - 1] = false;
             
             // Forward to current game
-            if (this.gameInstance) {
+            if (this.gameInstance && !this.playerPicker) {
                 this.handleMicrobitButtonRelease(data);
             }
             
@@ -51,31 +114,107 @@ class GamesPlatform {
             this.updateButtonIndicator(data.button, false);
         });
 
+        // Long press, double press, hold and stuck-button gestures from the controller
+        window.arcade.buttons.onGesture((data) => {
+            console.log(`🎮 Microbit Button ${data.gesture}: ${data.color} Button ${data.button}`);
+            
+            if (data.gesture === 'stuck') {
+                this.showDeviceNotice(`Button ${data.button} (${data.color}) seems to be stuck down - check the switch`);
+            }
+            
+            if (this.gameInstance && this.gameInstance.handleMicrobitButtonGesture) {
+                this.gameInstance.handleMicrobitButtonGesture(data);
+            }
+        });
+
+        // Wire buzzer rig - the wire, start pad and end pad, routed like button presses
+        window.arcade.buzzer.onContact((data) => {
+            console.log(`🔔 Wire buzzer: ${data.contact}`);
+            
+            if (this.gameInstance && this.gameInstance.handleBuzzerContact) {
+                this.gameInstance.handleBuzzerContact(data.contact);
+            }
+        });
+
+        window.arcade.buzzer.onStatus((data) => {
+            console.log('Wire buzzer status:', data);
+            this.buzzerConnected = data.status === 'connected';
+        });
+
+        // Tilt / compass / analog / light readings, for games that stream them
+        window.arcade.sensors.onData((data) => {
+            if (this.gameInstance && this.gameInstance.handleMicrobitSensorData) {
+                this.gameInstance.handleMicrobitSensorData(data);
+            }
+        });
+
+        window.arcade.buttons.onLayoutChanged((layout) => {
+            this.applyButtonLayout(layout);
+        });
+
         // Listen for Microbit status updates
-        ipcRenderer.on('microbit-status', (event, data) => {
+        window.arcade.devices.onStatus((data) => {
             console.log('Microbit status update:', data);
             this.updateMicrobitStatus(data.status === 'connected');
         });
 
+        // Hot-plug events - refresh status when a board comes or goes
+        window.arcade.devices.onAttached((data) => {
+            console.log(`🔌 Microbit attached: ${data.port}`);
+            this.checkMicrobitConnection();
+        });
+
+        window.arcade.devices.onDetached((data) => {
+            console.log(`🔌 Microbit detached: ${data.port} (${data.deviceType})`);
+            
+            // A pulled button can't send its release, so clear it here
+            if (data.deviceType === 'button' && data.buttonId) {
+                this.buttonStates[data.buttonId - 1] = false;
+                this.updateButtonIndicator(data.buttonId, false);
+            }
+            
+            this.checkMicrobitConnection();
+        });
+
+        // Two boards claimed the same role - tell whoever is at the screen
+        window.arcade.devices.onConflict((data) => {
+            console.warn('⚠️ Device conflict:', data);
+            this.showDeviceNotice(data.message);
+        });
+
+        // A board is behind the firmware bundled with the platform
+        window.arcade.devices.onFirmwareOutdated((data) => {
+            const board = data.role === 'button' ? `Button ${data.buttonNumber}`
+                : data.role === 'bike' ? `Bike ${data.bikeId}`
+                : data.role === 'buzzer' ? 'The wire buzzer'
+                : data.port;
+            this.showDeviceNotice(`${board} is on firmware ${data.version} - ${data.latest} is available. Update it from Diagnostics (Ctrl+Shift+D)`);
+        });
+
+        // Button assignment wizard - presses come here instead of the game while it runs
+        window.arcade.buttons.onAssignmentPress((data) => {
+            if (this.buttonWizard) {
+                this.buttonWizard.handlePress(data);
+            }
+        });
+
         // ========================================
         // BIKE SENSOR LISTENERS (NEW)
         // ========================================
 
         // Listen for bike sensor status updates
-        ipcRenderer.on('bike-sensor-status', (event, data) => {
+        window.arcade.bikes.onStatus((data) => {
             console.log('🚴‍♂️ Bike sensor status update:', data);
-            this.updateBikeSensorStatus(data.status === 'connected');
+            this.updateBikeSensorStatus(data.status === 'connected', data.bikeCount);
         });
 
         // Listen for bike sensor data (revolutions, RPM, etc.)
-        ipcRenderer.on('bike-sensor-data', (event, data) => {
-            console.log(`🚴‍♂️ Bike sensor data: Rev ${data.revolutions}, RPM ${data.rpm}`);
+        window.arcade.bikes.onData((data) => {
+            console.log(`🚴‍♂️ Bike ${data.bikeId} sensor data: Rev ${data.revolutions}, RPM ${data.rpm}`);
             
-            // Forward to bike game if it's running
-            if (this.currentGame === 'bikerbeat' && this.gameInstance) {
-                if (this.gameInstance.processBikeSensorData) {
-                    this.gameInstance.processBikeSensorData(data);
-                }
+            // Forward to any game that rides bikes - data.bikeId says whose bike it was
+            if (this.gameInstance && this.gameInstance.processBikeSensorData) {
+                this.gameInstance.processBikeSensorData(data);
             }
         });
     }
@@ -179,20 +318,40 @@ class GamesPlatform {
         }
     }
 
+    // Where a button's indicator goes - one column per cabinet (layout group)
+    buttonIndicatorSlot(buttonNumber) {
+        const buttons = this.buttonLayout ? this.buttonLayout.buttons : [];
+        const button = buttons.find(candidate => candidate.number === buttonNumber);
+        if (!button) {
+            return { column: 0, row: buttonNumber - 1 };
+        }
+        
+        const groups = [...new Set(buttons.map(candidate => candidate.group))];
+        const group = buttons.filter(candidate => candidate.group === button.group);
+        return {
+            column: groups.length - 1 - groups.indexOf(button.group),
+            row: group.indexOf(button)
+        };
+    }
+
     updateButtonIndicator(buttonNumber, pressed) {
         // Update visual indicators in the UI
-        const colors = ['green', 'white', 'red', 'green'];
-        const color = colors[buttonNumber - 1];
+        const button = this.buttonLayout && this.buttonLayout.buttons[buttonNumber - 1];
+        const color = button ? button.css : ['#4CAF50', '#ffffff', '#f44336', '#4CAF50'][buttonNumber - 1];
+        const lightColor = ['#ffffff', '#FFEB3B'].includes(color);
         
         // Create or update button indicator
         let indicator = document.getElementById(`microbit-button-${buttonNumber}`);
         if (!indicator) {
+            const slot = this.buttonIndicatorSlot(buttonNumber);
             indicator = document.createElement('div');
             indicator.id = `microbit-button-${buttonNumber}`;
+            indicator.className = 'microbit-button-indicator';
+            indicator.title = button ? `${button.color} ${button.position}${button.group ? ' - ' + button.group : ''}` : '';
             indicator.style.cssText = `
                 position: fixed;
-                bottom: ${20 + (buttonNumber - 1) * 60}px;
-                right: 20px;
+                bottom: ${20 + slot.row * 60}px;
+                right: ${20 + slot.column * 60}px;
                 width: 50px;
                 height: 50px;
                 border-radius: 25px;
@@ -209,8 +368,8 @@ class GamesPlatform {
         
         // Update appearance based on state
         if (pressed) {
-            indicator.style.backgroundColor = color === 'white' ? '#ffffff' : color;
-            indicator.style.color = color === 'white' ? '#000' : '#fff';
+            indicator.style.backgroundColor = color;
+            indicator.style.color = lightColor ? '#000' : '#fff';
             indicator.style.transform = 'scale(1.2)';
             indicator.textContent = `${buttonNumber}`;
         } else {
@@ -221,13 +380,73 @@ class GamesPlatform {
         }
     }
 
+    showDeviceNotice(message) {
+        let notice = document.getElementById('deviceNotice');
+        
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = 'deviceNotice';
+            notice.style.cssText = `
+                position: fixed;
+                top: 90px;
+                right: 10px;
+                max-width: 320px;
+                padding: 8px 12px;
+                background: rgba(255, 165, 0, 0.9);
+                color: #000;
+                border-radius: 8px;
+                font-size: 0.85em;
+                z-index: 1002;
+            `;
+            document.body.appendChild(notice);
+        }
+        
+        notice.textContent = `⚠️ ${message}`;
+        
+        clearTimeout(this.deviceNoticeTimeout);
+        this.deviceNoticeTimeout = setTimeout(() => notice.remove(), 6000);
+    }
+
+    // ========================================
+    // DEVICE REGISTRY METHODS
+    // ========================================
+
+    async getDeviceRegistry() {
+        try {
+            const result = await window.arcade.devices.getRegistry();
+            return result.success ? result.devices : [];
+        } catch (error) {
+            console.error('Error getting device registry:', error);
+            return [];
+        }
+    }
+
+    async assignDeviceRole(serialNumber, role, buttonNumber = null) {
+        try {
+            return await window.arcade.devices.assignRole(serialNumber, role, buttonNumber);
+        } catch (error) {
+            console.error('Error assigning device role:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async forgetDevice(serialNumber) {
+        try {
+            const result = await window.arcade.devices.forget(serialNumber);
+            return result.success;
+        } catch (error) {
+            console.error('Error forgetting device:', error);
+            return false;
+        }
+    }
+
     // ========================================
     // BIKE SENSOR METHODS (NEW)
     // ========================================
 
     async getBikeSensorStatus() {
         try {
-            const result = await ipcRenderer.invoke('get-bike-sensor-status');
+            const result = await window.arcade.bikes.getStatus();
             return result;
         } catch (error) {
             console.error('Error getting bike sensor status:', error);
@@ -235,9 +454,44 @@ class GamesPlatform {
         }
     }
 
-    async resetBikeCounter() {
+    // Bike data for one bike, or the primary bike when bikeId is left out
+    async getBikeData(bikeId = null) {
+        try {
+            const result = await window.arcade.bikes.getData(bikeId);
+            return result.success ? result.data : null;
+        } catch (error) {
+            console.error('Error getting bike data:', error);
+            return null;
+        }
+    }
+
+    async getAllBikeData() {
+        try {
+            const result = await window.arcade.bikes.getAll();
+            return result.success ? result.bikes : [];
+        } catch (error) {
+            console.error('Error getting bike data:', error);
+            return [];
+        }
+    }
+
+    async setBikeCalibration(bikeId, calibration) {
+        try {
+            const result = await window.arcade.bikes.setCalibration(bikeId, calibration);
+            if (!result.success) {
+                console.warn(`⚠️ Could not calibrate bike ${bikeId}: ${result.error}`);
+            }
+            return result.success;
+        } catch (error) {
+            console.error('Error setting bike calibration:', error);
+            return false;
+        }
+    }
+
+    // Leave bikeId out to reset every connected bike
+    async resetBikeCounter(bikeId = null) {
         try {
-            const result = await ipcRenderer.invoke('reset-bike-counter');
+            const result = await window.arcade.bikes.resetCounter(bikeId);
             return result.success;
         } catch (error) {
             console.error('Error resetting bike counter:', error);
@@ -245,9 +499,9 @@ class GamesPlatform {
         }
     }
 
-    async setBikeGameMode(active) {
+    async setBikeGameMode(active, bikeId = null) {
         try {
-            const result = await ipcRenderer.invoke('set-bike-game-mode', active);
+            const result = await window.arcade.bikes.setGameMode(active, bikeId);
             return result.success;
         } catch (error) {
             console.error('Error setting bike game mode:', error);
@@ -257,32 +511,20 @@ class GamesPlatform {
 
     async onBikeStart() {
         console.log('🚴‍♂️ Bike starting - LED pattern');
-        try {
-            await ipcRenderer.invoke('bike-start-pattern');
-        } catch (error) {
-            console.error('Error running bike start pattern:', error);
-        }
+        await this.playLEDPattern('bike-start');
     }
 
     async onBikeMilestone(milestone) {
         console.log(`🚴‍♂️ Bike milestone ${milestone} - LED pattern`);
-        try {
-            await ipcRenderer.invoke('bike-milestone-pattern', milestone);
-        } catch (error) {
-            console.error('Error running bike milestone pattern:', error);
-        }
+        await this.playLEDPattern(milestone >= 4 ? 'bike-victory' : `bike-milestone-${milestone}`);
     }
 
     async onBikeVictory() {
         console.log('🚴‍♂️ Bike victory - LED pattern');
-        try {
-            await ipcRenderer.invoke('bike-victory-pattern');
-        } catch (error) {
-            console.error('Error running bike victory pattern:', error);
-        }
+        await this.playLEDPattern('bike-victory');
     }
 
-    updateBikeSensorStatus(connected) {
+    updateBikeSensorStatus(connected, bikeCount = 1) {
         let bikeStatus = document.getElementById('bikeSensorStatus');
         
         if (!bikeStatus) {
@@ -302,7 +544,9 @@ class GamesPlatform {
         }
         
         if (connected) {
-            bikeStatus.textContent = '🚴‍♂️ Bike Sensor: Connected';
+            bikeStatus.textContent = bikeCount > 1
+                ? `🚴‍♂️ Bike Sensors: ${bikeCount} Connected`
+                : '🚴‍♂️ Bike Sensor: Connected';
             bikeStatus.style.background = 'rgba(0, 255, 0, 0.3)';
         } else {
             bikeStatus.textContent = '🚴‍♂️ Bike Sensor: Searching...';
@@ -317,7 +561,7 @@ class GamesPlatform {
     // Basic LED Control
     async setLED(buttonNumber, state) {
         try {
-            const result = await ipcRenderer.invoke('set-led', buttonNumber, state);
+            const result = await window.arcade.leds.set(buttonNumber, state);
             if (result.success) {
                 console.log(`💡 LED ${buttonNumber} set to ${state ? 'ON' : 'OFF'}`);
             }
@@ -330,7 +574,7 @@ class GamesPlatform {
 
     async setAllLEDs(state) {
         try {
-            const result = await ipcRenderer.invoke('set-all-leds', state);
+            const result = await window.arcade.leds.setAll(state);
             if (result.success) {
                 console.log(`💡 All LEDs set to ${state ? 'ON' : 'OFF'}`);
             }
@@ -341,9 +585,31 @@ class GamesPlatform {
         }
     }
 
+    // frame: [led1, led2, led3, led4], each true/false or { on, brightness, blink }
+    async setLEDFrame(frame) {
+        try {
+            const result = await window.arcade.leds.setFrame(frame);
+            return result.success;
+        } catch (error) {
+            console.error('Error setting LED frame:', error);
+            return false;
+        }
+    }
+
+    // frames: [{ at: ms, leds: frame }, ...]
+    async playLEDFrames(frames) {
+        try {
+            const result = await window.arcade.leds.playFrames(frames);
+            return result.success;
+        } catch (error) {
+            console.error('Error playing LED frames:', error);
+            return false;
+        }
+    }
+
     async flashLED(buttonNumber, times = 3, duration = 500) {
         try {
-            const result = await ipcRenderer.invoke('flash-led', buttonNumber, times, duration);
+            const result = await window.arcade.leds.flash(buttonNumber, times, duration);
             if (result.success) {
                 console.log(`⚡ LED ${buttonNumber} flashed ${times} times`);
             }
@@ -356,7 +622,7 @@ class GamesPlatform {
 
     async flashAllLEDs(times = 3, duration = 300) {
         try {
-            const result = await ipcRenderer.invoke('flash-all-leds', times, duration);
+            const result = await window.arcade.leds.flashAll(times, duration);
             if (result.success) {
                 console.log(`⚡ All LEDs flashed ${times} times`);
             }
@@ -369,7 +635,7 @@ class GamesPlatform {
 
     async chaseLEDs(rounds = 2, speed = 200) {
         try {
-            const result = await ipcRenderer.invoke('chase-leds', rounds, speed);
+            const result = await window.arcade.leds.chase(rounds, speed);
             if (result.success) {
                 console.log(`🌈 LED chase pattern completed`);
             }
@@ -383,7 +649,7 @@ class GamesPlatform {
     // Random LED Patterns
     async randomLEDSequence(count = 4, onDuration = 500, offDuration = 100, totalSequences = 1) {
         try {
-            const result = await ipcRenderer.invoke('random-led-sequence', count, onDuration, offDuration, totalSequences);
+            const result = await window.arcade.leds.randomSequence(count, onDuration, offDuration, totalSequences);
             if (result.success) {
                 console.log(`🎲 Random LED sequence completed`);
             }
@@ -396,7 +662,7 @@ class GamesPlatform {
 
     async randomFlashSequence(sequences = 3, flashDuration = 500) {
         try {
-            const result = await ipcRenderer.invoke('random-flash-sequence', sequences, flashDuration);
+            const result = await window.arcade.leds.randomFlashSequence(sequences, flashDuration);
             if (result.success) {
                 console.log(`⚡ Random flash sequence completed`);
             }
@@ -409,7 +675,7 @@ class GamesPlatform {
 
     async randomLEDGame(rounds = 5, speed = 600) {
         try {
-            const result = await ipcRenderer.invoke('random-led-game', rounds, speed);
+            const result = await window.arcade.leds.randomGame(rounds, speed);
             if (result.success) {
                 console.log(`🎮 Random LED game completed`);
             }
@@ -422,7 +688,7 @@ class GamesPlatform {
 
     async simonSaysPattern(patternLength = 4, playbackSpeed = 800) {
         try {
-            const result = await ipcRenderer.invoke('simon-says-pattern', patternLength, playbackSpeed);
+            const result = await window.arcade.leds.simonSays(patternLength, playbackSpeed);
             if (result.success) {
                 console.log(`🧠 Simon Says pattern: ${result.pattern.join(' → ')}`);
                 return result.pattern; // Return the pattern for games to use
@@ -436,7 +702,7 @@ class GamesPlatform {
 
     async randomCascade(waves = 3, waveSpeed = 200) {
         try {
-            const result = await ipcRenderer.invoke('random-cascade', waves, waveSpeed);
+            const result = await window.arcade.leds.randomCascade(waves, waveSpeed);
             if (result.success) {
                 console.log(`🌊 Random cascade completed`);
             }
@@ -449,7 +715,7 @@ class GamesPlatform {
 
     async rhythmicRandomPattern(beats = 8, tempo = 600) {
         try {
-            const result = await ipcRenderer.invoke('rhythmic-random-pattern', beats, tempo);
+            const result = await window.arcade.leds.rhythmicPattern(beats, tempo);
             if (result.success) {
                 console.log(`🎵 Rhythmic random pattern completed`);
             }
@@ -460,20 +726,65 @@ class GamesPlatform {
         }
     }
 
+    // Pattern library - any JSON file in led-patterns/ can be played by name
+    async playLEDPattern(name, options = {}) {
+        try {
+            const result = await window.arcade.leds.playPattern(name, options);
+            if (!result.success && result.error) {
+                console.error(`Error playing LED pattern ${name}:`, result.error);
+            }
+            return result.success;
+        } catch (error) {
+            console.error(`Error playing LED pattern ${name}:`, error);
+            return false;
+        }
+    }
+
+    async listLEDPatterns() {
+        try {
+            const result = await window.arcade.leds.listPatterns();
+            return result.success ? result.patterns : [];
+        } catch (error) {
+            console.error('Error listing LED patterns:', error);
+            return [];
+        }
+    }
+
+    // Stop every running LED animation and leave the LEDs in finalState (all off by default)
+    async stopAllLEDAnimations(finalState = null) {
+        try {
+            const result = await window.arcade.leds.stopAll(finalState);
+            return result.success;
+        } catch (error) {
+            console.error('Error stopping LED animations:', error);
+            return false;
+        }
+    }
+
+    async stopLEDAnimation(idOrName) {
+        try {
+            const result = await window.arcade.leds.stop(idOrName);
+            return result.success;
+        } catch (error) {
+            console.error('Error stopping LED animation:', error);
+            return false;
+        }
+    }
+
     // Game Event LED Patterns
     async onGameStart() {
         console.log('🎮 Game starting - LED pattern');
-        await ipcRenderer.invoke('game-start-pattern');
+        await this.playLEDPattern('game-start');
     }
 
     async onGameOver() {
         console.log('🎮 Game over - LED pattern');
-        await ipcRenderer.invoke('game-over-pattern');
+        await this.playLEDPattern('game-over');
     }
 
     async onGameWin() {
         console.log('🎮 Game won - LED pattern');
-        await ipcRenderer.invoke('game-win-pattern');
+        await this.playLEDPattern('game-win');
     }
 
     // ========================================
@@ -501,6 +812,7 @@ class GamesPlatform {
         // Run game start LED pattern
         await this.onGameStart();
         this.currentGame = gameType;
+        this.gameStartedAt = Date.now();
         
         // Hide main menu, show game screen
         const mainMenu = document.getElementById('mainMenu');
@@ -604,8 +916,9 @@ class GamesPlatform {
                     case 'rhythmtimer':
                         if (typeof RhythmTimerGame !== 'undefined') {
                             this.gameInstance = new RhythmTimerGame(canvas, ctx, this);
+                            // Ambient pulse - game events cancel it instead of fighting it
                             this.rhythmLEDInterval = setInterval(async () => {
-                                await this.flashLED(1, 1, 200);
+                                await this.playLEDPattern('rhythm-pulse');
                             }, 2000);
                         } else {
                             console.error('RhythmTimerGame class not found');
@@ -675,6 +988,12 @@ class GamesPlatform {
             this.rhythmLEDInterval = null;
         }
         
+        // Cancel any pattern still playing so nothing flickers on over the menu
+        await this.stopAllLEDAnimations();
+        
+        // Games that steered by tilt leave their streams running
+        await this.stopSensorStreams();
+        
         // Special cleanup for bike game (NEW)
         if (this.currentGame === 'bikerbeat') {
             await this.setBikeGameMode(false);
@@ -693,9 +1012,6 @@ class GamesPlatform {
         // Clear the current game reference
         this.currentGame = null;
         
-        // Turn off all LEDs
-        await this.setAllLEDs(false);
-        
         const gameScreen = document.getElementById('gameScreen');
         const mainMenu = document.getElementById('mainMenu');
         
@@ -705,18 +1021,36 @@ class GamesPlatform {
         console.log('Returned to main menu successfully');
     }
 
-    async gameOver(score) {
+    // details is optional: { mode, difficulty, stats } for the score log - mode and
+    // difficulty decide which leaderboard variant the score goes on
+    async gameOver(score, details = {}) {
+        if (this.gameOverInProgress) return;
+        this.gameOverInProgress = true;
+        
+        // Time the play and note the game before the player picker holds things up
+        const game = this.currentGame;
+        const duration = this.gameStartedAt ? Date.now() - this.gameStartedAt : null;
+        
         // Run game over LED pattern
         await this.onGameOver();
         
-        const playerName = prompt(`Game Over! Score: ${score}\nEnter your name for the high score list:`);
+        // Who played? Picked on the arcade buttons - null if they skipped
+        this.playerPicker = new PlayerPicker(this);
+        const player = await this.playerPicker.pick(score);
+        const best = player ? await this.getPersonalBest(player, game) : null;
         
-        if (playerName && playerName.trim()) {
-            const result = await this.saveHighScore(playerName.trim(), score);
-            if (result.success) {
-                alert('High score saved!');
-            }
+        // Every play is kept - without a name it just doesn't make the high score list
+        const result = await this.recordPlay(game, player, score, { duration, ...details });
+        let message = null;
+        if (player && result.success) {
+            message = !best || score > best.score
+                ? `🌟 New personal best, ${player.name}!`
+                : `${player.avatar} Saved! Your best is ${best.score}`;
+        } else if (player) {
+            message = '❌ Could not save the score';
         }
+        await this.playerPicker.close(message);
+        this.playerPicker = null;
         
         // Turn off LEDs after game over
         setTimeout(async () => {
@@ -739,20 +1073,11 @@ class GamesPlatform {
         const testPanel = document.createElement('div');
         testPanel.id = 'led-test-panel';
         testPanel.innerHTML = `
-            <div style="position: fixed; top: 100px; left: 10px; background: rgba(0,0,0,0.95); color: white; padding: 15px; border-radius: 8px; z-index: 1000; font-family: Arial; max-width: 300px;">
+            <div style="position: fixed; top: 100px; left: 10px; background: rgba(0,0,0,0.95); color: white; padding: 15px; border-radius: 8px; z-index: 1000; font-family: Arial; max-width: 300px; max-height: calc(100vh - 120px); overflow-y: auto;">
                 <h4>🎮 LED Control Panel</h4>
                 
-                <!-- Individual LED Controls -->
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 15px;">
-                    <button id="led-1-on" style="padding: 8px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 1 ON</button>
-                    <button id="led-1-off" style="padding: 8px; background: #666; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 1 OFF</button>
-                    <button id="led-2-on" style="padding: 8px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 2 ON</button>
-                    <button id="led-2-off" style="padding: 8px; background: #666; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 2 OFF</button>
-                    <button id="led-3-on" style="padding: 8px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 3 ON</button>
-                    <button id="led-3-off" style="padding: 8px; background: #666; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 3 OFF</button>
-                    <button id="led-4-on" style="padding: 8px; background: #4CAF50; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 4 ON</button>
-                    <button id="led-4-off" style="padding: 8px; background: #666; color: white; border: none; border-radius: 4px; cursor: pointer;">LED 4 OFF</button>
-                </div>
+                <!-- Individual LED Controls (one row per button in the layout) -->
+                <div id="led-individual-controls" style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 15px;"></div>
 
                 <!-- Basic Controls -->
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 15px;">
@@ -781,6 +1106,11 @@ class GamesPlatform {
                     <button id="game-win-btn" style="padding: 8px; background: #FFD700; color: black; border: none; border-radius: 4px; cursor: pointer;">Win</button>
                 </div>
 
+                <!-- Pattern Library (filled from led-patterns/) -->
+                <h5 style="margin: 15px 0 10px 0; color: #FFD700;">📚 Pattern Library</h5>
+                <div id="led-pattern-library" style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; margin-bottom: 15px;"></div>
+
+                <button id="assign-buttons" style="margin-top: 10px; width: 100%; padding: 10px; background: #1565C0; color: white; border: none; border-radius: 4px; cursor: pointer;">🔧 Assign Buttons</button>
                 <button id="close-led-panel" style="margin-top: 10px; width: 100%; padding: 10px; background: #333; color: white; border: none; border-radius: 4px; cursor: pointer;">Close Panel</button>
             </div>
         `;
@@ -788,14 +1118,29 @@ class GamesPlatform {
         document.body.appendChild(testPanel);
         
         // Individual LED controls
-        document.getElementById('led-1-on').onclick = () => this.setLED(1, true);
-        document.getElementById('led-1-off').onclick = () => this.setLED(1, false);
-        document.getElementById('led-2-on').onclick = () => this.setLED(2, true);
-        document.getElementById('led-2-off').onclick = () => this.setLED(2, false);
-        document.getElementById('led-3-on').onclick = () => this.setLED(3, true);
-        document.getElementById('led-3-off').onclick = () => this.setLED(3, false);
-        document.getElementById('led-4-on').onclick = () => this.setLED(4, true);
-        document.getElementById('led-4-off').onclick = () => this.setLED(4, false);
+        const individual = document.getElementById('led-individual-controls');
+        const buttons = this.buttonLayout
+            ? this.buttonLayout.buttons
+            : this.buttonStates.map((state, index) => ({ number: index + 1, css: '#4CAF50' }));
+        
+        buttons.forEach(button => {
+            const label = button.group ? `${button.group} LED ${button.number}` : `LED ${button.number}`;
+            
+            const on = document.createElement('button');
+            on.id = `led-${button.number}-on`;
+            on.textContent = `${label} ON`;
+            on.style.cssText = `padding: 8px; background: ${button.css}; color: ${['#ffffff', '#FFEB3B'].includes(button.css) ? 'black' : 'white'}; border: none; border-radius: 4px; cursor: pointer;`;
+            on.onclick = () => this.setLED(button.number, true);
+            
+            const off = document.createElement('button');
+            off.id = `led-${button.number}-off`;
+            off.textContent = `${label} OFF`;
+            off.style.cssText = 'padding: 8px; background: #666; color: white; border: none; border-radius: 4px; cursor: pointer;';
+            off.onclick = () => this.setLED(button.number, false);
+            
+            individual.appendChild(on);
+            individual.appendChild(off);
+        });
         
         // Basic controls
         document.getElementById('all-leds-on').onclick = () => this.setAllLEDs(true);
@@ -816,6 +1161,26 @@ class GamesPlatform {
         document.getElementById('game-over-btn').onclick = () => this.onGameOver();
         document.getElementById('game-win-btn').onclick = () => this.onGameWin();
         
+        // Pattern library - one button per JSON pattern file
+        this.listLEDPatterns().then(patterns => {
+            const library = document.getElementById('led-pattern-library');
+            if (!library) return;
+            
+            patterns.forEach(pattern => {
+                const button = document.createElement('button');
+                button.textContent = pattern.name;
+                button.title = pattern.description;
+                button.style.cssText = 'padding: 8px; background: #00838F; color: white; border: none; border-radius: 4px; cursor: pointer;';
+                button.onclick = () => this.playLEDPattern(pattern.name);
+                library.appendChild(button);
+            });
+        });
+        
+        document.getElementById('assign-buttons').onclick = () => {
+            document.getElementById('led-test-panel').remove();
+            this.openButtonWizard();
+        };
+        
         document.getElementById('close-led-panel').onclick = () => {
             document.getElementById('led-test-panel').remove();
         };
@@ -829,7 +1194,7 @@ class GamesPlatform {
 
     async checkMicrobitConnection() {
         try {
-            const status = await ipcRenderer.invoke('get-microbit-status');
+            const status = await window.arcade.devices.getStatus();
             this.microbitConnected = status.connected;
             this.updateMicrobitStatus(status.connected);
             
@@ -838,12 +1203,15 @@ class GamesPlatform {
             }
 
             // Also check bike sensor status (NEW)
-            const bikeStatus = await ipcRenderer.invoke('get-bike-sensor-status');
-            this.updateBikeSensorStatus(bikeStatus.connected);
+            const bikeStatus = await window.arcade.bikes.getStatus();
+            this.updateBikeSensorStatus(bikeStatus.connected, bikeStatus.bikeCount);
             
             if (bikeStatus.connected) {
-                console.log(`✅ HW-484 Bike Sensor connected`);
+                console.log(`✅ ${bikeStatus.bikeCount} HW-484 Bike Sensor(s) connected`);
             }
+            
+            const buzzerStatus = await window.arcade.buzzer.getStatus();
+            this.buzzerConnected = buzzerStatus.connected;
         } catch (error) {
             console.log('Microbit not available:', error.message);
             this.updateMicrobitStatus(false);
@@ -851,6 +1219,220 @@ class GamesPlatform {
         }
     }
 
+    // Second window with every board's traffic and errors - see diagnostics.html
+    async openDiagnostics() {
+        try {
+            await window.arcade.devices.openDiagnostics();
+        } catch (error) {
+            console.error('Error opening diagnostics window:', error);
+        }
+    }
+
+    // ========================================
+    // BUTTON ASSIGNMENT WIZARD
+    // ========================================
+
+    // Walk through the layout pressing each lit button - see button-wizard.js
+    openButtonWizard() {
+        if (this.buttonWizard) return;
+        
+        this.buttonWizard = new ButtonAssignmentWizard(this);
+        this.buttonWizard.onClose = () => {
+            this.buttonWizard = null;
+        };
+        this.buttonWizard.start();
+    }
+
+    async startButtonAssignment() {
+        try {
+            return await window.arcade.buttons.startAssignment();
+        } catch (error) {
+            console.error('Error starting button assignment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async setBoardLED(portPath, on) {
+        try {
+            const result = await window.arcade.buttons.setBoardLED(portPath, on);
+            return result.success;
+        } catch (error) {
+            console.error('Error setting board LED:', error);
+            return false;
+        }
+    }
+
+    async finishButtonAssignment(assignments) {
+        try {
+            return await window.arcade.buttons.finishAssignment(assignments);
+        } catch (error) {
+            console.error('Error saving button assignment:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async cancelButtonAssignment() {
+        try {
+            const result = await window.arcade.buttons.cancelAssignment();
+            return result.success;
+        } catch (error) {
+            console.error('Error cancelling button assignment:', error);
+            return false;
+        }
+    }
+
+    async getDeviceStats() {
+        try {
+            const result = await window.arcade.devices.getStats();
+            return result.success ? result.devices : [];
+        } catch (error) {
+            console.error('Error getting device stats:', error);
+            return [];
+        }
+    }
+
+    async getDiagnostics(limit = 50) {
+        try {
+            const result = await window.arcade.devices.getDiagnostics(limit);
+            return result.success ? result.diagnostics : [];
+        } catch (error) {
+            console.error('Error getting Microbit diagnostics:', error);
+            return [];
+        }
+    }
+
+    // Wire buzzer's own 5x5 display - HAPPY, SAD, NO or YES
+    async showBuzzerIcon(icon) {
+        if (!this.buzzerConnected) return false;
+        
+        try {
+            const result = await window.arcade.buzzer.showIcon(icon);
+            return result.success;
+        } catch (error) {
+            console.error('Error showing buzzer icon:', error);
+            return false;
+        }
+    }
+
+    async clearBuzzerDisplay() {
+        if (!this.buzzerConnected) return false;
+        
+        try {
+            const result = await window.arcade.buzzer.clearDisplay();
+            return result.success;
+        } catch (error) {
+            console.error('Error clearing buzzer display:', error);
+            return false;
+        }
+    }
+
+    // Start a sensor stream, e.g. setSensorRate('TILT', 20, 1) for button 1's board. 0 Hz stops it.
+    async setSensorRate(sensor, hz, target = null) {
+        try {
+            const result = await window.arcade.sensors.setRate(sensor, hz, target);
+            if (!result.success) {
+                console.warn(`Could not set ${sensor} rate:`, result.error);
+            }
+            return result.success;
+        } catch (error) {
+            console.error('Error setting sensor rate:', error);
+            return false;
+        }
+    }
+
+    async stopSensorStreams() {
+        try {
+            const result = await window.arcade.sensors.stopStreams();
+            return result.success;
+        } catch (error) {
+            console.error('Error stopping sensor streams:', error);
+            return false;
+        }
+    }
+
+    async getSensorData(sensor = null) {
+        try {
+            const result = await window.arcade.sensors.getData(sensor);
+            return result.success ? result.readings : [];
+        } catch (error) {
+            console.error('Error getting sensor data:', error);
+            return [];
+        }
+    }
+
+    async getButtonInputConfig() {
+        try {
+            const result = await window.arcade.buttons.getInputConfig();
+            return result.success ? result.config : null;
+        } catch (error) {
+            console.error('Error getting button input config:', error);
+            return null;
+        }
+    }
+
+    // e.g. { debounceTime: 50, longPressTime: 1000, buttons: { 3: { debounceTime: 80 } } }
+    async setButtonInputConfig(config) {
+        try {
+            const result = await window.arcade.buttons.setInputConfig(config);
+            return result.success ? result.config : null;
+        } catch (error) {
+            console.error('Error setting button input config:', error);
+            return null;
+        }
+    }
+
+    // Record raw serial traffic to userData/captures (name is optional)
+    async startSerialCapture(name) {
+        try {
+            const result = await window.arcade.capture.start(name);
+            return result.success ? result.capture : null;
+        } catch (error) {
+            console.error('Error starting serial capture:', error);
+            return null;
+        }
+    }
+
+    async stopSerialCapture() {
+        try {
+            const result = await window.arcade.capture.stop();
+            return result.success ? result.capture : null;
+        } catch (error) {
+            console.error('Error stopping serial capture:', error);
+            return null;
+        }
+    }
+
+    async listSerialCaptures() {
+        try {
+            const result = await window.arcade.capture.list();
+            return result.success ? result.captures : [];
+        } catch (error) {
+            console.error('Error listing serial captures:', error);
+            return [];
+        }
+    }
+
+    // speed 1 = as recorded, 4 = four times faster
+    async replaySerialCapture(name, speed = 1) {
+        try {
+            const result = await window.arcade.capture.replay(name, speed);
+            return result.success ? result.replay : null;
+        } catch (error) {
+            console.error('Error replaying serial capture:', error);
+            return null;
+        }
+    }
+
+    async stopSerialReplay() {
+        try {
+            const result = await window.arcade.capture.stopReplay();
+            return result.success;
+        } catch (error) {
+            console.error('Error stopping serial replay:', error);
+            return false;
+        }
+    }
+
     updateMicrobitStatus(connected) {
         const status = document.getElementById('microbitStatus');
         if (!status) return;
@@ -887,18 +1469,22 @@ class GamesPlatform {
         if (backBtn) {
             backBtn.addEventListener('click', () => {
                 console.log('Back button clicked');
+                // The finished game's score is still waiting on the player picker
+                if (this.playerPicker) return;
                 this.returnToMenu();
             });
         }
 
         // Keep keyboard events for fallback
         document.addEventListener('keydown', (e) => {
+            if (this.playerPicker) return;
             if (this.gameInstance && this.gameInstance.handleKeyDown) {
                 this.gameInstance.handleKeyDown(e);
             }
         });
 
         document.addEventListener('keyup', (e) => {
+            if (this.playerPicker) return;
             if (this.gameInstance && this.gameInstance.handleKeyUp) {
                 this.gameInstance.handleKeyUp(e);
             }
@@ -909,32 +1495,60 @@ class GamesPlatform {
 
     async showHighScores(gameType) {
         try {
-            const scores = await ipcRenderer.invoke('get-high-scores', gameType);
-            const scoresList = document.getElementById('highScoresList');
-            
-            if (!scoresList) return;
-            
-            if (scores.length === 0) {
-                scoresList.innerHTML = '<p>No scores yet!</p>';
-                return;
-            }
+            await this.leaderboard.show(gameType);
+        } catch (error) {
+            console.error('Error loading high scores:', error);
+        }
+    }
 
-            const scoresHTML = scores.map((score, index) => `
-                <div class="score-item">
-                    <span>${index + 1}. ${score.name}</span>
-                    <span>${score.score}</span>
-                </div>
-            `).join('');
+    async getTopScores(game, options = {}) {
+        try {
+            const result = await window.arcade.scores.top(game, options);
+            return result.success ? result.scores : [];
+        } catch (error) {
+            console.error('Error getting top scores:', error);
+            return [];
+        }
+    }
 
-            scoresList.innerHTML = `
-                <h4>${gameType.charAt(0).toUpperCase() + gameType.slice(1)}</h4>
-                <div class="score-list">${scoresHTML}</div>
-            `;
+    // { variants, classes, term } for the leaderboard filters
+    async getScoreFacets(game) {
+        try {
+            const result = await window.arcade.scores.facets(game);
+            return result.success ? result.facets : { variants: [], classes: [], term: null };
         } catch (error) {
-            console.error('Error loading high scores:', error);
+            console.error('Error getting score facets:', error);
+            return { variants: [], classes: [], term: null };
         }
     }
 
+    // The class at the arcade right now - set by the teacher, remembered between sessions
+    setupClassPicker() {
+        const input = document.getElementById('classGroupInput');
+        if (!input) return;
+
+        input.value = this.classGroup || '';
+        input.addEventListener('change', () => {
+            this.classGroup = input.value.trim() || null;
+            if (this.classGroup) {
+                localStorage.setItem('arcade.classGroup', this.classGroup);
+            } else {
+                localStorage.removeItem('arcade.classGroup');
+            }
+        });
+
+        // Classes already in the score log, as suggestions
+        this.getScoreFacets(null).then(facets => {
+            const list = document.getElementById('classGroupList');
+            if (!list) return;
+            list.replaceChildren(...facets.classes.map(classGroup => {
+                const option = document.createElement('option');
+                option.value = classGroup;
+                return option;
+            }));
+        });
+    }
+
     updateScore(score) {
         const scoreElement = document.getElementById('gameScore');
         if (scoreElement) {
@@ -942,15 +1556,68 @@ class GamesPlatform {
         }
     }
 
-    async saveHighScore(playerName, score) {
+    // player is a profile from the player picker, or null if nobody said who played
+    async recordPlay(game, player, score, details = {}) {
         try {
-            const result = await ipcRenderer.invoke('save-high-score', this.currentGame, playerName, score);
-            return result;
+            return await window.arcade.scores.record({
+                game,
+                player: player ? player.name : null,
+                playerId: player ? player.id : null,
+                score,
+                mode: details.mode,
+                difficulty: details.difficulty,
+                classGroup: (player && player.classGroup) || this.classGroup,
+                duration: details.duration,
+                stats: details.stats
+            });
         } catch (error) {
-            console.error('Error saving high score:', error);
+            console.error('Error recording play:', error);
             return { success: false };
         }
     }
+
+    // A player profile's best play in the current game, or null
+    async getPersonalBest(player, game = this.currentGame) {
+        try {
+            const result = await window.arcade.scores.personalBest(game, null, { playerId: player.id });
+            return result.success ? result.best : null;
+        } catch (error) {
+            console.error('Error getting personal best:', error);
+            return null;
+        }
+    }
+
+    // Player profiles - options: { classGroup } puts that class's players first
+    async getPlayers(options = {}) {
+        try {
+            const result = await window.arcade.players.list(options);
+            return result.success ? result.players : [];
+        } catch (error) {
+            console.error('Error getting players:', error);
+            return [];
+        }
+    }
+
+    // { avatars, characters, maxNameLength } for the player picker
+    async getPlayerOptions() {
+        try {
+            const result = await window.arcade.players.options();
+            return result.success ? { avatars: result.avatars, characters: result.characters, maxNameLength: result.maxNameLength } : null;
+        } catch (error) {
+            console.error('Error getting player options:', error);
+            return null;
+        }
+    }
+
+    // Returns { success, player } or { success: false, error }
+    async createPlayer(profile) {
+        try {
+            return await window.arcade.players.create(profile);
+        } catch (error) {
+            console.error('Error creating player:', error);
+            return { success: false, error: 'Could not save the player' };
+        }
+    }
 }
 
 // Add keyboard shortcut to open LED test panel
@@ -961,6 +1628,18 @@ document.addEventListener('keydown', (e) => {
             window.gamesPlatform.createLEDTestPanel();
         }
     }
+    if (e.key === 'B' && e.ctrlKey) { // Ctrl+Shift+B
+        e.preventDefault();
+        if (window.gamesPlatform) {
+            window.gamesPlatform.openButtonWizard();
+        }
+    }
+    if (e.key === 'D' && e.ctrlKey) { // Ctrl+Shift+D
+        e.preventDefault();
+        if (window.gamesPlatform) {
+            window.gamesPlatform.openDiagnostics();
+        }
+    }
 });
 
 // Initialize the platform when DOM is ready
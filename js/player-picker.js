@@ -0,0 +1,363 @@
+// player-picker.js - Who just played? Picked or spelled out on the four arcade buttons
+//
+// The cabinet has no keyboard, so every screen works the same way:
+// Button 1 goes back a step in the list, Button 2 forward, Button 3 chooses and Button 4
+// goes back a screen. Returning players pick themselves from the list; new players
+// spell their name one character at a time, then choose an avatar and their class.
+// The arrow keys, Enter, Escape and typing work too, for whoever is at the desk.
+// Left alone for a minute the picker gives up and the score is kept without a name.
+
+const PICKER_IDLE_TIMEOUT = 60000;
+const PICKER_DELETE = '⌫';
+const PICKER_DONE = '✓';
+
+class PlayerPicker {
+    constructor(platform) {
+        this.platform = platform;
+        this.players = [];
+        this.classes = [];
+        this.options = { avatars: ['🦊'], characters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', maxNameLength: 10 };
+        this.screen = null;
+        this.index = 0;
+        this.draft = { name: '', avatar: null, classGroup: null };
+        this.overlay = null;
+        this.resolve = null;
+        this.idleTimer = null;
+
+        this.handleKeyDown = (e) => {
+            const buttons = { ArrowLeft: 1, ArrowUp: 1, ArrowRight: 2, ArrowDown: 2, Enter: 3, Escape: 4 };
+            if (buttons[e.key]) {
+                e.preventDefault();
+                this.handleButton(buttons[e.key]);
+            } else if (this.screen === 'name' && e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteCharacter();
+            } else if (this.screen === 'name' && e.key.length === 1 && this.options.characters.includes(e.key.toUpperCase())) {
+                e.preventDefault();
+                this.addCharacter(e.key.toUpperCase());
+            }
+        };
+    }
+
+    // Resolves with the chosen or new profile, or null if the player skipped
+    async pick(score) {
+        this.score = score;
+        this.createOverlay();
+
+        const [players, options, facets] = await Promise.all([
+            this.platform.getPlayers({ classGroup: this.platform.classGroup }),
+            this.platform.getPlayerOptions(),
+            this.platform.getScoreFacets(null)
+        ]);
+        this.players = players;
+        if (options) {
+            this.options = options;
+        }
+        this.classes = Array.from(new Set([
+            this.platform.classGroup,
+            ...facets.classes,
+            ...players.map(player => player.classGroup)
+        ].filter(Boolean)));
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+            this.showChoose();
+        });
+    }
+
+    // Hands the player back to gameOver(); the overlay stays up until close()
+    finish(player) {
+        clearTimeout(this.idleTimer);
+        this.screen = null;
+        if (this.resolve) {
+            this.resolve(player);
+            this.resolve = null;
+        }
+    }
+
+    // Shows a last message for a moment, then goes away
+    close(message = null) {
+        clearTimeout(this.idleTimer);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        if (!this.overlay) return Promise.resolve();
+
+        const remove = () => {
+            if (this.overlay) {
+                this.overlay.remove();
+                this.overlay = null;
+            }
+        };
+
+        if (!message) {
+            remove();
+            return Promise.resolve();
+        }
+
+        this.panel.replaceChildren(this.heading(message));
+        return new Promise(resolve => setTimeout(() => {
+            remove();
+            resolve();
+        }, 2000));
+    }
+
+    // 1 back, 2 forward, 3 choose, 4 back a screen
+    handleButton(button) {
+        if (!this.screen) return;
+        this.resetIdleTimer();
+
+        const items = this.items();
+        if (button === 1) {
+            this.index = (this.index - 1 + items.length) % items.length;
+        } else if (button === 2) {
+            this.index = (this.index + 1) % items.length;
+        } else if (button === 3) {
+            this.choose(items[this.index]);
+            return;
+        } else if (button === 4) {
+            this.back();
+            return;
+        }
+        this.render();
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.finish(null), PICKER_IDLE_TIMEOUT);
+    }
+
+    // ========================================
+    // SCREENS
+    // ========================================
+
+    // What buttons 1 and 2 step through on the current screen
+    items() {
+        switch (this.screen) {
+            case 'choose': return ['new', ...this.players, 'skip'];
+            case 'name': return [...this.options.characters, PICKER_DELETE, PICKER_DONE];
+            case 'avatar': return this.options.avatars;
+            case 'class': return [...this.classes, null];
+            default: return [];
+        }
+    }
+
+    show(screen, index = 0) {
+        this.screen = screen;
+        this.index = index;
+        this.resetIdleTimer();
+        this.render();
+    }
+
+    // The most recent player is the likeliest one
+    showChoose() {
+        this.show('choose', this.players.length > 0 ? 1 : 0);
+    }
+
+    choose(item) {
+        switch (this.screen) {
+            case 'choose':
+                if (item === 'new') {
+                    this.draft = { name: '', avatar: null, classGroup: this.platform.classGroup };
+                    this.show('name');
+                } else {
+                    this.finish(item === 'skip' ? null : item);
+                }
+                break;
+
+            case 'name':
+                if (item === PICKER_DELETE) {
+                    this.deleteCharacter();
+                } else if (item === PICKER_DONE) {
+                    if (this.draft.name.trim()) {
+                        this.show('avatar', Math.max(0, this.options.avatars.indexOf(this.draft.avatar)));
+                    }
+                } else {
+                    this.addCharacter(item);
+                }
+                break;
+
+            case 'avatar':
+                this.draft.avatar = item;
+                if (this.classes.length > 0) {
+                    this.show('class', Math.max(0, this.classes.indexOf(this.draft.classGroup)));
+                } else {
+                    this.create();
+                }
+                break;
+
+            case 'class':
+                this.draft.classGroup = item;
+                this.create();
+                break;
+        }
+    }
+
+    back() {
+        switch (this.screen) {
+            case 'choose':
+                this.finish(null);
+                break;
+            case 'name':
+                if (this.draft.name) {
+                    this.deleteCharacter();
+                } else {
+                    this.showChoose();
+                }
+                break;
+            case 'avatar':
+                this.show('name', this.options.characters.length + 1);
+                break;
+            case 'class':
+                this.show('avatar', Math.max(0, this.options.avatars.indexOf(this.draft.avatar)));
+                break;
+        }
+    }
+
+    addCharacter(character) {
+        if (this.draft.name.length >= this.options.maxNameLength) return;
+        if (character === ' ' && (!this.draft.name || this.draft.name.endsWith(' '))) return;
+
+        this.draft.name += character;
+
+        // A full name has nowhere to go but done
+        if (this.draft.name.length >= this.options.maxNameLength) {
+            this.index = this.options.characters.length + 1;
+        }
+        this.render();
+    }
+
+    deleteCharacter() {
+        this.draft.name = this.draft.name.slice(0, -1);
+        this.render();
+    }
+
+    async create() {
+        this.screen = null;
+        this.panel.replaceChildren(this.heading('Saving...'));
+
+        const result = await this.platform.createPlayer({
+            name: this.draft.name.trim(),
+            avatar: this.draft.avatar,
+            classGroup: this.draft.classGroup
+        });
+
+        if (!result.success) {
+            this.show('name', this.options.characters.length + 1);
+            this.render(result.error);
+            return;
+        }
+        this.finish(result.player);
+    }
+
+    render(hint = null) {
+        if (!this.panel) return;
+
+        const items = this.items();
+        const heading = {
+            choose: `Game Over! Score: ${this.score}`,
+            name: 'Spell your name',
+            avatar: 'Pick your avatar',
+            class: 'Which class are you in?'
+        }[this.screen];
+
+        const body = {
+            choose: () => this.carousel(items, item => this.describePlayer(item)),
+            name: () => [this.nameDisplay(), this.carousel(items, item => item === ' ' ? 'SPACE' : item, true)],
+            avatar: () => [this.text(this.draft.name, '20px'), this.carousel(items, item => item, true)],
+            class: () => this.carousel(items, item => item || 'No class')
+        }[this.screen]();
+
+        this.panel.replaceChildren(
+            this.heading(heading),
+            ...[].concat(body),
+            this.text(hint || '', '14px', '#FFD700'),
+            this.legend()
+        );
+    }
+
+    describePlayer(item) {
+        if (item === 'new') return '➕ New player';
+        if (item === 'skip') return '⏭️ Skip - no name';
+        return `${item.avatar} ${item.name}${item.classGroup ? ` (${item.classGroup})` : ''}`;
+    }
+
+    // ========================================
+    // ELEMENTS
+    // ========================================
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'player-picker';
+        this.overlay.style.cssText = 'position: fixed; inset: 0; background: rgba(0,0,0,0.85); z-index: 2000; display: flex; align-items: center; justify-content: center; font-family: Arial; color: white;';
+
+        this.panel = document.createElement('div');
+        this.panel.style.cssText = 'background: #1e1e1e; padding: 30px; border-radius: 12px; width: 560px; max-width: 90vw; text-align: center;';
+
+        this.overlay.appendChild(this.panel);
+        document.body.appendChild(this.overlay);
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    heading(text) {
+        const heading = document.createElement('h2');
+        heading.textContent = text;
+        heading.style.cssText = 'margin: 0 0 20px 0;';
+        return heading;
+    }
+
+    text(content, size, color = 'white') {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = content;
+        paragraph.style.cssText = `font-size: ${size}; color: ${color}; margin: 10px 0;`;
+        return paragraph;
+    }
+
+    nameDisplay() {
+        const name = document.createElement('div');
+        const blanks = '_'.repeat(Math.max(0, this.options.maxNameLength - this.draft.name.length));
+        name.textContent = (this.draft.name + blanks).split('').join(' ');
+        name.style.cssText = 'font-family: monospace; font-size: 28px; letter-spacing: 2px; margin: 10px 0 20px 0; white-space: pre;';
+        return name;
+    }
+
+    // The chosen item in the middle with its neighbours either side - a column for
+    // lists of names, a row for single characters and avatars
+    carousel(items, label, row = false) {
+        const reach = row ? 3 : 2;
+        const container = document.createElement('div');
+        container.style.cssText = row
+            ? 'display: flex; gap: 14px; justify-content: center; align-items: center; font-size: 28px; font-family: monospace;'
+            : 'display: flex; flex-direction: column; gap: 4px; font-size: 20px;';
+
+        // Short lists would wrap round and show the same item twice
+        const before = Math.min(reach, Math.floor((items.length - 1) / 2));
+        const after = Math.min(reach, Math.ceil((items.length - 1) / 2));
+
+        for (let offset = -before; offset <= after; offset++) {
+            const item = items[(this.index + offset + items.length) % items.length];
+            const entry = document.createElement('span');
+            entry.textContent = label(item);
+            entry.style.cssText = offset === 0
+                ? 'padding: 6px 12px; background: #4CAF50; border-radius: 6px; font-weight: bold;'
+                : `padding: 6px 12px; opacity: ${1 - Math.abs(offset) * 0.25};`;
+            container.appendChild(entry);
+        }
+        return container;
+    }
+
+    // Which arcade button does what, in the buttons' own colours
+    legend() {
+        const layout = this.platform.buttonLayout ? this.platform.buttonLayout.buttons : [];
+        const actions = ['◀ Back', 'Next ▶', '✓ Choose', '✕ Undo'];
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; gap: 10px; justify-content: center; margin-top: 20px; font-size: 14px;';
+        actions.forEach((action, index) => {
+            const button = layout[index];
+            const key = document.createElement('span');
+            key.textContent = `${index + 1}: ${action}`;
+            key.style.cssText = `padding: 6px 10px; border-radius: 4px; border: 2px solid ${button ? button.css : '#555'};`;
+            row.appendChild(key);
+        });
+        return row;
+    }
+}
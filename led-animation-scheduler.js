@@ -0,0 +1,168 @@
+// led-animation-scheduler.js - One LED animation at a time, with priorities and clean cancellation
+//
+// Starting an animation cancels whatever is playing at the same or a lower
+// priority; a lower-priority animation is refused while a higher one runs.
+// The animation's code stops at its next delay() or LED write once cancelled,
+// because the controller checks current() there (tracked with AsyncLocalStorage
+// so nested pattern calls belong to the animation that started them).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITY = {
+    AMBIENT: 0, // background effects - rhythm pulses, random sparkles
+    GAME: 1,    // in-game feedback
+    EVENT: 2    // game start / over / win, bike milestones
+};
+
+class AnimationCancelledError extends Error {
+    constructor(name) {
+        super(`LED animation "${name}" was cancelled`);
+        this.name = 'AnimationCancelledError';
+    }
+}
+
+class LEDAnimation {
+    constructor(id, name, priority, finalState) {
+        this.id = id;
+        this.name = name;
+        this.priority = priority;
+        this.finalState = finalState;
+        this.startedAt = Date.now();
+        this.cancelled = false;
+        this.cancelReason = null;
+        this.wakers = new Set();
+        this.done = null;
+    }
+
+    delay(ms) {
+        this.throwIfCancelled();
+
+        return new Promise((resolve, reject) => {
+            const wake = () => {
+                clearTimeout(timer);
+                reject(new AnimationCancelledError(this.name));
+            };
+            const timer = setTimeout(() => {
+                this.wakers.delete(wake);
+                resolve();
+            }, ms);
+            this.wakers.add(wake);
+        });
+    }
+
+    cancel(reason) {
+        if (this.cancelled) return;
+
+        this.cancelled = true;
+        this.cancelReason = reason;
+        this.wakers.forEach(wake => wake());
+        this.wakers.clear();
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new AnimationCancelledError(this.name);
+        }
+    }
+
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            priority: this.priority,
+            startedAt: this.startedAt
+        };
+    }
+}
+
+class LEDAnimationScheduler {
+    constructor(controller) {
+        this.controller = controller;
+        this.running = new Map();
+        this.nextId = 1;
+        this.context = new AsyncLocalStorage();
+    }
+
+    // The animation the calling code is running inside, if any
+    current() {
+        return this.context.getStore() || null;
+    }
+
+    // Returns the LEDAnimation (await .done for the task's result, false if cancelled),
+    // or null if a higher-priority animation is playing
+    start(name, task, options = {}) {
+        const priority = options.priority !== undefined ? options.priority : PRIORITY.GAME;
+
+        for (const other of this.running.values()) {
+            if (other.priority > priority) {
+                console.log(`⏸️ Skipping LED animation ${name} - ${other.name} has priority`);
+                return null;
+            }
+        }
+
+        // Cancel-on-start - the new animation owns the LEDs now, so no final state for the old one
+        for (const other of this.running.values()) {
+            console.log(`⏹️ LED animation ${other.name} replaced by ${name}`);
+            other.cancel('replaced');
+        }
+
+        const animation = new LEDAnimation(this.nextId++, name, priority, options.finalState);
+        this.running.set(animation.id, animation);
+
+        animation.done = this.context.run(animation, async () => {
+            try {
+                return await task();
+            } catch (error) {
+                if (error instanceof AnimationCancelledError) {
+                    return false;
+                }
+                throw error;
+            } finally {
+                this.running.delete(animation.id);
+            }
+        });
+
+        return animation;
+    }
+
+    list() {
+        return Array.from(this.running.values()).map(animation => animation.describe());
+    }
+
+    // Stop by id or name, then put the LEDs into the animation's final state (all off by default)
+    async stop(idOrName) {
+        const animation = Array.from(this.running.values())
+            .find(candidate => candidate.id === idOrName || candidate.name === idOrName);
+        if (!animation) return false;
+
+        animation.cancel('stopped');
+        await animation.done.catch(() => {});
+        await this.applyFinalState(animation.finalState);
+        return true;
+    }
+
+    async stopAll(finalState = null) {
+        const animations = Array.from(this.running.values());
+        animations.forEach(animation => animation.cancel('stopped'));
+        await Promise.all(animations.map(animation => animation.done.catch(() => {})));
+
+        await this.applyFinalState(finalState);
+        return animations.length;
+    }
+
+    applyFinalState(finalState) {
+        const frame = finalState || this.controller.ledFrame();
+
+        // Run outside any (cancelled) animation, and resend even if we think the LED is already there
+        return this.context.exit(() => {
+            this.controller.ledTargets = this.controller.ledTargets.map(() => null);
+            return this.controller.setLEDFrame(frame);
+        });
+    }
+}
+
+module.exports = {
+    LEDAnimationScheduler,
+    AnimationCancelledError,
+    PRIORITY
+};
@@ -0,0 +1,213 @@
+// led-pattern-engine.js - Plays LED patterns described as JSON timelines
+//
+// A pattern file lives in a led-patterns folder and looks like:
+//
+//   {
+//     "name": "game-over",
+//     "description": "All on, then five quick flashes",
+//     "steps": [
+//       { "leds": [1, 1, 1, 1], "hold": 1000 },
+//       { "repeat": 5, "steps": [
+//         { "leds": "all", "hold": 100 },
+//         { "leds": "none", "hold": 100 }
+//       ] }
+//     ]
+//   }
+//
+// Each step sets the LEDs and then waits `hold` ms. An LED entry is
+// 1/0 (or true/false), null to leave it alone, or { "brightness": 0-255, "blink": ms }.
+// LEDs past the end of the array are left alone, so a four-LED pattern still
+// plays on a bigger layout. "leds" may also be "all", "none" or "random"
+// (one random LED lit), which cover every button in the layout.
+// A { "repeat": n, "steps": [...] } step plays its steps n times. Repeats nest at
+// most MAX_DEPTH deep and a whole pattern may play at most MAX_FRAMES steps - inline
+// patterns come from the renderer, and every repeat is expanded when it compiles.
+//
+// Files in later folders replace files of the same name in earlier ones, so a
+// teacher's own folder can override the bundled patterns.
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_REPEAT = 100;
+const MAX_HOLD = 60000;
+const MAX_DEPTH = 4;
+const MAX_FRAMES = 2000;
+
+class LEDPatternEngine {
+    constructor(controller, patternDirs = []) {
+        this.controller = controller;
+        this.patternDirs = patternDirs;
+        this.patterns = new Map();
+        this.loadLibrary();
+    }
+
+    loadLibrary() {
+        this.patterns.clear();
+
+        for (const dir of this.patternDirs) {
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                if (!file.endsWith('.json')) continue;
+
+                try {
+                    const pattern = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    const name = pattern.name || path.basename(file, '.json');
+                    const error = this.validatePattern(pattern);
+
+                    if (error) {
+                        console.warn(`⚠️ Skipping LED pattern ${file}: ${error}`);
+                        continue;
+                    }
+
+                    this.patterns.set(name, { ...pattern, name, file: path.join(dir, file) });
+                } catch (error) {
+                    console.warn(`⚠️ Could not read LED pattern ${file}:`, error.message);
+                }
+            }
+        }
+
+        console.log(`🎨 Loaded ${this.patterns.size} LED patterns`);
+        return this.patterns.size;
+    }
+
+    listPatterns() {
+        return Array.from(this.patterns.values()).map(pattern => ({
+            name: pattern.name,
+            description: pattern.description || '',
+            duration: this.compile(pattern).duration
+        }));
+    }
+
+    getPattern(name) {
+        return this.patterns.get(name) || null;
+    }
+
+    // Returns an error message, or null if the pattern is playable
+    validatePattern(pattern) {
+        if (!pattern || !Array.isArray(pattern.steps) || pattern.steps.length === 0) {
+            return 'Pattern needs a non-empty "steps" array';
+        }
+
+        const error = this.validateSteps(pattern.steps);
+        if (error) return error;
+
+        if (this.countFrames(pattern.steps) > MAX_FRAMES) {
+            return `Pattern plays more than ${MAX_FRAMES} steps once its repeats are unrolled`;
+        }
+        return null;
+    }
+
+    validateSteps(steps, depth = 1) {
+        if (depth > MAX_DEPTH) {
+            return `"repeat" steps can only nest ${MAX_DEPTH - 1} deep`;
+        }
+
+        for (const step of steps) {
+            if (!step || typeof step !== 'object') {
+                return 'Every step must be an object';
+            }
+
+            if (step.repeat !== undefined) {
+                if (!Number.isInteger(step.repeat) || step.repeat < 1 || step.repeat > MAX_REPEAT) {
+                    return `"repeat" must be a whole number from 1 to ${MAX_REPEAT}`;
+                }
+                if (!Array.isArray(step.steps) || step.steps.length === 0) {
+                    return '"repeat" needs a non-empty "steps" array';
+                }
+                const error = this.validateSteps(step.steps, depth + 1);
+                if (error) return error;
+                continue;
+            }
+
+            if (typeof step.leds === 'string') {
+                if (!['all', 'none', 'random'].includes(step.leds)) {
+                    return `Unknown "leds" value: ${step.leds}`;
+                }
+            } else if (!Array.isArray(step.leds)) {
+                return 'Every step needs "leds"';
+            }
+
+            if (step.hold !== undefined && !(typeof step.hold === 'number' && step.hold >= 0 && step.hold <= MAX_HOLD)) {
+                return `"hold" must be between 0 and ${MAX_HOLD} ms`;
+            }
+        }
+        return null;
+    }
+
+    // How many frames compile() would make, without making them
+    countFrames(steps) {
+        return steps.reduce((count, step) =>
+            count + (step.repeat !== undefined ? step.repeat * this.countFrames(step.steps) : 1), 0);
+    }
+
+    resolveLEDs(leds) {
+        const count = this.controller.buttonCount;
+        const indexes = Array.from({ length: count }, (unused, index) => index);
+
+        if (leds === 'all') return indexes.map(() => true);
+        if (leds === 'none') return indexes.map(() => false);
+        if (leds === 'random') {
+            const lit = Math.floor(Math.random() * count);
+            return indexes.map(index => index === lit);
+        }
+
+        return indexes.map(index => {
+            const value = leds[index];
+            if (value === undefined || value === null) return null;
+            if (typeof value === 'object') return value;
+            return Boolean(value);
+        });
+    }
+
+    // Turn a pattern into the { at, leds } frames the controller plays. options.speed > 1 plays faster.
+    compile(pattern, options = {}) {
+        const speed = options.speed > 0 ? options.speed : 1;
+        const frames = [];
+        let at = 0;
+
+        const walk = (steps) => {
+            for (const step of steps) {
+                if (step.repeat !== undefined) {
+                    for (let i = 0; i < step.repeat; i++) {
+                        walk(step.steps);
+                    }
+                    continue;
+                }
+
+                frames.push({ at: Math.round(at), leds: this.resolveLEDs(step.leds) });
+                at += (step.hold || 0) / speed;
+            }
+        };
+
+        walk(pattern.steps);
+
+        // Empty frame so playback lasts through the final hold
+        const duration = Math.round(at);
+        if (frames.length && duration > frames[frames.length - 1].at) {
+            frames.push({ at: duration, leds: new Array(this.controller.buttonCount).fill(null) });
+        }
+
+        return { frames, duration };
+    }
+
+    // Play a pattern by name, or an inline pattern object
+    async play(nameOrPattern, options = {}) {
+        const pattern = typeof nameOrPattern === 'string' ? this.getPattern(nameOrPattern) : nameOrPattern;
+
+        if (!pattern) {
+            throw new Error(`Unknown LED pattern: ${nameOrPattern}`);
+        }
+
+        const error = this.validatePattern(pattern);
+        if (error) {
+            throw new Error(`Invalid LED pattern: ${error}`);
+        }
+
+        const { frames } = this.compile(pattern, options);
+        return this.controller.playLEDFrames(frames);
+    }
+}
+
+module.exports = LEDPatternEngine;
@@ -5,22 +5,122 @@ const fs = require('fs');
 
 // Add the Microbit controller
 const FourMicrobitController = require('./microbit-controller');
+const { loadLayout, normalizeLayout } = require('./button-layout');
+const { loadTransport } = require('./serial-transport');
+const HardwareBridge = require('./hardware-bridge');
+const { ScoreStore } = require('./score-store');
+const { loadTerms } = require('./school-terms');
+const PlayerProfiles = require('./player-profiles');
+const { REQUESTS, TOPICS } = require('./hardware-api');
 
-// High scores data file
-const scoresFile = path.join(__dirname, 'highscores.json');
+// Every play of every game - highscores.json beside the app is only read once, to import it
+const scoreStoreFile = () => path.join(app.getPath('userData'), 'scores.jsonl');
+const legacyScoresFile = path.join(__dirname, 'highscores.json');
+
+// Returning players - name, avatar and class
+const playerProfilesFile = () => path.join(app.getPath('userData'), 'players.json');
+
+// Term dates for "this term" boards - copy a file from terms/ here to set them
+const schoolTermsFile = () => path.join(app.getPath('userData'), 'school-terms.json');
+
+function loadSchoolTerms() {
+  try {
+    return loadTerms(schoolTermsFile());
+  } catch (error) {
+    console.error('Invalid school terms, using Autumn/Spring/Summer:', error.message);
+    return null;
+  }
+}
+
+// Which Microbit (by USB serial number) plays which role
+const deviceRegistryFile = () => path.join(app.getPath('userData'), 'device-registry.json');
+
+// LED patterns - the bundled library, then a folder teachers can add their own to
+const ledPatternDirs = () => [
+  path.join(__dirname, 'led-patterns'),
+  path.join(app.getPath('userData'), 'led-patterns')
+];
+
+// Button count, colours and positions - copy a file from layouts/ here to change them
+const layoutsDir = path.join(__dirname, 'layouts');
+const buttonLayoutFile = () => path.join(app.getPath('userData'), 'button-layout.json');
+
+function loadButtonLayout() {
+  try {
+    return loadLayout(buttonLayoutFile());
+  } catch (error) {
+    console.error('Invalid button layout, using the standard four buttons:', error.message);
+    return loadLayout(null);
+  }
+}
+
+// Which USB boards to open and their baud rate - copy a file from transports/ here to change them
+const serialTransportFile = () => path.join(app.getPath('userData'), 'serial-transport.json');
+
+function loadSerialTransport() {
+  try {
+    return loadTransport(serialTransportFile());
+  } catch (error) {
+    console.error('Invalid serial transport, using micro:bits only:', error.message);
+    return loadTransport(null);
+  }
+}
+
+// Serial captures (record/replay of raw Microbit traffic) are kept here
+const captureDir = () => path.join(app.getPath('userData'), 'captures');
+
+// Capture names come from the renderer - only ever a .jsonl file directly in captureDir()
+function captureFile(name) {
+  const base = name
+    ? path.basename(name).replace(/\.jsonl$/i, '')
+    : `session-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  if (!base || base === '.' || base === '..') {
+    throw new Error(`Invalid capture name: ${name}`);
+  }
+
+  const file = path.resolve(captureDir(), `${base}.jsonl`);
+  if (path.dirname(file) !== path.resolve(captureDir())) {
+    throw new Error(`Invalid capture name: ${name}`);
+  }
+  return file;
+}
+
+// electron . --capture records every session from launch
+const captureFromLaunch = process.argv.includes('--capture');
+
+// electron . --simulate <scenario.json> runs against virtual Microbits instead of USB
+const simulateArg = process.argv.indexOf('--simulate');
+const simulatorScenario = simulateArg !== -1 ? process.argv[simulateArg + 1] : null;
+
+// npm run dev (electron . --dev) opens DevTools and logs the controller test mode
+const devMode = process.argv.includes('--dev');
+
+// electron . --diagnostics opens the diagnostics window at launch
+const diagnosticsFromLaunch = process.argv.includes('--diagnostics');
 
 let mainWindow;
+let diagnosticsWindow = null;
+let diagnosticsTimer = null;
 let microbitController = null;
+let microbitSimulator = null;
+
+// Every renderer request and event goes through here - see hardware-api.js
+const bridge = new HardwareBridge(REQUESTS, TOPICS);
+bridge.listen(ipcMain);
+
+// Renderers get no Node - only window.arcade from preload.js
+const secureWebPreferences = {
+  preload: path.join(__dirname, 'preload.js'),
+  contextIsolation: true,
+  sandbox: true,
+  nodeIntegration: false
+};
 
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true
-    },
+    webPreferences: secureWebPreferences,
     icon: path.join(__dirname, 'assets/icon.png'),
     show: false
   });
@@ -32,560 +132,302 @@ function createWindow() {
     
     // Initialize Microbit controller when window is ready
     initializeMicrobitController();
-  });
-
-  mainWindow.webContents.openDevTools();
-}
 
-function initializeMicrobitController() {
-  console.log('🎮 Initializing Microbit Arcade Controller + Bike Sensor...');
-  
-  try {
-    microbitController = new FourMicrobitController();
-    
-    // Listen for button events
-    microbitController.on('button-press', (data) => {
-      console.log(`Main process: Button ${data.button} (${data.color}) pressed`);
-      
-      // Send to renderer process (your games)
-      mainWindow.webContents.send('microbit-button-press', data);
-    });
-
-    microbitController.on('button-release', (data) => {
-      console.log(`Main process: Button ${data.button} (${data.color}) released`);
-      
-      // Send to renderer process (your games)  
-      mainWindow.webContents.send('microbit-button-release', data);
-    });
-
-    microbitController.on('microbit-ready', (data) => {
-      console.log(`Microbit ready: ${data.message}`);
-      mainWindow.webContents.send('microbit-status', { 
-        status: 'connected',
-        message: data.message 
-      });
-    });
-
-    // ========================================
-    // BIKE SENSOR EVENT LISTENERS
-    // ========================================
-
-    microbitController.on('bike-sensor-ready', (data) => {
-      console.log(`🚴‍♂️ Bike sensor ready: ${data.message}`);
-      mainWindow.webContents.send('bike-sensor-status', {
-        status: 'connected',
-        message: data.message,
-        port: data.port
-      });
-    });
-
-    microbitController.on('bike-data', (data) => {
-      // Forward bike sensor data to renderer process for the game
-      console.log(`🚴‍♂️ Bike data: Rev ${data.revolutions}, RPM ${data.rpm}`);
-      mainWindow.webContents.send('bike-sensor-data', data);
-    });
-
-    microbitController.on('bike-sensor-disconnected', (data) => {
-      console.log(`⚠️ Bike sensor disconnected: ${data.port}`);
-      mainWindow.webContents.send('bike-sensor-status', {
-        status: 'disconnected',
-        port: data.port
-      });
-    });
-
-    // *** ADD THIS: Generic microbit-data event for compatibility ***
-    microbitController.on('microbit-data', (data) => {
-      // Generic data event for compatibility with biker-beat.js
-      mainWindow.webContents.send('microbit-data', data);
-    });
+    if (diagnosticsFromLaunch) {
+      openDiagnosticsWindow();
+    }
+  });
 
-    // Start test mode for debugging
-    microbitController.startTestMode();
+  // The diagnostics window is no use once the arcade has gone
+  mainWindow.on('closed', () => {
+    if (diagnosticsWindow) {
+      diagnosticsWindow.close();
+    }
+  });
 
-  } catch (error) {
-    console.error('Failed to initialize Microbit controller:', error);
+  if (devMode) {
+    mainWindow.webContents.openDevTools();
   }
 }
 
-// ========================================
-// MICROBIT IPC HANDLERS
-// ========================================
-
-// Basic Microbit handlers
-ipcMain.handle('get-microbit-status', async () => {
-  if (microbitController) {
-    const status = microbitController.getConnectionStatus();
-    return { 
-      connected: status.connected > 0,
-      buttonStates: microbitController.getButtonStates(),
-      connectionCount: status.connected,
-      bikeConnected: status.bikeConnected || false,
-      bikeData: microbitController.getBikeData ? microbitController.getBikeData() : null
-    };
-  }
-  return { connected: false, bikeConnected: false };
-});
-
-ipcMain.handle('get-button-states', async () => {
-  return microbitController ? microbitController.getButtonStates() : [false, false, false, false];
-});
-
-ipcMain.handle('restart-microbit-controller', async () => {
-  try {
-    if (microbitController) {
-      microbitController.disconnect();
-    }
-    
-    setTimeout(() => {
-      initializeMicrobitController();
-    }, 1000);
-    
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+// Technician's view of every board - refreshed once a second while it is open
+function openDiagnosticsWindow() {
+  if (diagnosticsWindow) {
+    diagnosticsWindow.focus();
+    return;
   }
-});
 
-// ========================================
-// BIKE SENSOR IPC HANDLERS
-// ========================================
+  diagnosticsWindow = new BrowserWindow({
+    width: 1100,
+    height: 750,
+    title: 'Microbit Diagnostics',
+    webPreferences: secureWebPreferences,
+    icon: path.join(__dirname, 'assets/icon.png')
+  });
 
-ipcMain.handle('get-bike-sensor-status', async () => {
-  if (microbitController) {
-    return {
-      connected: microbitController.isBikeSensorConnected ? microbitController.isBikeSensorConnected() : false,
-      data: microbitController.getBikeData ? microbitController.getBikeData() : null
-    };
-  }
-  return { connected: false, data: null };
-});
+  diagnosticsWindow.loadFile('diagnostics.html');
 
-ipcMain.handle('get-bike-data', async () => {
-  return microbitController && microbitController.getBikeData ? microbitController.getBikeData() : null;
-});
+  diagnosticsTimer = setInterval(sendDiagnosticsUpdate, 1000);
 
-ipcMain.handle('reset-bike-counter', async () => {
-  try {
-    if (microbitController && microbitController.resetBikeCounter) {
-      const result = await microbitController.resetBikeCounter();
-      return { success: result };
-    }
-    // Fallback: reset bike data manually
-    if (microbitController && microbitController.bikeData) {
-      microbitController.bikeData = {
-        revolutions: 0,
-        rpm: 0,
-        lastUpdateTime: 0,
-        isActive: false
-      };
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+  diagnosticsWindow.on('closed', () => {
+    clearInterval(diagnosticsTimer);
+    diagnosticsTimer = null;
+    diagnosticsWindow = null;
+  });
+}
 
-ipcMain.handle('set-bike-game-mode', async (event, active) => {
-  try {
-    if (microbitController && microbitController.setBikeGameMode) {
-      const result = await microbitController.setBikeGameMode(active);
-      return { success: result };
-    }
-    // Fallback: just return success for compatibility
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+function sendDiagnosticsUpdate() {
+  if (diagnosticsWindow && microbitController) {
+    bridge.publish('diagnostics.update', microbitController.getHealthReport());
   }
-});
+}
 
-// *** ADD THESE: Missing bike sensor test/debug handlers ***
-ipcMain.handle('test-bike-sensor', async () => {
+function initializeMicrobitController() {
+  console.log('🎮 Initializing Microbit Arcade Controller + Bike Sensor...');
+  
   try {
-    if (microbitController && microbitController.bikePort) {
-      // Send test command to bike sensor
-      if (microbitController.sendBikeCommand) {
-        microbitController.sendBikeCommand('TEST');
-      }
-      return { success: true, message: 'Test command sent to bike sensor' };
-    }
-    return { success: false, error: 'No bike sensor connected' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+    const options = {
+      layout: loadButtonLayout(),
+      transport: loadSerialTransport(),
+      registryFile: deviceRegistryFile(),
+      patternDirs: ledPatternDirs()
+    };
 
-ipcMain.handle('simulate-bike-data', async (event, revolutions, rpm) => {
-  try {
-    if (microbitController) {
-      // Simulate bike data for testing
-      const testData = {
-        revolutions: revolutions || 1,
-        rpm: rpm || 60,
-        timestamp: Date.now(),
-        port: 'simulated'
-      };
-      
-      console.log('🧪 Simulating bike data:', testData);
-      mainWindow.webContents.send('bike-sensor-data', testData);
-      mainWindow.webContents.send('microbit-data', `BIKE_REV:${testData.revolutions}:${testData.rpm}:${testData.timestamp}`);
-      
-      return { success: true, data: testData };
+    if (simulatorScenario) {
+      const { MicrobitSimulator, loadScenario } = require('./microbit-simulator');
+      console.log(`🧪 Using simulated Microbits from ${simulatorScenario}`);
+      microbitSimulator = new MicrobitSimulator(loadScenario(path.resolve(simulatorScenario)));
+      options.SerialPort = microbitSimulator.SerialPort;
     }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
 
-// ========================================
-// BIKE-SPECIFIC LED PATTERNS
-// ========================================
+    microbitController = new FourMicrobitController(options);
 
-ipcMain.handle('bike-start-pattern', async () => {
-  try {
-    if (microbitController && microbitController.bikeStartPattern) {
-      await microbitController.bikeStartPattern();
-      return { success: true };
+    if (captureFromLaunch) {
+      microbitController.startRecording(captureFile());
     }
-    // Fallback: use game start pattern
-    if (microbitController && microbitController.gameStartPattern) {
-      await microbitController.gameStartPattern();
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+    
+    // Renderers hear the controller's events through the topics they subscribe to
+    bridge.attach(microbitController);
 
-ipcMain.handle('bike-milestone-pattern', async (event, milestone) => {
-  try {
-    if (microbitController && microbitController.bikeMilestonePattern) {
-      await microbitController.bikeMilestonePattern(milestone);
-      return { success: true };
-    }
-    // Fallback: use chase pattern
-    if (microbitController && microbitController.chaseLEDs) {
-      await microbitController.chaseLEDs(2, 150);
-      return { success: true };
+    // Start test mode for debugging
+    if (devMode) {
+      microbitController.startTestMode();
     }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
 
-ipcMain.handle('bike-victory-pattern', async () => {
-  try {
-    if (microbitController && microbitController.bikeVictoryPattern) {
-      await microbitController.bikeVictoryPattern();
-      return { success: true };
+    // Play the simulated scenario once everything is listening
+    if (microbitSimulator) {
+      microbitSimulator.runScenario()
+        .then(() => console.log('🧪 Simulator scenario finished'))
+        .catch(error => console.error('Simulator scenario failed:', error));
     }
-    // Fallback: use game win pattern
-    if (microbitController && microbitController.gameWinPattern) {
-      await microbitController.gameWinPattern();
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
+
   } catch (error) {
-    return { success: false, error: error.message };
+    console.error('Failed to initialize Microbit controller:', error);
   }
-});
+}
 
-ipcMain.handle('bike-speed-feedback', async (event, rpm) => {
-  try {
-    if (microbitController && microbitController.bikeSpeedFeedback) {
-      await microbitController.bikeSpeedFeedback(rpm);
-      return { success: true };
-    }
-    // Fallback: flash LEDs based on speed
-    if (microbitController && microbitController.flashAllLEDs) {
-      const flashCount = Math.min(Math.max(1, Math.floor(rpm / 20)), 5);
-      const flashSpeed = Math.max(100, 500 - (rpm * 5));
-      await microbitController.flashAllLEDs(flashCount, flashSpeed);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+// Stop the controller (and simulator) before starting a new one
+function stopMicrobitController() {
+  bridge.detach();
+  if (microbitController) {
+    microbitController.disconnect();
   }
-});
+  if (microbitSimulator) {
+    microbitSimulator.stop();
+  }
+}
 
 // ========================================
-// EXISTING LED CONTROL IPC HANDLERS
+// APP REQUESTS - the ones that need files or windows from main
 // ========================================
 
-// Basic LED Control IPC Handlers
-ipcMain.handle('set-led', async (event, buttonNumber, state) => {
-  try {
-    if (microbitController) {
-      const result = await microbitController.setLED(buttonNumber, state);
-      return { success: result };
+bridge.handle('buttons.getLayout', {
+  standalone: true,
+  result: 'layout',
+  call: (controller) => controller ? controller.getButtonLayout() : loadButtonLayout()
+});
+
+bridge.handle('buttons.listLayouts', {
+  standalone: true,
+  result: 'layouts',
+  call: () => fs.readdirSync(layoutsDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadLayout(path.join(layoutsDir, file)))
+});
+
+// Takes the name of a bundled layout or a layout object, saves it and restarts the controller
+bridge.handle('buttons.setLayout', {
+  args: ['nameOrLayout: string|object'],
+  standalone: true,
+  call: (controller, [nameOrLayout]) => {
+    let layout;
+    if (typeof nameOrLayout === 'string') {
+      const file = path.join(layoutsDir, `${path.basename(nameOrLayout)}.json`);
+      if (!fs.existsSync(file)) {
+        return { success: false, error: `Unknown button layout: ${nameOrLayout}` };
+      }
+      layout = loadLayout(file);
+    } else {
+      layout = normalizeLayout(nameOrLayout);
     }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
 
-ipcMain.handle('set-all-leds', async (event, state) => {
-  try {
-    if (microbitController) {
-      const result = await microbitController.setAllLEDs(state);
-      return { success: result };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+    fs.mkdirSync(path.dirname(buttonLayoutFile()), { recursive: true });
+    fs.writeFileSync(buttonLayoutFile(), JSON.stringify(layout, null, 2));
 
-ipcMain.handle('flash-led', async (event, buttonNumber, times = 3, duration = 500) => {
-  try {
-    if (microbitController) {
-      await microbitController.flashLED(buttonNumber, times, duration);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+    stopMicrobitController();
+    initializeMicrobitController();
 
-ipcMain.handle('flash-all-leds', async (event, times = 3, duration = 300) => {
-  try {
-    if (microbitController) {
-      await microbitController.flashAllLEDs(times, duration);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+    bridge.publish('buttons.layoutChanged', layout);
+    return { success: true, layout };
   }
 });
 
-ipcMain.handle('chase-leds', async (event, rounds = 2, speed = 200) => {
-  try {
-    if (microbitController) {
-      await microbitController.chaseLEDs(rounds, speed);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+bridge.handle('devices.restart', {
+  standalone: true,
+  result: 'done',
+  call: () => {
+    stopMicrobitController();
+    setTimeout(() => {
+      initializeMicrobitController();
+    }, 1000);
   }
 });
 
-// Random LED Pattern IPC Handlers
-ipcMain.handle('random-led-sequence', async (event, count = 4, onDuration = 500, offDuration = 100, totalSequences = 1) => {
-  try {
-    if (microbitController) {
-      await microbitController.randomLEDSequence(count, onDuration, offDuration, totalSequences);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+bridge.handle('devices.openDiagnostics', {
+  standalone: true,
+  result: 'done',
+  call: () => openDiagnosticsWindow()
 });
 
-ipcMain.handle('random-flash-sequence', async (event, sequences = 3, flashDuration = 500) => {
-  try {
-    if (microbitController) {
-      await microbitController.randomFlashSequence(sequences, flashDuration);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+// Record / replay raw serial traffic - captures live in the user data folder
+bridge.handle('capture.start', {
+  args: ['name?: string'],
+  result: 'capture',
+  call: (controller, [name]) => controller.startRecording(captureFile(name))
 });
 
-ipcMain.handle('random-led-game', async (event, rounds = 5, speed = 600) => {
-  try {
-    if (microbitController) {
-      await microbitController.randomLEDGame(rounds, speed);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+bridge.handle('capture.list', {
+  standalone: true,
+  result: 'captures',
+  call: () => {
+    const dir = captureDir();
+    return fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(file => file.endsWith('.jsonl')).sort().reverse()
+      : [];
   }
 });
 
-ipcMain.handle('simon-says-pattern', async (event, patternLength = 4, playbackSpeed = 800) => {
-  try {
-    if (microbitController) {
-      const pattern = await microbitController.simonSaysPattern(patternLength, playbackSpeed);
-      return { success: true, pattern: pattern };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+bridge.handle('capture.replay', {
+  args: ['name: string', 'speed?: number'],
+  result: 'replay',
+  call: (controller, [name, speed = 1]) => controller.replayCapture(captureFile(name), { speed })
 });
 
-ipcMain.handle('random-cascade', async (event, waves = 3, waveSpeed = 200) => {
-  try {
-    if (microbitController) {
-      await microbitController.randomCascade(waves, waveSpeed);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
-});
+// ========================================
+// SCORES
+// ========================================
 
-ipcMain.handle('rhythmic-random-pattern', async (event, beats = 8, tempo = 600) => {
-  try {
-    if (microbitController) {
-      await microbitController.rhythmicRandomPattern(beats, tempo);
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+let scoreStore = null;
+let playerProfiles = null;
+
+function getScoreStore() {
+  if (!scoreStore) {
+    scoreStore = new ScoreStore(scoreStoreFile(), { legacyFile: legacyScoresFile, terms: loadSchoolTerms() });
   }
-});
+  return scoreStore;
+}
 
-// Game Event LED Pattern IPC Handlers
-ipcMain.handle('game-start-pattern', async (event) => {
-  try {
-    if (microbitController) {
-      await microbitController.gameStartPattern();
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+function getPlayerProfiles() {
+  if (!playerProfiles) {
+    playerProfiles = new PlayerProfiles(playerProfilesFile());
   }
-});
+  return playerProfiles;
+}
 
-ipcMain.handle('game-over-pattern', async (event) => {
-  try {
-    if (microbitController) {
-      await microbitController.gameOverPattern();
-      return { success: true };
+// play is { game, player, playerId, score, mode, difficulty, duration, stats } - see score-store.js
+bridge.handle('scores.record', {
+  args: ['play: object'],
+  standalone: true,
+  result: 'play',
+  call: (controller, [play]) => {
+    const recorded = getScoreStore().record(play);
+    if (recorded.playerId) {
+      getPlayerProfiles().touch(recorded.playerId);
     }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
+    return recorded;
   }
 });
 
-ipcMain.handle('game-win-pattern', async (event) => {
-  try {
-    if (microbitController) {
-      await microbitController.gameWinPattern();
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+// options: { limit, bestPerPlayer, period, variant, classGroup, mode, difficulty, since, until }
+bridge.handle('scores.top', {
+  args: ['game: string', 'options?: object'],
+  standalone: true,
+  result: 'scores',
+  call: (controller, [game, options]) => getScoreStore().top(game, options)
 });
 
-ipcMain.handle('get-led-states', async (event) => {
-  try {
-    if (microbitController) {
-      return { 
-        success: true, 
-        ledStates: microbitController.getLEDStates() 
-      };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+bridge.handle('scores.personalBest', {
+  args: ['game: string', 'player?: string', 'options?: object'],
+  standalone: true,
+  result: 'best',
+  call: (controller, [game, player, options]) => getScoreStore().personalBest(game, player, options)
 });
 
-// Testing/Debug IPC Handlers
-ipcMain.handle('ping-microbit', async (event, buttonNumber) => {
-  try {
-    if (microbitController) {
-      const result = await microbitController.pingMicrobit(buttonNumber);
-      return { success: result };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+// Variants and classes a game's boards can be split by, and the current term - no game, classes only
+bridge.handle('scores.facets', {
+  args: ['game?: string'],
+  standalone: true,
+  result: 'facets',
+  call: (controller, [game]) => getScoreStore().facets(game)
 });
 
-ipcMain.handle('ping-all-microbits', async (event) => {
-  try {
-    if (microbitController) {
-      await microbitController.pingAllMicrobits();
-      return { success: true };
-    }
-    return { success: false, error: 'Microbit controller not available' };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+bridge.handle('scores.history', {
+  args: ['options?: object'],
+  standalone: true,
+  result: 'plays',
+  call: (controller, [options]) => getScoreStore().history(options)
 });
 
 // ========================================
-// HIGH SCORES (Your existing code)
+// PLAYER PROFILES
 // ========================================
 
-function loadHighScores() {
-  try {
-    if (fs.existsSync(scoresFile)) {
-      const data = fs.readFileSync(scoresFile, 'utf8');
-      return JSON.parse(data);
-    }
-  } catch (error) {
-    console.error('Error loading high scores:', error);
-  }
-  
-  return {
-    pong: [],
-    snake: [],
-    flappybird: [],
-    rhythmtimer: [],
-    stopthesprite: [],
-    streamstop: [],
-    wirebuzzer: [],
-    bikerbeat: []
-  };
-}
+// options: { classGroup } - that class's players come first
+bridge.handle('players.list', {
+  args: ['options?: object'],
+  standalone: true,
+  result: 'players',
+  call: (controller, [options]) => getPlayerProfiles().list(options)
+});
 
-function saveHighScores(scores) {
-  try {
-    fs.writeFileSync(scoresFile, JSON.stringify(scores, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error saving high scores:', error);
-    return false;
-  }
-}
+// What the name picker may offer
+bridge.handle('players.options', {
+  standalone: true,
+  result: 'spread',
+  call: () => ({
+    avatars: PlayerProfiles.AVATARS,
+    characters: PlayerProfiles.NAME_CHARACTERS,
+    maxNameLength: PlayerProfiles.MAX_NAME_LENGTH
+  })
+});
 
-// Existing IPC handlers for high scores
-ipcMain.handle('get-high-scores', async (event, game) => {
-  const scores = loadHighScores();
-  return game ? scores[game] || [] : scores;
+bridge.handle('players.create', {
+  args: ['profile: object'],
+  standalone: true,
+  call: (controller, [profile]) => getPlayerProfiles().create(profile)
 });
 
-ipcMain.handle('save-high-score', async (event, game, playerName, score) => {
-  const scores = loadHighScores();
-  
-  if (!scores[game]) {
-    scores[game] = [];
-  }
-  
-  scores[game].push({
-    name: playerName,
-    score: score,
-    date: new Date().toISOString()
-  });
-  
-  scores[game].sort((a, b) => b.score - a.score);
-  scores[game] = scores[game].slice(0, 10);
-  
-  const success = saveHighScores(scores);
-  return { success, scores: scores[game] };
+bridge.handle('players.update', {
+  args: ['id: string', 'changes: object'],
+  standalone: true,
+  call: (controller, [id, changes]) => getPlayerProfiles().update(id, changes)
+});
+
+bridge.handle('players.remove', {
+  args: ['id: string'],
+  standalone: true,
+  result: 'success',
+  call: (controller, [id]) => getPlayerProfiles().remove(id)
 });
 
 // ========================================
@@ -594,6 +436,17 @@ ipcMain.handle('save-high-score', async (event, game, playerName, score) => {
 
 app.whenReady().then(createWindow);
 
+// No window may open new windows or navigate away from the app's own pages
+app.on('web-contents-created', (event, contents) => {
+  contents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  contents.on('will-navigate', (navigationEvent, url) => {
+    if (!url.startsWith('file://')) {
+      console.warn(`🚫 Blocked navigation to ${url}`);
+      navigationEvent.preventDefault();
+    }
+  });
+});
+
 app.on('window-all-closed', () => {
   // Clean up Microbit controller
   if (microbitController) {
@@ -617,4 +470,7 @@ app.on('before-quit', () => {
     console.log('🔌 Cleaning up Microbit controller...');
     microbitController.disconnect();
   }
+  if (microbitSimulator) {
+    microbitSimulator.stop();
+  }
 });
@@ -1,58 +1,149 @@
 // microbit-controller.js - Complete Enhanced Version for HW-484 Hall Sensor Support
 
+const path = require('path');
 const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
 const { EventEmitter } = require('events');
+const DeviceRegistry = require('./device-registry');
+const CommandQueue = require('./command-queue');
+const LEDPatternEngine = require('./led-pattern-engine');
+const { LEDAnimationScheduler, PRIORITY } = require('./led-animation-scheduler');
+const { ProtocolParser, PROTOCOL_VERSION, SENSOR_FIELDS, parseLine } = require('./serial-protocol');
+const { SerialRecorder, loadCapture } = require('./serial-capture');
+const { ButtonInput } = require('./button-input');
+const { BikeSignalProcessor, DEFAULT_SETTINGS: BIKE_SIGNAL_DEFAULTS, normalizeSignalSettings } = require('./bike-signal');
+const { BikeMetrics, CALIBRATION_LIMITS, normalizeCalibration } = require('./bike-metrics');
+const { FirmwareManager, compareVersions } = require('./firmware-manager');
+const { normalizeLayout, DEFAULT_LAYOUT } = require('./button-layout');
+const { normalizeTransport, DEFAULT_TRANSPORT, matchPort, lineSettings } = require('./serial-transport');
 
 class FourMicrobitController extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.connections = new Map();
-        this.buttonStates = [false, false, false, false];
-        this.ledStates = [false, false, false, false];
-        this.buttonColors = ["GREEN", "WHITE", "RED", "GREEN"];
-        this.buttonPositions = ["LEFT", "MIDDLE-LEFT", "MIDDLE-RIGHT", "RIGHT"];
         
-        // Track which Microbit is which button (1-4)
+        // Button count, colours and positions come from the layout (see button-layout.js)
+        this.layout = normalizeLayout(options.layout || DEFAULT_LAYOUT);
+        this.buttonCount = this.layout.buttons.length;
+        this.buttonStates = new Array(this.buttonCount).fill(false);
+        this.ledStates = new Array(this.buttonCount).fill(false);
+        this.ledTargets = new Array(this.buttonCount).fill(null); // Last state sent to each LED, for frame diffs
+        this.buttonColors = this.layout.buttons.map(button => button.color);
+        this.buttonPositions = this.layout.buttons.map(button => button.position);
+        
+        // Debounce, stuck detection and long/double press gestures - see button-input.js
+        this.buttonInput = new ButtonInput(
+            (kind, buttonNumber, details) => this.handleButtonInput(kind, buttonNumber, details),
+            options.buttonInput
+        );
+        
+        // Track which Microbit is which button (1-buttonCount)
         this.buttonMappings = new Map();
         this.portToButton = new Map();
         
-        // HW-484 Hall Sensor Support
-        this.bikePort = null; // Special port for the bike sensor
-        this.bikeData = {
-            revolutions: 0,
-            rpm: 0,
-            lastUpdateTime: 0,
-            isActive: false
-        };
+        // Set while the button assignment wizard runs - presses go to it, not the games
+        this.buttonAssignment = null;
+        
+        // HW-484 Hall Sensor Support - one entry per bike, keyed by bike id (1, 2, ...)
+        // Each bike keeps its own calibration, signal processing and data; see getBike()
+        this.bikes = new Map();
+        this.bikeSignalOptions = options.bikeSignal || {};
+        
+        // Wire buzzer rig - the wire and the start/end pads are wired to one Microbit
+        this.buzzerPort = null;
+        this.buzzerDebounceTime = options.buzzerDebounceTime || 100; // the hoop rattles on the wire
+        this.lastBuzzerContact = new Map();
         
         // Test mode tracking
         this.statusInterval = null;
         
+        // Hot-plug support - background port watcher and reconnect backoff
+        this.portWatchInterval = null;
+        this.portWatchPeriod = 2000;
+        this.portScanInProgress = false;
+        this.connecting = new Set();
+        this.reconnectTimers = new Map();
+        this.reconnectAttempts = new Map();
+        this.reconnectBaseDelay = 1000;
+        this.reconnectMaxDelay = 30000;
+        
+        // Set by disconnect() - a startup scan or reconnect still in flight opens nothing after it
+        this.disposed = false;
+        
+        // Last known role for each device, so a re-plugged board gets its old job back
+        this.lastKnownRoles = new Map();
+        
+        // Persistent roles keyed on USB serial number (survives app restarts)
+        this.registry = new DeviceRegistry(options.registryFile || null);
+        
+        // Bundled .hex files and the versions boards should be on
+        this.firmware = new FirmwareManager(options.firmwareDir || path.join(__dirname, 'firmware'));
+        this.pendingFirmware = new Map(); // Unique ID of a flashed board -> version it should come back with
+        
+        // Unknown or malformed serial lines are kept here instead of printed
+        this.diagnostics = [];
+        this.maxDiagnostics = 200;
+        
+        // Per-port traffic for the diagnostics window - last N raw lines and a message rate
+        this.trafficLineLimit = options.trafficLineLimit || 50;
+        this.messageRateWindow = 5000;
+        // Lines from ports with no open connection (replays, simulated data) - one parser per port
+        this.fallbackParsers = new Map();
+        
+        // Raw serial capture for debugging sessions after the fact
+        this.recorder = null;
+        this.replay = null;
+        
+        // Sensor stream rates per board (deviceKey -> { TILT: hz, ... }), resent when a board reconnects
+        this.sensorRates = new Map();
+        this.maxSensorRate = 50;
+        this.latestSensorData = new Map();
+        
+        // LED commands wait this long for a *_CONFIRMED reply before retrying
+        this.ackTimeout = options.ackTimeout || 300;
+        this.ackRetries = options.ackRetries !== undefined ? options.ackRetries : 2;
+        
+        // JSON LED patterns - bundled ones first, later folders override them
+        this.patterns = new LEDPatternEngine(this, options.patternDirs || [path.join(__dirname, 'led-patterns')]);
+        
+        // Only one LED animation plays at a time - see led-animation-scheduler.js
+        this.animations = new LEDAnimationScheduler(this);
+        
+        // Swapped for the simulator's virtual ports when there is no hardware
+        this.SerialPort = options.SerialPort || SerialPort;
+        
+        // Which USB boards to open, at what baud rate - see serial-transport.js
+        this.transport = normalizeTransport(options.transport || DEFAULT_TRANSPORT);
+        
         console.log('🎮 Initializing 4-Microbit Arcade Controller with Bike Sensor...');
-        this.findAllMicrobits();
+        // Resolves once the first scan has run and the port watcher is up
+        this.startup = this.findAllMicrobits().then(() => this.startPortWatcher());
+    }
+
+    // Boards in the transport's allow list that aren't on its ignore list
+    isAllowedPort(port) {
+        return matchPort(this.transport, port).allowed;
+    }
+
+    // Identify a physical device across re-plugs (port paths can change)
+    getDeviceKey(portPath, portInfo = {}) {
+        return portInfo.serialNumber || portPath;
     }
 
     async findAllMicrobits() {
         try {
-            const ports = await SerialPort.list();
-            
-            // Look for Microbit-like devices
-            const microbitPorts = ports.filter(port => 
-                port.manufacturer && (
-                    port.manufacturer.includes('Arm') || 
-                    port.manufacturer.includes('mbed') ||
-                    port.manufacturer.includes('Microbit') ||
-                    port.manufacturer.includes('ARM') ||
-                    port.manufacturer.includes('Microsoft') ||
-                    port.path.includes('usbmodem') ||
-                    port.path.includes('ttyACM')
-                )
-            );
+            const ports = await this.SerialPort.list();
+            if (this.disposed) return;
+            
+            // Only the boards the transport allows
+            const microbitPorts = ports.filter(port => this.isAllowedPort(port));
 
             console.log(`🔍 Found ${microbitPorts.length} potential Microbits:`);
             microbitPorts.forEach((port, index) => {
-                console.log(`   ${index + 1}. ${port.path} (${port.manufacturer || 'Unknown'})`);
+                console.log(`   ${index + 1}. ${port.path} (${matchPort(this.transport, port).device.name})`);
+            });
+            ports.filter(port => !this.isAllowedPort(port)).forEach(port => {
+                console.log(`   ⏭️ Skipping ${port.path} - ${matchPort(this.transport, port).reason}`);
             });
 
             if (microbitPorts.length === 0) {
@@ -62,7 +153,11 @@ class FourMicrobitController extends EventEmitter {
 
             // Connect to each detected Microbit
             for (let i = 0; i < microbitPorts.length; i++) {
-                await this.connectToMicrobit(microbitPorts[i].path, i + 1);
+                if (this.disposed) return;
+                const connected = await this.connectToMicrobit(microbitPorts[i].path, i + 1, microbitPorts[i]);
+                if (!connected) {
+                    this.scheduleReconnect(microbitPorts[i]);
+                }
                 await this.delay(500);
             }
 
@@ -71,13 +166,25 @@ class FourMicrobitController extends EventEmitter {
         }
     }
 
-    async connectToMicrobit(portPath, suggestedButtonNumber) {
+    async connectToMicrobit(portPath, suggestedButtonNumber, portInfo = {}) {
+        if (this.disposed) {
+            return false;
+        }
+        if (this.connections.has(portPath) || this.connecting.has(portPath)) {
+            return true;
+        }
+        
+        this.connecting.add(portPath);
+        
         try {
             console.log(`🔌 Attempting to connect to ${portPath}...`);
             
-            const port = new SerialPort({
+            const { device } = matchPort(this.transport, { path: portPath, ...portInfo });
+            const { baudRate, delimiter } = lineSettings(this.transport, device);
+            
+            const port = new this.SerialPort({
                 path: portPath,
-                baudRate: 115200,
+                baudRate,
                 autoOpen: false
             });
 
@@ -88,24 +195,60 @@ class FourMicrobitController extends EventEmitter {
                 });
             });
 
-            const parser = port.pipe(new ReadlineParser({ delimiter: '\n' }));
+            // Disconnected while the port was opening
+            if (this.disposed) {
+                port.close();
+                return false;
+            }
+
+            const parser = port.pipe(new ReadlineParser({ delimiter }));
             
             // Store connection info
+            const deviceKey = this.getDeviceKey(portPath, portInfo);
             this.connections.set(portPath, { 
                 port, 
                 parser, 
+                deviceKey,
+                portInfo,
+                boardType: device ? device.name : null,
+                delimiter,
+                serialNumber: portInfo.serialNumber || null,
+                protocolParser: new ProtocolParser(),
+                protocolVersion: null,
+                firmwareVersion: null,
+                firmwareWarned: false,
+                diagnosticCount: 0,
+                commandQueue: new CommandQueue(command => this.sendCommand(portPath, command), {
+                    timeout: this.ackTimeout,
+                    retries: this.ackRetries
+                }),
                 buttonNumber: null,
                 deviceType: 'unknown', // 'button' or 'bike'
                 connected: true,
-                lastActivity: Date.now()
+                connectedAt: Date.now(),
+                lastActivity: Date.now(),
+                traffic: {
+                    lines: [],
+                    received: 0,
+                    sent: 0,
+                    errors: 0,
+                    windowStart: Date.now(),
+                    windowCount: 0,
+                    rate: 0
+                }
             });
 
             parser.on('data', (data) => {
+                if (this.recorder) {
+                    this.recorder.record('in', portPath, data);
+                }
+                this.trackTraffic(portPath, 'in', data);
                 this.processMessage(portPath, data.trim());
             });
 
             port.on('error', (error) => {
                 console.error(`❌ Error on ${portPath}:`, error.message);
+                this.trackTraffic(portPath, 'error', error.message);
                 this.handleDisconnection(portPath);
             });
 
@@ -116,14 +259,167 @@ class FourMicrobitController extends EventEmitter {
 
             console.log(`✅ Connected to Microbit at ${portPath}`);
             
+            this.reconnectAttempts.delete(portPath);
+            this.restoreDeviceRole(portPath);
+            
+            this.emit('device-attached', {
+                port: portPath,
+                deviceKey,
+                deviceType: this.connections.get(portPath).deviceType,
+                buttonId: this.connections.get(portPath).buttonNumber
+            });
+            
             // Send identification request
             setTimeout(() => {
                 this.sendCommand(portPath, 'IDENTIFY');
+                this.restoreSensorRates(portPath);
             }, 1000);
+            
+            return true;
 
         } catch (error) {
             console.error(`❌ Failed to connect to ${portPath}:`, error.message);
+            return false;
+        } finally {
+            this.connecting.delete(portPath);
+        }
+    }
+
+    // Give a device its registered role, or the one it had before it was unplugged
+    restoreDeviceRole(portPath) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+        
+        const stored = this.registry.get(connection.serialNumber);
+        if (stored) {
+            console.log(`📒 ${portPath} is known as ${stored.role}${stored.buttonNumber ? ' ' + stored.buttonNumber : ''} (${stored.serialNumber})`);
+            this.applyStoredRole(portPath, stored);
+            return;
+        }
+        
+        const previousRole = this.lastKnownRoles.get(connection.deviceKey);
+        if (!previousRole) return;
+        
+        if (previousRole.deviceType === 'bike') {
+            console.log(`♻️ Restoring bike sensor role for ${portPath}`);
+            this.registerBikeSensor(portPath, previousRole.bikeId);
+        } else if (previousRole.deviceType === 'button' && !this.portToButton.has(previousRole.buttonNumber)) {
+            console.log(`♻️ Restoring Button ${previousRole.buttonNumber} for ${portPath}`);
+            this.registerButton(portPath, previousRole.buttonNumber);
+        }
+    }
+
+    applyStoredRole(portPath, entry) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+        
+        if (entry.role === 'button') {
+            this.registerButton(portPath, entry.buttonNumber);
+        } else if (entry.role === 'bike') {
+            this.registerBikeSensor(portPath, entry.bikeId);
+        } else if (entry.role === 'buzzer') {
+            this.registerBuzzer(portPath);
+        } else {
+            connection.deviceType = entry.role;
+        }
+    }
+
+    // ========================================
+    // HOT-PLUG PORT WATCHER
+    // ========================================
+
+    startPortWatcher() {
+        if (this.portWatchInterval || this.disposed) return;
+        
+        console.log(`👀 Watching for Microbits being plugged in or removed (every ${this.portWatchPeriod}ms)`);
+        this.portWatchInterval = setInterval(() => this.scanPorts(), this.portWatchPeriod);
+    }
+
+    stopPortWatcher() {
+        if (this.portWatchInterval) {
+            clearInterval(this.portWatchInterval);
+            this.portWatchInterval = null;
+        }
+        
+        for (const timer of this.reconnectTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.reconnectTimers.clear();
+        this.reconnectAttempts.clear();
+    }
+
+    async scanPorts() {
+        if (this.portScanInProgress) return;
+        this.portScanInProgress = true;
+        
+        try {
+            const ports = (await this.SerialPort.list()).filter(port => this.isAllowedPort(port));
+            const presentPaths = new Set(ports.map(port => port.path));
+            
+            // Newly attached devices
+            for (const portInfo of ports) {
+                const portPath = portInfo.path;
+                if (this.connections.has(portPath) || this.connecting.has(portPath) || this.reconnectTimers.has(portPath)) {
+                    continue;
+                }
+                
+                console.log(`🔌 New Microbit detected at ${portPath}`);
+                const connected = await this.connectToMicrobit(portPath, null, portInfo);
+                if (!connected) {
+                    this.scheduleReconnect(portInfo);
+                }
+            }
+            
+            // Vanished devices - the close event usually beats us to it, but not always
+            for (const portPath of Array.from(this.connections.keys())) {
+                if (!presentPaths.has(portPath)) {
+                    console.log(`🔌 ${portPath} no longer present`);
+                    this.handleDisconnection(portPath);
+                }
+            }
+            
+            // Stop retrying ports that have gone away
+            for (const portPath of Array.from(this.reconnectTimers.keys())) {
+                if (!presentPaths.has(portPath)) {
+                    clearTimeout(this.reconnectTimers.get(portPath));
+                    this.reconnectTimers.delete(portPath);
+                    this.reconnectAttempts.delete(portPath);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error scanning serial ports:', error);
+        } finally {
+            this.portScanInProgress = false;
+        }
+    }
+
+    scheduleReconnect(portInfo) {
+        const portPath = portInfo.path;
+        if (this.disposed || this.reconnectTimers.has(portPath)) return;
+        
+        const attempts = this.reconnectAttempts.get(portPath) || 0;
+        const delay = Math.min(this.reconnectBaseDelay * Math.pow(2, attempts), this.reconnectMaxDelay);
+        this.reconnectAttempts.set(portPath, attempts + 1);
+        
+        console.log(`⏳ Retrying ${portPath} in ${delay}ms (attempt ${attempts + 1})`);
+        
+        const timer = setTimeout(async () => {
+            this.reconnectTimers.delete(portPath);
+            
+            const connected = await this.connectToMicrobit(portPath, null, portInfo);
+            if (!connected && this.portWatchInterval) {
+                this.scheduleReconnect(portInfo);
+            }
+        }, delay);
+        
+        this.reconnectTimers.set(portPath, timer);
+    }
+
+    getFallbackParser(portPath) {
+        if (!this.fallbackParsers.has(portPath)) {
+            this.fallbackParsers.set(portPath, new ProtocolParser());
         }
+        return this.fallbackParsers.get(portPath);
     }
 
     processMessage(portPath, message) {
@@ -134,308 +430,1543 @@ class FourMicrobitController extends EventEmitter {
             connection.lastActivity = Date.now();
         }
 
-        console.log(`📨 [${portPath}] ${message}`);
+        const parser = connection ? connection.protocolParser : this.getFallbackParser(portPath);
+        const parsed = parser.parse(message);
 
-        // Auto-register bike sensor on first BIKE_REV message
-        if (message.startsWith('BIKE_REV:')) {
-            // Auto-register as bike sensor if not already registered
-            if (!this.bikePort) {
-                console.log('🔄 Auto-registering bike sensor from data message');
-                this.registerBikeSensor(portPath);
-            }
-            this.processBikeSensorData(portPath, message);
+        // Debug prints and corrupted lines go to diagnostics, never to the games
+        if (parsed.type === 'unknown' || parsed.type === 'malformed') {
+            this.reportDiagnostic(portPath, parsed.type, parsed.reason, parsed.raw);
             return;
         }
 
-        // Explicit bike sensor registration messages
-        if (message.includes('BIKE SENSOR READY') || message.includes('HW-484')) {
-            this.registerBikeSensor(portPath);
+        if (parsed.duplicate) {
+            this.reportDiagnostic(portPath, 'duplicate', `Repeated frame ${parsed.seq}`, parsed.raw);
             return;
         }
 
-        // Arcade Button Messages (existing code)
-        if (message.includes('BUTTON_') && message.includes('_READY')) {
-            const parts = message.split('_');
-            if (parts.length >= 2) {
-                const buttonNumber = parseInt(parts[1]);
-                this.registerButton(portPath, buttonNumber);
-            }
-            
-        } else if (message.includes('BUTTON_') && message.includes('_PRESSED')) {
-            const parts = message.split('_');
-            if (parts.length >= 2) {
-                const buttonNumber = parseInt(parts[1]);
-                this.handleButtonPress(buttonNumber);
-            }
-            
-        } else if (message.includes('BUTTON_') && message.includes('_RELEASED')) {
-            const parts = message.split('_');
-            if (parts.length >= 2) {
-                const buttonNumber = parseInt(parts[1]);
-                this.handleButtonRelease(buttonNumber);
+        if (parsed.missed) {
+            this.reportDiagnostic(portPath, 'dropped', `${parsed.missed} frame(s) missing before ${parsed.seq}`, parsed.raw);
+        }
+
+        if (connection && !connection.protocolVersion) {
+            connection.protocolVersion = parser.protocolVersion;
+        }
+
+        // Settle any command that was waiting for this reply
+        if (connection) {
+            connection.commandQueue.handleMessage(parsed);
+        }
+
+        // Sensor streams run at up to 50 Hz - too chatty for the console
+        if (parsed.type !== 'sensor') {
+            console.log(`📨 [${portPath}] ${message}`);
+        }
+
+        switch (parsed.type) {
+            case 'hello':
+                this.handleHello(portPath, parsed);
+                break;
+
+            case 'bike-rev': {
+                // Auto-register as bike sensor if not already registered - every board gets its own bike
+                const connection = this.connections.get(portPath);
+                if (connection && connection.deviceType !== 'bike') {
+                    if (connection.deviceType !== 'unknown') {
+                        this.reportDiagnostic(portPath, 'unexpected', `Bike data from a ${connection.deviceType}`, message);
+                        return;
+                    }
+                    console.log('🔄 Auto-registering bike sensor from data message');
+                    this.registerBikeSensor(portPath);
+                }
+                this.processBikeSensorData(portPath, parsed);
+                break;
             }
-            
-        } else if (message.includes('LED_') && message.includes('_CONFIRMED')) {
-            const parts = message.split('_');
-            if (parts.length >= 2) {
-                const buttonNumber = parseInt(parts[1]);
-                const state = parts[2] === 'ON' || parts[2] === 'TOGGLE';
-                
-                if (parts[2] === 'TOGGLE') {
+
+            case 'bike-ready':
+                this.registerBikeSensor(portPath);
+                break;
+
+            case 'button-ready':
+                this.registerButton(portPath, parsed.button);
+                break;
+
+            case 'buzzer-ready':
+                this.registerBuzzer(portPath);
+                break;
+
+            case 'buzzer-contact':
+                this.handleBuzzerContact(portPath, parsed.contact);
+                break;
+
+            case 'firmware':
+                this.recordFirmwareVersion(portPath, parsed.version);
+                break;
+
+            case 'button-pressed':
+                if (this.buttonAssignment) {
+                    this.handleAssignmentPress(portPath, parsed.button);
+                    break;
+                }
+                this.handleButtonPress(this.resolveButtonNumber(portPath, parsed.button));
+                break;
+
+            case 'button-released':
+                if (this.buttonAssignment) break;
+                this.handleButtonRelease(this.resolveButtonNumber(portPath, parsed.button));
+                break;
+
+            case 'led-confirmed': {
+                const buttonNumber = this.resolveButtonNumber(portPath, parsed.button);
+                if (!buttonNumber) return;
+
+                if (parsed.state === 'TOGGLE') {
                     this.ledStates[buttonNumber - 1] = !this.ledStates[buttonNumber - 1];
                 } else {
-                    this.ledStates[buttonNumber - 1] = state;
+                    this.ledStates[buttonNumber - 1] = parsed.state === 'ON';
                 }
                 
                 console.log(`💡 LED ${buttonNumber} confirmed ${this.ledStates[buttonNumber - 1] ? 'ON' : 'OFF'}`);
                 this.emit('led-confirmed', { buttonId: buttonNumber, state: this.ledStates[buttonNumber - 1], port: portPath });
+                break;
             }
+
+            case 'sensor':
+                this.handleSensorData(portPath, parsed);
+                break;
         }
     }
 
-    registerBikeSensor(portPath) {
-        this.bikePort = portPath;
+    // Version 2 firmware answers IDENTIFY with its protocol version and role
+    handleHello(portPath, hello) {
         const connection = this.connections.get(portPath);
         if (connection) {
-            connection.deviceType = 'bike';
-            console.log(`🚴‍♂️ Registered HW-484 Bike Sensor at ${portPath}`);
-            
-            this.emit('bike-sensor-ready', {
-                port: portPath,
-                message: 'HW-484 Hall Sensor Ready'
-            });
+            connection.protocolVersion = hello.protocolVersion;
         }
-    }
 
-    processBikeSensorData(portPath, message) {
-        // Parse: "BIKE_REV:<count>:<rpm>:<time>"
-        const parts = message.split(':');
-        if (parts.length >= 4) {
-            const revolutions = parseInt(parts[1]);
-            const rpm = parseInt(parts[2]);
-            const timestamp = parseInt(parts[3]);
-            
-            // Validation - reject invalid data
-            if (isNaN(revolutions) || isNaN(rpm) || revolutions < 0 || rpm < 0) {
-                console.warn('⚠️ Invalid bike sensor data:', { revolutions, rpm });
-                return;
-            }
-            
-            // Update bike data
-            this.bikeData = {
-                revolutions: revolutions,
-                rpm: rpm,
-                lastUpdateTime: Date.now(),
-                isActive: rpm > 0
-            };
-            
-            console.log(`🚴‍♂️ Bike Data - Rev: ${revolutions}, RPM: ${rpm}`);
-            
-            // Emit bike data event for the game
-            this.emit('bike-data', {
-                revolutions: revolutions,
-                rpm: rpm,
-                timestamp: timestamp,
-                port: portPath
-            });
-            
-            // Emit generic microbit-data for compatibility with biker-beat.js
-            this.emit('microbit-data', message);
+        console.log(`🤝 ${portPath} speaks protocol v${hello.protocolVersion} as ${hello.role}${hello.id ? ' ' + hello.id : ''}`);
+
+        if (hello.protocolVersion > PROTOCOL_VERSION) {
+            this.reportDiagnostic(portPath, 'version', `Board speaks protocol v${hello.protocolVersion}, platform only knows v${PROTOCOL_VERSION}`, hello.raw);
+        }
+
+        if (hello.role === 'button' && hello.id) {
+            this.registerButton(portPath, hello.id);
+        } else if (hello.role === 'bike') {
+            this.registerBikeSensor(portPath, hello.id || null);
+        } else if (hello.role === 'buzzer') {
+            this.registerBuzzer(portPath);
+        } else if (connection) {
+            connection.deviceType = hello.role;
+        }
+        
+        if (hello.firmwareVersion) {
+            this.recordFirmwareVersion(portPath, hello.firmwareVersion);
         }
     }
 
-    registerButton(portPath, buttonNumber) {
-        if (buttonNumber >= 1 && buttonNumber <= 4) {
-            this.buttonMappings.set(portPath, buttonNumber);
-            this.portToButton.set(buttonNumber, portPath);
-            
-            const connection = this.connections.get(portPath);
-            if (connection) {
-                connection.buttonNumber = buttonNumber;
-                connection.deviceType = 'button';
-            }
-            
-            console.log(`📍 Registered Button ${buttonNumber} at ${portPath}`);
-            
-            // Flash LED to confirm assignment
-            setTimeout(() => {
-                this.setLED(buttonNumber, true);
-                setTimeout(() => this.setLED(buttonNumber, false), 500);
-            }, 500);
+    // ========================================
+    // FIRMWARE
+    // ========================================
+
+    // Boards report their version when they IDENTIFY - warn once per connection if it's behind
+    recordFirmwareVersion(portPath, version) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+        
+        connection.firmwareVersion = version;
+        console.log(`📦 ${portPath} runs firmware ${version}`);
+        
+        // A board we flashed has come back - check it took the new version
+        const uniqueId = connection.serialNumber ? connection.serialNumber.toUpperCase() : null;
+        if (uniqueId && this.pendingFirmware.has(uniqueId)) {
+            const expected = this.pendingFirmware.get(uniqueId);
+            this.pendingFirmware.delete(uniqueId);
             
-            this.emit('microbit-ready', { 
-                port: portPath, 
-                buttonId: buttonNumber,
-                message: `Button ${buttonNumber} ready`
+            const success = compareVersions(version, expected) === 0;
+            console.log(success ? `✅ ${portPath} is now on firmware ${version}` : `❌ ${portPath} came back with ${version}, expected ${expected}`);
+            this.emit('firmware-verified', { port: portPath, serialNumber: connection.serialNumber, version, expected, success });
+        }
+        
+        const check = this.firmware.check(connection.deviceType, version);
+        if (check.status === 'outdated' && !connection.firmwareWarned) {
+            connection.firmwareWarned = true;
+            console.warn(`⚠️ ${portPath} (${connection.deviceType}) runs firmware ${version}, ${check.latest} is bundled`);
+            this.emit('firmware-outdated', {
+                port: portPath,
+                serialNumber: connection.serialNumber,
+                role: connection.deviceType,
+                buttonNumber: connection.buttonNumber || null,
+                bikeId: connection.bikeId || null,
+                version,
+                latest: check.latest
             });
         }
     }
 
-    handleButtonPress(buttonNumber) {
-        if (buttonNumber >= 1 && buttonNumber <= 4) {
-            this.buttonStates[buttonNumber - 1] = true;
-            const color = this.buttonColors[buttonNumber - 1];
-            const position = this.buttonPositions[buttonNumber - 1];
-            
-            console.log(`🎮 PRESS: ${color} Button ${buttonNumber} (${position})`);
-            
-            this.emit('button-press', {
-                button: buttonNumber,
-                color: color,
-                position: position,
-                state: 'pressed'
-            });
-        }
+    // Bundled firmware, MICROBIT drives (matched to their serial port when plugged in) and each board's version
+    getFirmwareStatus() {
+        const boards = Array.from(this.connections.entries()).map(([port, conn]) => ({
+            port,
+            serialNumber: conn.serialNumber || null,
+            role: conn.deviceType,
+            buttonNumber: conn.buttonNumber || null,
+            bikeId: conn.bikeId || null,
+            ...this.firmware.check(conn.deviceType, conn.firmwareVersion)
+        }));
+        
+        const drives = this.firmware.findDrives().map(drive => {
+            const board = boards.find(candidate => candidate.serialNumber && drive.uniqueId &&
+                candidate.serialNumber.toUpperCase() === drive.uniqueId.toUpperCase());
+            return { ...drive, port: board ? board.port : null, role: board ? board.role : null };
+        });
+        
+        return { bundled: this.firmware.list(), drives, boards };
     }
 
-    handleButtonRelease(buttonNumber) {
-        if (buttonNumber >= 1 && buttonNumber <= 4) {
-            this.buttonStates[buttonNumber - 1] = false;
-            const color = this.buttonColors[buttonNumber - 1];
-            const position = this.buttonPositions[buttonNumber - 1];
+    // Copy the bundled firmware for role onto a MICROBIT drive - see firmware-manager.js.
+    // The board restarts afterwards; when it reconnects, its IDENTIFY reply settles 'firmware-verified'.
+    async flashFirmware(role, drivePath, onProgress) {
+        try {
+            const drive = this.firmware.findDrives().find(candidate => candidate.path === drivePath);
+            if (!drive) {
+                throw new Error(`${drivePath} is not a MICROBIT drive`);
+            }
+            const result = await this.firmware.flash(role, drivePath, onProgress);
             
-            console.log(`🎮 RELEASE: ${color} Button ${buttonNumber} (${position})`);
+            if (drive.uniqueId) {
+                this.pendingFirmware.set(drive.uniqueId.toUpperCase(), result.version);
+            }
             
-            this.emit('button-release', {
-                button: buttonNumber,
-                color: color,
-                position: position,
-                state: 'released'
-            });
+            console.log(`📦 Flashed ${role} firmware ${result.version} to ${drivePath}`);
+            return { success: true, ...result, awaitingBoard: Boolean(drive.uniqueId) };
+        } catch (error) {
+            console.error(`❌ Flashing ${drivePath} failed:`, error.message);
+            return { success: false, error: error.message };
         }
     }
 
-    handleDisconnection(portPath) {
+    // ========================================
+    // DIAGNOSTICS
+    // ========================================
+
+    reportDiagnostic(portPath, kind, reason, raw) {
+        const entry = {
+            port: portPath,
+            kind,
+            reason,
+            raw,
+            timestamp: Date.now()
+        };
+
+        this.diagnostics.push(entry);
+        if (this.diagnostics.length > this.maxDiagnostics) {
+            this.diagnostics.shift();
+        }
+
         const connection = this.connections.get(portPath);
         if (connection) {
-            if (connection.deviceType === 'bike' && this.bikePort === portPath) {
-                console.log(`⚠️  HW-484 Bike Sensor disconnected`);
-                this.bikePort = null;
-                this.bikeData.isActive = false;
-                this.emit('bike-sensor-disconnected', { port: portPath });
-                
-            } else if (connection.deviceType === 'button') {
-                const buttonNumber = this.buttonMappings.get(portPath);
-                if (buttonNumber) {
-                    console.log(`⚠️  Button ${buttonNumber} disconnected`);
-                    this.buttonStates[buttonNumber - 1] = false;
-                    this.portToButton.delete(buttonNumber);
-                }
-                this.buttonMappings.delete(portPath);
-            }
-            
-            this.connections.delete(portPath);
+            connection.diagnosticCount = (connection.diagnosticCount || 0) + 1;
         }
+
+        this.emit('diagnostic', entry);
+    }
+
+    getDiagnostics(limit = this.maxDiagnostics) {
+        return this.diagnostics.slice(-limit);
     }
 
     // ========================================
-    // BIKE SENSOR SPECIFIC METHODS
+    // DEVICE HEALTH (diagnostics window)
     // ========================================
 
-    getBikeData() {
-        return { ...this.bikeData };
+    // direction is 'in', 'out' or 'error'
+    trackTraffic(portPath, direction, line) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+        
+        const traffic = connection.traffic;
+        const now = Date.now();
+        
+        traffic.lines.push({ t: now, dir: direction, line });
+        if (traffic.lines.length > this.trafficLineLimit) {
+            traffic.lines.shift();
+        }
+        
+        if (direction === 'in') {
+            traffic.received++;
+            traffic.windowCount++;
+        } else if (direction === 'out') {
+            traffic.sent++;
+        } else {
+            traffic.errors++;
+        }
+        
+        if (now - traffic.windowStart >= this.messageRateWindow) {
+            traffic.rate = traffic.windowCount * 1000 / (now - traffic.windowStart);
+            traffic.windowStart = now;
+            traffic.windowCount = 0;
+        }
     }
 
-    isBikeSensorConnected() {
-        return this.bikePort !== null;
+    // Inbound lines per second - the last full window, or the current one once it has run long
+    // enough (so a board that has gone quiet drops towards 0 instead of showing its old rate)
+    getMessageRate(connection, now = Date.now()) {
+        const traffic = connection.traffic;
+        const elapsed = now - traffic.windowStart;
+        const rate = elapsed >= this.messageRateWindow ? traffic.windowCount * 1000 / elapsed : traffic.rate;
+        return Math.round(rate * 10) / 10;
     }
 
-    sendBikeCommand(command) {
-        if (!this.bikePort) {
-            console.error('❌ No bike sensor connected');
-            return false;
-        }
+    // Everything the diagnostics window shows, one entry per open port
+    getHealthReport(lineLimit = this.trafficLineLimit) {
+        const now = Date.now();
+        
+        const devices = Array.from(this.connections.entries()).map(([port, conn]) => {
+            const commandStats = conn.commandQueue.getStats();
+            return {
+                port,
+                serialNumber: conn.serialNumber || null,
+                role: conn.deviceType,
+                boardType: conn.boardType,
+                buttonNumber: conn.buttonNumber || null,
+                bikeId: conn.bikeId || null,
+                protocolVersion: conn.protocolVersion,
+                firmwareVersion: conn.firmwareVersion,
+                firmwareStatus: this.firmware.check(conn.deviceType, conn.firmwareVersion).status,
+                connectedAt: conn.connectedAt,
+                lastActivity: conn.lastActivity,
+                idleFor: now - conn.lastActivity,
+                messageRate: this.getMessageRate(conn, now),
+                received: conn.traffic.received,
+                sent: conn.traffic.sent,
+                errors: {
+                    serial: conn.traffic.errors,
+                    diagnostics: conn.diagnosticCount || 0,
+                    commands: commandStats.failures,
+                    total: conn.traffic.errors + (conn.diagnosticCount || 0) + commandStats.failures
+                },
+                latency: commandStats.averageLatency,
+                recentLines: conn.traffic.lines.slice(-lineLimit)
+            };
+        });
         
-        return this.sendCommand(this.bikePort, command);
+        return {
+            generatedAt: now,
+            layout: this.layout.name,
+            transport: this.transport.name,
+            buttonCount: this.buttonCount,
+            devices,
+            bikes: this.getAllBikeData(),
+            buzzerPort: this.buzzerPort,
+            recording: this.getRecordingStatus(),
+            diagnostics: this.getDiagnostics(20)
+        };
     }
 
-    async resetBikeCounter() {
-        if (this.bikePort) {
-            // Reset local data immediately
-            this.bikeData = {
-                revolutions: 0,
-                rpm: 0,
-                lastUpdateTime: Date.now(),
-                isActive: false
-            };
-            
-            // Send reset command to bike sensor Microbit
-            const result = this.sendCommand(this.bikePort, 'RESET_COUNTER');
-            
-            if (result) {
-                console.log('🔄 Bike counter reset successfully');
-            }
-            
-            return result;
+    // Ask a board who it is and time the answer - { success, latency } or { success: false, error }
+    async pingPort(portPath) {
+        if (!this.connections.has(portPath)) {
+            return { success: false, error: `No device at ${portPath}` };
         }
-        return false;
+        
+        const sentAt = Date.now();
+        const answered = await this.sendCommandWithAck(portPath, 'IDENTIFY',
+            message => ['hello', 'button-ready', 'bike-ready', 'buzzer-ready'].includes(message.type));
+        
+        if (!answered) {
+            console.warn(`🏓 ${portPath} did not answer IDENTIFY`);
+            return { success: false, error: 'No reply to IDENTIFY' };
+        }
+        
+        const latency = Date.now() - sentAt;
+        console.log(`🏓 ${portPath} answered in ${latency}ms`);
+        return { success: true, latency };
     }
 
-    async setBikeGameMode(active) {
-        if (this.bikePort) {
-            const command = active ? 'GAME_MODE_ON' : 'GAME_MODE_OFF';
-            return this.sendCommand(this.bikePort, command);
+    async pingMicrobit(buttonNumber) {
+        const portPath = this.portToButton.get(buttonNumber);
+        if (!portPath) {
+            console.error(`❌ Button ${buttonNumber} is not connected`);
+            return false;
         }
-        return false;
+        
+        const result = await this.pingPort(portPath);
+        return result.success;
     }
 
-    // Simulation and testing methods
-    simulateBikeData(revolutions = 1, rpm = 60) {
-        const testMessage = `BIKE_REV:${revolutions}:${rpm}:${Date.now()}`;
-        console.log('🧪 Simulating bike data:', testMessage);
-        
-        // Process as if received from Microbit
-        this.processBikeSensorData('simulated', testMessage);
+    async pingAllMicrobits() {
+        const ports = Array.from(this.connections.keys());
+        const results = await Promise.all(ports.map(portPath => this.pingPort(portPath)));
+        return ports.map((port, index) => ({ port, ...results[index] }));
+    }
+
+    // Show a technician which board is which - buttons blink their LED, other boards show an icon
+    async flashDevice(portPath) {
+        const connection = this.connections.get(portPath);
+        if (!connection) {
+            return { success: false, error: `No device at ${portPath}` };
+        }
+        
+        if (connection.deviceType === 'button' && connection.buttonNumber) {
+            const result = await this.flashLED(connection.buttonNumber, 3, 200);
+            return { success: result !== false };
+        }
+        
+        if (!this.sendCommand(portPath, 'SHOW_ICON:HEART')) {
+            return { success: false, error: 'Could not write to the port' };
+        }
+        setTimeout(() => this.sendCommand(portPath, 'CLEAR_DISPLAY'), 1500);
+        return { success: true };
+    }
+
+    // Boards with a serial number are reassigned through the registry (and remembered);
+    // ones without only keep the new role until they are unplugged
+    reassignDevice(portPath, role, number = null) {
+        const connection = this.connections.get(portPath);
+        if (!connection) {
+            return { success: false, error: `No device at ${portPath}` };
+        }
+        
+        if (connection.serialNumber) {
+            return this.assignDeviceRole(connection.serialNumber, role, number);
+        }
+        
+        if (!DeviceRegistry.VALID_ROLES.includes(role)) {
+            return { success: false, error: `Unknown role: ${role}` };
+        }
+        if (role === 'button' && !this.isButtonNumber(number)) {
+            return { success: false, error: `Invalid button number: ${number}` };
+        }
+        if (role === 'button' && this.portToButton.has(number) && this.portToButton.get(number) !== portPath) {
+            return { success: false, error: `Button ${number} is already connected at ${this.portToButton.get(number)}` };
+        }
+        
+        this.clearDeviceRole(portPath);
+        this.applyStoredRole(portPath, { role, buttonNumber: number, bikeId: number });
+        console.log(`🔧 ${portPath} reassigned as ${role}${number ? ' ' + number : ''} for this session`);
+        return { success: true };
+    }
+
+    // Close and reopen the port - clears a wedged connection without unplugging the cable
+    async resetDevice(portPath) {
+        const connection = this.connections.get(portPath);
+        if (!connection) {
+            return { success: false, error: `No device at ${portPath}` };
+        }
+        
+        console.log(`🔄 Resetting connection to ${portPath}`);
+        const portInfo = connection.portInfo;
+        
+        // A late close event from the old port must not tear down the new connection
+        connection.port.removeAllListeners('close');
+        connection.port.removeAllListeners('error');
+        await new Promise(resolve => {
+            try {
+                connection.port.close(() => resolve());
+            } catch (error) {
+                resolve();
+            }
+        });
+        // The close event usually does this, but not before we reopen
+        this.handleDisconnection(portPath);
+        
+        const connected = await this.connectToMicrobit(portPath, null, portInfo);
+        return connected ? { success: true } : { success: false, error: `Could not reopen ${portPath}` };
+    }
+
+    // bikeId comes from HELLO or the registry; otherwise the board gets the lowest free id
+    registerBikeSensor(portPath, bikeId = null) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+        
+        const stored = this.registry.get(connection.serialNumber);
+        const id = this.chooseBikeId(portPath, bikeId || (stored && stored.role === 'bike' ? stored.bikeId : null));
+        
+        // Re-registering under a different id (HELLO after BIKE_REV) - the old entry was this
+        // same board, so drop it rather than leave a second, phantom bike behind
+        this.bikes.forEach(bike => {
+            if (bike.port === portPath && bike.id !== id) {
+                bike.signal.stop();
+                this.bikes.delete(bike.id);
+            }
+        });
+        
+        const bike = this.getBike(id);
+        bike.port = portPath;
+        bike.serialNumber = connection.serialNumber || null;
+        if (stored && stored.calibration) {
+            try {
+                this.applyBikeCalibration(bike, stored.calibration);
+            } catch (error) {
+                console.warn(`⚠️ Ignoring stored calibration for bike ${id}: ${error.message}`);
+            }
+        }
+        
+        connection.deviceType = 'bike';
+        connection.bikeId = id;
+        console.log(`🚴‍♂️ Registered HW-484 Bike Sensor ${id} at ${portPath}`);
+        
+        if (connection.serialNumber && (!stored || (stored.role === 'bike' && stored.bikeId !== id))) {
+            this.registry.assign(connection.serialNumber, 'bike', id);
+        }
+        
+        this.emit('bike-sensor-ready', {
+            port: portPath,
+            bikeId: id,
+            message: `HW-484 Hall Sensor Ready (Bike ${id})`
+        });
+    }
+
+    chooseBikeId(portPath, requested) {
+        const isFree = id => {
+            const bike = this.bikes.get(id);
+            return !bike || !bike.port || bike.port === portPath;
+        };
+        
+        if (Number.isInteger(requested) && requested > 0 && isFree(requested)) {
+            return requested;
+        }
+        if (requested) {
+            this.reportDiagnostic(portPath, 'conflict', `Bike ${requested} is already connected - using another id`, String(requested));
+        }
+        
+        // Prefer ids no other known board is registered under, so bikes keep their numbers
+        let id = 1;
+        while (!isFree(id) || this.isBikeIdReserved(id, portPath)) {
+            id++;
+        }
+        return id;
+    }
+
+    isBikeIdReserved(bikeId, portPath) {
+        const owner = this.registry.findByBike(bikeId);
+        const connection = this.connections.get(portPath);
+        return Boolean(owner && (!connection || owner.serialNumber !== connection.serialNumber));
+    }
+
+    getBike(bikeId) {
+        if (!this.bikes.has(bikeId)) {
+            const bike = {
+                id: bikeId,
+                port: null,
+                serialNumber: null,
+                calibration: {},
+                data: {
+                    revolutions: 0,
+                    rpm: 0,
+                    distance: 0,
+                    speed: 0,
+                    power: 0,
+                    calories: 0,
+                    lastUpdateTime: 0,
+                    isActive: false
+                }
+            };
+            // Cadence from revolution timing, bounce/outlier rejection and decay - see bike-signal.js
+            bike.signal = new BikeSignalProcessor(
+                reading => this.updateBikeData(bike, reading, Date.now()),
+                this.bikeSignalOptions
+            );
+            // Distance, speed, power and calories from the calibration - see bike-metrics.js
+            bike.metrics = new BikeMetrics();
+            this.bikes.set(bikeId, bike);
+        }
+        return this.bikes.get(bikeId);
+    }
+
+    // Board unplugged or given another role - keep the bike's totals for the results screen
+    releaseBike(portPath) {
+        const connection = this.connections.get(portPath);
+        const bike = connection && connection.bikeId ? this.bikes.get(connection.bikeId) : null;
+        if (!bike || bike.port !== portPath) return null;
+        
+        bike.port = null;
+        bike.signal.stop();
+        bike.data.rpm = 0;
+        bike.data.speed = 0;
+        bike.data.power = 0;
+        bike.data.isActive = false;
+        connection.bikeId = null;
+        return bike;
+    }
+
+    // Bikes with a sensor plugged in, lowest id first
+    connectedBikes() {
+        return Array.from(this.bikes.values())
+            .filter(bike => bike.port)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    // The bike single-rider games follow - the lowest connected id
+    primaryBike() {
+        const connected = this.connectedBikes();
+        if (connected.length) return connected[0];
+        
+        const ids = Array.from(this.bikes.keys()).sort((a, b) => a - b);
+        return ids.length ? this.bikes.get(ids[0]) : null;
+    }
+
+    processBikeSensorData(portPath, data, bikeId = null) {
+        const connection = this.connections.get(portPath);
+        let bike = null;
+        if (bikeId) {
+            bike = this.getBike(bikeId);
+        } else if (connection && connection.bikeId) {
+            bike = this.bikes.get(connection.bikeId);
+        } else if (!connection && this.replay && this.replay.ports.has(portPath)) {
+            bike = this.getReplayBike(portPath);
+        }
+        
+        // Never credit a board's revolutions to somebody else's bike
+        if (!bike) {
+            this.reportDiagnostic(portPath, 'unexpected', 'Bike data from a board that is not registered as a bike', data.raw);
+            return;
+        }
+        const reading = bike.signal.addSample(data);
+        
+        console.log(`🚴‍♂️ Bike ${bike.id} Data - Rev: ${data.revolutions}, RPM: ${data.rpm} → ${reading.revolutions} rev, ${reading.rpm} RPM (${reading.event}, ${reading.quality.status})`);
+        
+        this.updateBikeData(bike, reading, data.timestamp);
+    }
+
+    // Filtered crank values go out as revolutions/rpm (plus distance, speed, power and
+    // calories); what the board actually sent is under raw
+    updateBikeData(bike, reading, timestamp) {
+        const metrics = bike.metrics.update(reading);
+        const { revolutions, rpm } = metrics;
+        
+        bike.data = {
+            revolutions: revolutions,
+            rpm: rpm,
+            distance: metrics.distance,
+            speed: metrics.speed,
+            power: metrics.power,
+            calories: metrics.calories,
+            lastUpdateTime: Date.now(),
+            isActive: rpm > 0,
+            quality: reading.quality
+        };
+        
+        // Emit bike data event for the game
+        this.emit('bike-data', {
+            bikeId: bike.id,
+            revolutions: revolutions,
+            rpm: rpm,
+            cadence: metrics.cadence,
+            distance: metrics.distance,
+            speed: metrics.speed,
+            power: metrics.power,
+            calories: metrics.calories,
+            event: reading.event,
+            raw: reading.raw,
+            quality: reading.quality,
+            timestamp: timestamp,
+            port: bike.port || 'simulated'
+        });
+        
+        // Emit generic microbit-data for compatibility with biker-beat.js - one rider only,
+        // or two bikes' counts would interleave
+        if (bike === this.primaryBike()) {
+            this.emit('microbit-data', `BIKE_REV:${revolutions}:${rpm}:${timestamp}`);
+        }
+    }
+
+    isButtonNumber(buttonNumber) {
+        return Number.isInteger(buttonNumber) && buttonNumber >= 1 && buttonNumber <= this.buttonCount;
+    }
+
+    // [1, 2, ... buttonCount]
+    buttonNumbers() {
+        return this.layout.buttons.map(button => button.number);
+    }
+
+    randomButtonNumber() {
+        return Math.floor(Math.random() * this.buttonCount) + 1;
+    }
+
+    getButtonLayout() {
+        return this.layout;
+    }
+
+    registerButton(portPath, buttonNumber) {
+        if (!this.isButtonNumber(buttonNumber)) {
+            return false;
+        }
+        
+        // A replayed capture can name a port that isn't plugged in - it gets no role
+        const connection = this.connections.get(portPath);
+        if (!connection) {
+            return false;
+        }
+        const serialNumber = connection.serialNumber;
+        
+        // A stored assignment beats whatever number the firmware was flashed with
+        const stored = this.registry.get(serialNumber);
+        if (stored && stored.role === 'button' && stored.buttonNumber !== buttonNumber) {
+            console.log(`📒 ${portPath} reports Button ${buttonNumber} but is registered as Button ${stored.buttonNumber}`);
+            buttonNumber = stored.buttonNumber;
+        }
+        
+        // Another connected board already has this number
+        const currentPort = this.portToButton.get(buttonNumber);
+        if (currentPort && currentPort !== portPath) {
+            const owner = this.registry.findByButton(buttonNumber);
+            const thisOwns = Boolean(owner && serialNumber && owner.serialNumber === serialNumber);
+            const losingPort = thisOwns ? currentPort : portPath;
+            const losingConnection = this.connections.get(losingPort);
+            const freeNumber = this.findFreeButtonNumber(losingConnection ? losingConnection.serialNumber : null);
+            
+            console.warn(`⚠️ Button ${buttonNumber} conflict between ${portPath} and ${currentPort} - ${freeNumber ? `moving ${losingPort} to Button ${freeNumber}` : `rejecting ${losingPort}`}`);
+            
+            this.emit('device-conflict', {
+                port: losingPort,
+                existingPort: losingPort === portPath ? currentPort : portPath,
+                serialNumber: losingConnection ? losingConnection.serialNumber : null,
+                buttonId: buttonNumber,
+                resolution: freeNumber ? 'reassigned' : 'rejected',
+                assignedButtonId: freeNumber,
+                message: freeNumber
+                    ? `Two boards claimed Button ${buttonNumber} - one was moved to Button ${freeNumber}`
+                    : `Two boards claimed Button ${buttonNumber} - one was ignored`
+            });
+            
+            if (thisOwns) {
+                this.clearDeviceRole(currentPort);
+                if (freeNumber) {
+                    this.applyButtonMapping(currentPort, freeNumber);
+                } else if (losingConnection) {
+                    losingConnection.conflict = true;
+                }
+            } else {
+                if (!freeNumber) {
+                    if (connection) connection.conflict = true;
+                    return false;
+                }
+                buttonNumber = freeNumber;
+            }
+        }
+        
+        this.applyButtonMapping(portPath, buttonNumber);
+        return true;
+    }
+
+    applyButtonMapping(portPath, buttonNumber) {
+        // Drop any number this board held before
+        const previousNumber = this.buttonMappings.get(portPath);
+        if (previousNumber && previousNumber !== buttonNumber && this.portToButton.get(previousNumber) === portPath) {
+            this.portToButton.delete(previousNumber);
+            this.buttonStates[previousNumber - 1] = false;
+            this.buttonInput.reset(previousNumber);
+        }
+        
+        this.buttonMappings.set(portPath, buttonNumber);
+        this.portToButton.set(buttonNumber, portPath);
+        this.ledTargets[buttonNumber - 1] = null;
+        
+        const connection = this.connections.get(portPath);
+        if (connection) {
+            connection.buttonNumber = buttonNumber;
+            connection.deviceType = 'button';
+            connection.conflict = false;
+            
+            // Bind a first-seen board so it keeps this number next time
+            if (connection.serialNumber && !this.registry.get(connection.serialNumber)) {
+                this.registry.assign(connection.serialNumber, 'button', buttonNumber);
+            }
+        }
+        
+        console.log(`📍 Registered Button ${buttonNumber} at ${portPath}`);
+        
+        // Flash LED to confirm assignment
+        setTimeout(() => {
+            this.setLED(buttonNumber, true);
+            setTimeout(() => this.setLED(buttonNumber, false), 500);
+        }, 500);
+        
+        this.emit('microbit-ready', { 
+            port: portPath, 
+            buttonId: buttonNumber,
+            message: `Button ${buttonNumber} ready`
+        });
+    }
+
+    // Button number a board is really mapped to - null while it is in conflict
+    resolveButtonNumber(portPath, reportedNumber) {
+        const connection = this.connections.get(portPath);
+        if (connection && connection.conflict) {
+            return null;
+        }
+        return this.buttonMappings.get(portPath) || reportedNumber;
+    }
+
+    findFreeButtonNumber(serialNumber = null) {
+        let fallback = null;
+        for (let i = 1; i <= this.buttonCount; i++) {
+            if (this.portToButton.has(i)) continue;
+            
+            // Prefer numbers not reserved for a board that is currently unplugged
+            const owner = this.registry.findByButton(i);
+            if (!owner || owner.serialNumber === serialNumber) {
+                return i;
+            }
+            if (!fallback) fallback = i;
+        }
+        return fallback;
+    }
+
+    clearDeviceRole(portPath) {
+        const buttonNumber = this.buttonMappings.get(portPath);
+        if (buttonNumber) {
+            if (this.portToButton.get(buttonNumber) === portPath) {
+                this.portToButton.delete(buttonNumber);
+            }
+            this.buttonMappings.delete(portPath);
+            this.buttonStates[buttonNumber - 1] = false;
+            this.buttonInput.reset(buttonNumber);
+        }
+        
+        this.releaseBike(portPath);
+        
+        if (this.buzzerPort === portPath) {
+            this.buzzerPort = null;
+        }
+        
+        const connection = this.connections.get(portPath);
+        if (connection) {
+            connection.deviceType = 'unknown';
+            connection.buttonNumber = null;
+        }
+    }
+
+    // ========================================
+    // DEVICE REGISTRY
+    // ========================================
+
+    getDeviceRegistry() {
+        const connectedBySerial = new Map();
+        for (const [portPath, connection] of this.connections) {
+            if (connection.serialNumber) {
+                connectedBySerial.set(connection.serialNumber, portPath);
+            }
+        }
+        
+        return this.registry.getAll().map(entry => ({
+            ...entry,
+            port: connectedBySerial.get(entry.serialNumber) || null
+        }));
+    }
+
+    findPortBySerial(serialNumber) {
+        for (const [portPath, connection] of this.connections) {
+            if (connection.serialNumber === serialNumber) {
+                return portPath;
+            }
+        }
+        return null;
+    }
+
+    // Choose a role for a board - refuses a button (or bike) number another board already owns
+    assignDeviceRole(serialNumber, role, buttonNumber = null) {
+        if (role === 'button' && !this.isButtonNumber(buttonNumber)) {
+            return { success: false, error: `Invalid button number: ${buttonNumber}` };
+        }
+        
+        if (role === 'bike' && buttonNumber && !(Number.isInteger(buttonNumber) && buttonNumber > 0)) {
+            return { success: false, error: `Invalid bike number: ${buttonNumber}` };
+        }
+        
+        const result = this.registry.assign(serialNumber, role, buttonNumber);
+        if (!result.success) {
+            console.warn(`⚠️ Could not assign ${serialNumber}: ${result.error}`);
+            this.emit('device-conflict', {
+                serialNumber,
+                buttonId: buttonNumber,
+                resolution: 'rejected',
+                message: result.error
+            });
+            return result;
+        }
+        
+        // Apply straight away if the board is plugged in
+        const portPath = this.findPortBySerial(serialNumber);
+        if (portPath) {
+            this.clearDeviceRole(portPath);
+            this.applyStoredRole(portPath, this.registry.get(serialNumber));
+        }
+        
+        console.log(`📒 ${serialNumber} assigned as ${role}${buttonNumber ? ' ' + buttonNumber : ''}`);
+        return result;
+    }
+
+    forgetDevice(serialNumber) {
+        return this.registry.remove(serialNumber);
+    }
+
+    // ========================================
+    // BUTTON ASSIGNMENT WIZARD
+    // ========================================
+
+    // Boards the wizard can number - buttons, and boards that haven't said what they are
+    assignableBoards() {
+        return Array.from(this.connections.entries())
+            .filter(([, connection]) => connection.deviceType === 'button' || connection.deviceType === 'unknown')
+            .map(([port, connection]) => ({
+                port,
+                serialNumber: connection.serialNumber || null,
+                buttonNumber: connection.buttonNumber || null
+            }));
+    }
+
+    // The wizard in the renderer drives this: light boards with setBoardLED, wait for
+    // button-assignment-press, then hand the whole mapping to finishButtonAssignment
+    async startButtonAssignment() {
+        await this.stopAllAnimations();
+        this.buttonInput.resetAll();
+        this.buttonStates.fill(false);
+        this.buttonAssignment = { startedAt: Date.now() };
+        
+        console.log('🔧 Button assignment started');
+        return { success: true, boards: this.assignableBoards() };
+    }
+
+    handleAssignmentPress(portPath, reportedNumber) {
+        const connection = this.connections.get(portPath);
+        this.emit('button-assignment-press', {
+            port: portPath,
+            serialNumber: connection ? connection.serialNumber : null,
+            reportedButton: reportedNumber || null,
+            currentButton: this.buttonMappings.get(portPath) || null
+        });
+    }
+
+    // LED by port rather than button number - the numbers are what's being fixed
+    setBoardLED(portPath, on) {
+        if (!this.connections.has(portPath)) {
+            return Promise.resolve(false);
+        }
+        
+        const expectedState = on ? 'ON' : 'OFF';
+        return this.sendCommandWithAck(portPath, on ? 'LED_ON' : 'LED_OFF',
+            message => message.type === 'led-confirmed' && message.state === expectedState);
+    }
+
+    // assignments: [{ port, buttonNumber }]. Stores the mapping (registry for boards with a
+    // serial number, this session for the rest) and sends ASSIGN_BUTTON:<n> so the board
+    // reports its new number from now on. Older firmware ignores that - the registry still wins.
+    async finishButtonAssignment(assignments) {
+        if (!this.buttonAssignment) {
+            return { success: false, error: 'Button assignment is not running' };
+        }
+        
+        const error = this.checkButtonAssignments(assignments);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        // Registry first, in one go, so swapping two boards' numbers isn't refused as a conflict
+        const withSerial = assignments
+            .map(({ port, buttonNumber }) => ({ serialNumber: this.connections.get(port).serialNumber, buttonNumber }))
+            .filter(entry => entry.serialNumber);
+        if (withSerial.length) {
+            const result = this.registry.assignButtons(withSerial);
+            if (!result.success) {
+                return { success: false, error: 'Could not save the device registry' };
+            }
+        }
+        
+        this.buttonAssignment = null;
+        
+        // Boards the wizard didn't place but that hold one of the new numbers ask again -
+        // the usual conflict handling then finds them a free number
+        const assignedPorts = new Set(assignments.map(entry => entry.port));
+        const displaced = assignments
+            .map(({ buttonNumber }) => this.portToButton.get(buttonNumber))
+            .filter(portPath => portPath && !assignedPorts.has(portPath));
+        
+        [...assignedPorts, ...displaced].forEach(portPath => this.clearDeviceRole(portPath));
+        assignments.forEach(({ port, buttonNumber }) => this.registerButton(port, buttonNumber));
+        displaced.forEach(portPath => this.sendCommand(portPath, 'IDENTIFY'));
+        
+        // Boards the wizard skipped are still lit
+        this.assignableBoards()
+            .filter(board => !assignedPorts.has(board.port))
+            .forEach(board => this.setBoardLED(board.port, false));
+        this.ledTargets.fill(null);
+        
+        const results = await Promise.all(assignments.map(async ({ port, buttonNumber }) => {
+            const confirmed = await this.sendCommandWithAck(port, `ASSIGN_BUTTON:${buttonNumber}`,
+                message => (message.type === 'button-ready' && message.button === buttonNumber) ||
+                    (message.type === 'hello' && message.id === buttonNumber));
+            
+            return {
+                port,
+                buttonNumber,
+                persisted: Boolean(this.connections.get(port) && this.connections.get(port).serialNumber),
+                confirmed
+            };
+        }));
+        
+        console.log('🔧 Button assignment saved:', results.map(result => `${result.port}→${result.buttonNumber}`).join(', '));
+        this.emit('button-assignment-finished', { results });
+        return { success: true, results };
+    }
+
+    // Returns an error message, or null if the assignments can be applied
+    checkButtonAssignments(assignments) {
+        if (!Array.isArray(assignments) || assignments.length === 0) {
+            return 'No buttons were assigned';
+        }
+        
+        const ports = new Set();
+        const numbers = new Set();
+        for (const { port, buttonNumber } of assignments) {
+            if (!this.connections.has(port)) return `${port} is no longer connected`;
+            if (!this.isButtonNumber(buttonNumber)) return `Invalid button number: ${buttonNumber}`;
+            if (ports.has(port)) return `${port} was assigned twice`;
+            if (numbers.has(buttonNumber)) return `Button ${buttonNumber} was assigned twice`;
+            ports.add(port);
+            numbers.add(buttonNumber);
+        }
+        return null;
+    }
+
+    async cancelButtonAssignment() {
+        if (!this.buttonAssignment) return false;
+        
+        this.buttonAssignment = null;
+        await Promise.all(this.assignableBoards().map(board => this.setBoardLED(board.port, false)));
+        this.ledTargets.fill(null);
+        
+        console.log('🔧 Button assignment cancelled');
+        return true;
+    }
+
+    // Raw edges from the firmware - they only reach the games once debounced
+    handleButtonPress(buttonNumber) {
+        if (this.isButtonNumber(buttonNumber)) {
+            this.buttonInput.rawEdge(buttonNumber, true);
+        }
+    }
+
+    handleButtonRelease(buttonNumber) {
+        if (this.isButtonNumber(buttonNumber)) {
+            this.buttonInput.rawEdge(buttonNumber, false);
+        }
+    }
+
+    handleButtonInput(kind, buttonNumber, details) {
+        const color = this.buttonColors[buttonNumber - 1];
+        const position = this.buttonPositions[buttonNumber - 1];
+        const data = { button: buttonNumber, color, position, ...details };
+
+        switch (kind) {
+            case 'press':
+                this.buttonStates[buttonNumber - 1] = true;
+                console.log(`🎮 PRESS: ${color} Button ${buttonNumber} (${position})`);
+                this.emit('button-press', { ...data, state: 'pressed' });
+                break;
+
+            case 'release':
+                this.buttonStates[buttonNumber - 1] = false;
+                console.log(`🎮 RELEASE: ${color} Button ${buttonNumber} (${position})`);
+                this.emit('button-release', { ...data, state: 'released' });
+                break;
+
+            case 'stuck': {
+                console.warn(`⚠️ Button ${buttonNumber} has been held for ${Math.round(details.duration / 1000)}s - stuck?`);
+                const portPath = this.portToButton.get(buttonNumber);
+                if (portPath) {
+                    this.reportDiagnostic(portPath, 'stuck', `Button ${buttonNumber} held for ${details.duration}ms`, '');
+                }
+                this.emit('button-stuck', data);
+                break;
+            }
+
+            default:
+                // long-press, double-press, hold
+                this.emit(`button-${kind}`, data);
+        }
+    }
+
+    // Change debounce / gesture timings, e.g. { debounceTime: 50, buttons: { 2: { longPressTime: 1500 } } }
+    setButtonInputConfig(config) {
+        return this.buttonInput.configure(config);
+    }
+
+    getButtonInputConfig() {
+        return this.buttonInput.getConfig();
+    }
+
+    handleDisconnection(portPath) {
+        const connection = this.connections.get(portPath);
+        if (connection) {
+            // Remember what this device was doing so we can restore it on reconnect
+            if (connection.deviceType !== 'unknown') {
+                this.lastKnownRoles.set(connection.deviceKey, {
+                    deviceType: connection.deviceType,
+                    buttonNumber: connection.buttonNumber,
+                    bikeId: connection.bikeId
+                });
+            }
+            
+            if (connection.deviceType === 'bike' && connection.bikeId) {
+                const bike = this.releaseBike(portPath);
+                if (bike) {
+                    console.log(`⚠️  HW-484 Bike Sensor ${bike.id} disconnected`);
+                    this.emit('bike-sensor-disconnected', { port: portPath, bikeId: bike.id });
+                }
+                
+            } else if (connection.deviceType === 'buzzer' && this.buzzerPort === portPath) {
+                console.log(`⚠️  Wire buzzer disconnected`);
+                this.buzzerPort = null;
+                this.emit('buzzer-disconnected', { port: portPath });
+                
+            } else if (connection.deviceType === 'button') {
+                const buttonNumber = this.buttonMappings.get(portPath);
+                if (buttonNumber) {
+                    console.log(`⚠️  Button ${buttonNumber} disconnected`);
+                    this.buttonStates[buttonNumber - 1] = false;
+                    this.buttonInput.reset(buttonNumber);
+                    this.portToButton.delete(buttonNumber);
+                }
+                this.buttonMappings.delete(portPath);
+            }
+            
+            connection.commandQueue.clear();
+            this.connections.delete(portPath);
+            this.forgetSensorData(portPath);
+            
+            this.emit('device-detached', {
+                port: portPath,
+                deviceKey: connection.deviceKey,
+                deviceType: connection.deviceType,
+                buttonId: connection.buttonNumber
+            });
+        }
+    }
+
+    // ========================================
+    // WIRE BUZZER
+    // ========================================
+
+    // One rig at a time - a second board is a spare until the first is unplugged
+    registerBuzzer(portPath) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return false;
+        
+        if (this.buzzerPort && this.buzzerPort !== portPath && this.connections.has(this.buzzerPort)) {
+            console.warn(`⚠️ Second wire buzzer at ${portPath} - keeping ${this.buzzerPort}`);
+            this.reportDiagnostic(portPath, 'conflict', `Another wire buzzer is already connected at ${this.buzzerPort}`, 'BUZZER_READY');
+            connection.deviceType = 'buzzer';
+            connection.conflict = true;
+            return false;
+        }
+        
+        this.buzzerPort = portPath;
+        connection.deviceType = 'buzzer';
+        connection.conflict = false;
+        console.log(`🔔 Registered wire buzzer at ${portPath}`);
+        
+        if (connection.serialNumber && !this.registry.get(connection.serialNumber)) {
+            this.registry.assign(connection.serialNumber, 'buzzer');
+        }
+        
+        this.emit('buzzer-ready', {
+            port: portPath,
+            message: 'Wire buzzer ready'
+        });
+        return true;
+    }
+
+    // contact is 'buzz' (hoop touched the wire), 'start-pad' or 'end-pad'
+    handleBuzzerContact(portPath, contact) {
+        if (portPath !== this.buzzerPort) {
+            const connection = this.connections.get(portPath);
+            if (connection && !['unknown', 'buzzer'].includes(connection.deviceType)) {
+                this.reportDiagnostic(portPath, 'unexpected', `${contact} from a ${connection.deviceType}`, contact);
+                return;
+            }
+            // Old firmware never says BUZZER_READY - its first contact tells us what it is.
+            // A spare only takes over once the first rig is unplugged.
+            if (!this.registerBuzzer(portPath)) {
+                return;
+            }
+        }
+        
+        const now = Date.now();
+        if (now - (this.lastBuzzerContact.get(contact) || 0) < this.buzzerDebounceTime) {
+            return;
+        }
+        this.lastBuzzerContact.set(contact, now);
+        
+        console.log(`🔔 Wire buzzer: ${contact}`);
+        this.emit('buzzer-contact', {
+            contact,
+            port: portPath,
+            timestamp: now
+        });
+    }
+
+    isBuzzerConnected() {
+        return this.buzzerPort !== null;
+    }
+
+    // Icons the buzzer firmware knows: HAPPY, SAD, NO, YES
+    showBuzzerIcon(icon) {
+        if (!this.buzzerPort) return false;
+        return this.sendCommand(this.buzzerPort, `SHOW_ICON:${String(icon).toUpperCase()}`);
+    }
+
+    clearBuzzerDisplay() {
+        if (!this.buzzerPort) return false;
+        return this.sendCommand(this.buzzerPort, 'CLEAR_DISPLAY');
+    }
+
+    // ========================================
+    // BIKE SENSOR SPECIFIC METHODS
+    // ========================================
+
+    // No bikeId means the primary bike, so single-rider callers keep working
+    getBikeData(bikeId = null) {
+        const bike = bikeId ? this.bikes.get(bikeId) : this.primaryBike();
+        if (!bike) {
+            return { bikeId: null, port: null, revolutions: 0, rpm: 0, distance: 0, speed: 0, power: 0, calories: 0, lastUpdateTime: 0, isActive: false };
+        }
+        
+        return {
+            bikeId: bike.id,
+            port: bike.port,
+            calibration: this.getBikeCalibration(bike.id),
+            ...bike.data
+        };
+    }
+
+    getAllBikeData() {
+        return Array.from(this.bikes.keys())
+            .sort((a, b) => a - b)
+            .map(bikeId => this.getBikeData(bikeId));
+    }
+
+    isBikeSensorConnected(bikeId = null) {
+        if (bikeId) {
+            const bike = this.bikes.get(bikeId);
+            return Boolean(bike && bike.port);
+        }
+        return this.connectedBikes().length > 0;
+    }
+
+    // Target bikes for a command - one bike, or every connected bike when bikeId is null
+    bikePorts(bikeId = null) {
+        if (bikeId) {
+            const bike = this.bikes.get(bikeId);
+            return bike && bike.port ? [bike.port] : [];
+        }
+        return this.connectedBikes().map(bike => bike.port);
+    }
+
+    sendBikeCommand(command, bikeId = null) {
+        const ports = this.bikePorts(bikeId);
+        if (!ports.length) {
+            console.error(`❌ No bike sensor connected${bikeId ? ` as bike ${bikeId}` : ''}`);
+            return false;
+        }
+        
+        return ports.map(portPath => this.sendCommand(portPath, command)).some(Boolean);
+    }
+
+    async resetBikeCounter(bikeId = null) {
+        const ports = this.bikePorts(bikeId);
+        if (!ports.length) return false;
+        
+        // Reset local data immediately
+        ports.forEach(portPath => {
+            const bike = this.getBike(this.connections.get(portPath).bikeId);
+            bike.signal.reset();
+            bike.metrics.reset();
+            bike.data = {
+                revolutions: 0,
+                rpm: 0,
+                distance: 0,
+                speed: 0,
+                power: 0,
+                calories: 0,
+                lastUpdateTime: Date.now(),
+                isActive: false
+            };
+        });
+        
+        // Send reset command to bike sensor Microbit
+        const result = this.sendBikeCommand('RESET_COUNTER', bikeId);
+        
+        if (result) {
+            console.log(`🔄 Bike counter${bikeId ? ` ${bikeId}` : 's'} reset successfully`);
+        }
+        
+        return result;
+    }
+
+    async setBikeGameMode(active, bikeId = null) {
+        if (!this.isBikeSensorConnected(bikeId)) return false;
+        
+        const command = active ? 'GAME_MODE_ON' : 'GAME_MODE_OFF';
+        return this.sendBikeCommand(command, bikeId);
+    }
+
+    // Stored with the device in the registry, so it follows the board to any port or bike id.
+    // Wheel circumference, gear ratio, magnets and rider weight (bike-metrics.js) plus any
+    // signal settings (bike-signal.js) for this bike
+    setBikeCalibration(bikeId, calibration) {
+        const bike = this.bikes.get(bikeId);
+        if (!bike) {
+            return { success: false, error: `Unknown bike: ${bikeId}` };
+        }
+        
+        let checked;
+        try {
+            checked = this.checkBikeCalibration(bike, calibration);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        
+        // Saved first - a calibration that didn't reach the registry isn't applied either
+        if (bike.serialNumber) {
+            const result = this.registry.setCalibration(bike.serialNumber, checked);
+            if (!result.success) return result;
+        }
+        this.applyBikeCalibration(bike, checked);
+        
+        console.log(`🔧 Bike ${bikeId} calibration:`, this.getBikeCalibration(bikeId));
+        return { success: true, calibration: this.getBikeCalibration(bikeId) };
+    }
+
+    // Throws if a key is unknown or a value out of range. Returns the calibration as
+    // checked, which is what gets stored.
+    checkBikeCalibration(bike, calibration) {
+        if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+            throw new Error('Bike calibration must be an object');
+        }
+        
+        const checked = {};
+        const signalSettings = {};
+        const metrics = normalizeCalibration({ ...bike.metrics.calibration, ...calibration });
+        Object.entries(calibration).forEach(([key, value]) => {
+            if (CALIBRATION_LIMITS[key]) {
+                checked[key] = metrics[key];
+            } else {
+                signalSettings[key] = value;
+            }
+        });
+        Object.assign(checked, normalizeSignalSettings(signalSettings));
+        return checked;
+    }
+
+    // Nothing is applied if the calibration doesn't pass checkBikeCalibration
+    applyBikeCalibration(bike, calibration) {
+        const checked = this.checkBikeCalibration(bike, calibration);
+        bike.metrics.configure(checked);
+        bike.calibration = { ...bike.calibration, ...checked };
+        
+        // The signal stage counts pulses - with more magnets a fast rider makes more of them
+        const maxRpm = bike.calibration.maxRpm || this.bikeSignalOptions.maxRpm || BIKE_SIGNAL_DEFAULTS.maxRpm;
+        bike.signal.configure({
+            ...bike.calibration,
+            maxRpm: maxRpm * bike.metrics.calibration.magnetsPerRevolution
+        });
+        return checked;
+    }
+
+    // Everything in force for the bike, defaults included
+    getBikeCalibration(bikeId) {
+        const bike = this.bikes.get(bikeId);
+        return bike ? { ...bike.calibration, ...bike.metrics.calibration } : null;
+    }
+
+    // Simulation and testing methods
+    simulateBikeData(revolutions = 1, rpm = 60, bikeId = 1) {
+        const testMessage = `BIKE_REV:${revolutions}:${rpm}:${Date.now()}`;
+        console.log(`🧪 Simulating bike ${bikeId} data:`, testMessage);
+        
+        // Process as if received from Microbit
+        this.processBikeSensorData('simulated', parseLine(testMessage), bikeId);
+        
+        return testMessage;
+    }
+
+    async testBikeSensor() {
+        console.log('🧪 Testing bike sensor functionality...');
+        
+        if (!this.isBikeSensorConnected()) {
+            console.log('⚠️ No bike sensor connected - using simulation');
+            
+            // Simulate a series of bike data
+            for (let i = 1; i <= 5; i++) {
+                const rpm = 40 + (i * 10); // Increasing RPM
+                this.simulateBikeData(i, rpm);
+                await this.delay(1000);
+            }
+            
+            return true;
+        }
+        
+        // Test real bike sensor
+        if (this.sendBikeCommand('TEST')) {
+            console.log('✅ Test command sent to bike sensor');
+            return true;
+        }
+        
+        return false;
+    }
+
+    // ========================================
+    // LED CONTROL METHODS (Existing)
+    // ========================================
+
+    async setLED(buttonNumber, state) {
+        const portPath = this.portToButton.get(buttonNumber);
+        
+        if (!portPath) {
+            console.error(`❌ No Microbit found for button ${buttonNumber}`);
+            return false;
+        }
+
+        return this.sendLEDState(buttonNumber, this.normalizeLEDState(state));
+    }
+
+    // ========================================
+    // LED FRAMES - every LED in one step
+    // ========================================
+
+    // true/false, or { on, brightness (0-255), blink (period in ms) }. null leaves the LED alone.
+    normalizeLEDState(value) {
+        if (value === undefined || value === null) return null;
+        
+        if (typeof value !== 'object') {
+            return { on: Boolean(value), brightness: 255, blink: 0 };
+        }
+        
+        const brightness = Math.max(0, Math.min(255, Math.round(value.brightness !== undefined ? value.brightness : 255)));
+        return {
+            on: value.on !== false && brightness > 0,
+            brightness,
+            blink: Math.max(0, Math.round(value.blink || 0))
+        };
+    }
+
+    sameLEDState(a, b) {
+        if (!a || !b) return false;
+        if (!a.on && !b.on) return true;
+        return a.on === b.on && a.brightness === b.brightness && a.blink === b.blink;
+    }
+
+    async sendLEDState(buttonNumber, target) {
+        // A cancelled animation must not touch the LEDs any more
+        const animation = this.animations.current();
+        if (animation) {
+            animation.throwIfCancelled();
+        }
+        
+        const portPath = this.portToButton.get(buttonNumber);
+        if (!portPath) {
+            console.error(`❌ No Microbit found for button ${buttonNumber}`);
+            return false;
+        }
+        
+        const connection = this.connections.get(portPath);
+        const supportsLEDSet = connection && connection.protocolVersion >= 2;
+        
+        // Version 1 firmware only knows on and off, so dimmed or blinking LEDs just come on
+        let command = 'LED_OFF';
+        if (target.on) {
+            command = supportsLEDSet && (target.brightness < 255 || target.blink > 0)
+                ? `LED_SET:${target.brightness}:${target.blink}`
+                : 'LED_ON';
+        }
+        
+        const expectedState = target.on ? 'ON' : 'OFF';
+        const setting = command.startsWith('LED_SET:');
+        this.ledTargets[buttonNumber - 1] = target;
+        
+        // LED_SET is only confirmed once the board echoes the brightness and blink it applied
+        const acknowledged = await this.sendCommandWithAck(portPath, command,
+            message => message.type === 'led-confirmed' && message.state === expectedState &&
+                (!setting || (message.brightness === target.brightness && message.blink === target.blink)));
+        
+        // Force a resend next frame - we don't know what the LED is showing
+        if (!acknowledged && this.ledTargets[buttonNumber - 1] === target) {
+            this.ledTargets[buttonNumber - 1] = null;
+        }
         
-        return testMessage;
+        return acknowledged;
     }
 
-    async testBikeSensor() {
-        console.log('🧪 Testing bike sensor functionality...');
+    // Build a plain on/off frame with just the given buttons lit
+    ledFrame(...buttonsOn) {
+        return this.buttonNumbers().map(buttonNumber => buttonsOn.includes(buttonNumber));
+    }
+
+    // Set every LED at once - only boards whose LED actually changes get a command
+    async setLEDFrame(frame) {
+        const sends = [];
         
-        if (!this.isBikeSensorConnected()) {
-            console.log('⚠️ No bike sensor connected - using simulation');
+        frame.forEach((value, index) => {
+            const buttonNumber = index + 1;
+            const target = this.normalizeLEDState(value);
             
-            // Simulate a series of bike data
-            for (let i = 1; i <= 5; i++) {
-                const rpm = 40 + (i * 10); // Increasing RPM
-                this.simulateBikeData(i, rpm);
-                await this.delay(1000);
-            }
+            if (!target || this.sameLEDState(this.ledTargets[index], target)) return;
+            if (!this.portToButton.has(buttonNumber)) return;
             
-            return true;
-        }
-        
-        // Test real bike sensor
-        if (this.sendBikeCommand('TEST')) {
-            console.log('✅ Test command sent to bike sensor');
-            return true;
-        }
+            sends.push(this.sendLEDState(buttonNumber, target));
+        });
         
-        return false;
+        const results = await Promise.all(sends);
+        return results.every(result => result === true);
     }
 
-    // ========================================
-    // LED CONTROL METHODS (Existing)
-    // ========================================
+    // Play [{ at: ms, leds: frame }, ...] against one clock so slow boards don't drag the timing
+    async playLEDFrames(frames) {
+        return this.animate('frames', { priority: PRIORITY.GAME }, async () => {
+            const startTime = Date.now();
+            const dispatched = [];
+            
+            for (const frame of frames) {
+                const wait = startTime + (frame.at || 0) - Date.now();
+                if (wait > 0) {
+                    await this.delay(wait);
+                }
+                    
+                const animation = this.animations.current();
+                if (animation) {
+                    animation.throwIfCancelled();
+                }
+                dispatched.push(this.setLEDFrame(frame.leds));
+            }
+                
+            const results = await Promise.all(dispatched);
+            return results.every(result => result === true);
+        });
+    }
 
-    async setLED(buttonNumber, state) {
-        const portPath = this.portToButton.get(buttonNumber);
+    // Frames that light each button in turn, then clear
+    chaseFrames(order, rounds, speed) {
+        const frames = [];
+        let at = 0;
         
-        if (!portPath) {
-            console.error(`❌ No Microbit found for button ${buttonNumber}`);
-            return false;
+        for (let round = 0; round < rounds; round++) {
+            for (const buttonNumber of order) {
+                frames.push({ at, leds: this.ledFrame(buttonNumber) });
+                at += speed;
+            }
         }
-
-        const command = state ? 'LED_ON' : 'LED_OFF';
-        return this.sendCommand(portPath, command);
+        
+        frames.push({ at, leds: this.ledFrame() });
+        return frames;
     }
 
     async setAllLEDs(state) {
         console.log(`💡 Setting ALL LEDs to ${state ? 'ON' : 'OFF'}`);
         
         const promises = [];
-        for (let i = 1; i <= 4; i++) {
+        for (let i = 1; i <= this.buttonCount; i++) {
             promises.push(this.setLED(i, state));
         }
         
@@ -444,41 +1975,41 @@ class FourMicrobitController extends EventEmitter {
     }
 
     async flashLED(buttonNumber, times = 3, duration = 500) {
-        console.log(`⚡ Flashing LED ${buttonNumber} ${times} times`);
-        
-        for (let i = 0; i < times; i++) {
-            await this.setLED(buttonNumber, true);
-            await this.delay(duration);
-            await this.setLED(buttonNumber, false);
-            if (i < times - 1) {
+        return this.animate('flash-led', { priority: PRIORITY.GAME }, async () => {
+            console.log(`⚡ Flashing LED ${buttonNumber} ${times} times`);
+            
+            for (let i = 0; i < times; i++) {
+                await this.setLED(buttonNumber, true);
                 await this.delay(duration);
+                await this.setLED(buttonNumber, false);
+                if (i < times - 1) {
+                    await this.delay(duration);
+                }
             }
-        }
+        });
     }
 
     async flashAllLEDs(times = 3, duration = 300) {
-        console.log(`⚡ Flashing ALL LEDs ${times} times`);
-        
-        for (let i = 0; i < times; i++) {
-            await this.setAllLEDs(true);
-            await this.delay(duration);
-            await this.setAllLEDs(false);
-            if (i < times - 1) {
+        return this.animate('flash-all-leds', { priority: PRIORITY.GAME }, async () => {
+            console.log(`⚡ Flashing ALL LEDs ${times} times`);
+            
+            for (let i = 0; i < times; i++) {
+                await this.setAllLEDs(true);
                 await this.delay(duration);
+                await this.setAllLEDs(false);
+                if (i < times - 1) {
+                    await this.delay(duration);
+                }
             }
-        }
+        });
     }
 
     async chaseLEDs(rounds = 2, speed = 200) {
-        console.log(`🌈 Running LED chase pattern for ${rounds} rounds`);
-        
-        for (let round = 0; round < rounds; round++) {
-            for (let i = 1; i <= 4; i++) {
-                await this.setLED(i, true);
-                await this.delay(speed);
-                await this.setLED(i, false);
-            }
-        }
+        return this.animate('chase', { priority: PRIORITY.GAME }, async () => {
+            console.log(`🌈 Running LED chase pattern for ${rounds} rounds`);
+            
+            await this.playLEDFrames(this.chaseFrames(this.buttonNumbers(), rounds, speed));
+        });
     }
 
     // ========================================
@@ -488,69 +2019,32 @@ class FourMicrobitController extends EventEmitter {
     async bikeStartPattern() {
         console.log('🚴‍♂️ Bike start LED pattern');
         // Green chase to indicate ready to ride
-        for (let i = 1; i <= 4; i++) {
-            await this.setLED(i, true);
-            await this.delay(150);
-        }
-        await this.delay(500);
-        await this.setAllLEDs(false);
-        await this.delay(200);
-        await this.flashAllLEDs(2, 200);
+        await this.playPattern('bike-start');
     }
 
     async bikeMilestonePattern(milestone) {
         console.log(`🚴‍♂️ Bike milestone ${milestone} pattern`);
         
-        // Different patterns for each milestone
-        switch(milestone) {
-            case 1: // 25%
-                await this.chaseLEDs(3, 100);
-                break;
-            case 2: // 50%
-                await this.flashAllLEDs(4, 150);
-                break;
-            case 3: // 75%
-                // Rapid chase
-                for (let round = 0; round < 2; round++) {
-                    for (let i = 1; i <= 4; i++) {
-                        await this.setLED(i, true);
-                        await this.delay(50);
-                        await this.setLED(i, false);
-                    }
-                }
-                break;
-            case 4: // 100% - Victory!
-                await this.bikeVictoryPattern();
-                break;
+        // Different patterns for each milestone (25%, 50%, 75%), victory at 100%
+        if (milestone === 4) {
+            await this.bikeVictoryPattern();
+        } else if (milestone >= 1 && milestone <= 3) {
+            await this.playPattern(`bike-milestone-${milestone}`);
         }
     }
 
     async bikeVictoryPattern() {
         console.log('🚴‍♂️ Bike victory LED pattern - CHAMPION!');
-        
-        // Epic victory sequence
-        for (let i = 0; i < 5; i++) {
-            await this.setAllLEDs(true);
-            await this.delay(100);
-            await this.setAllLEDs(false);
-            await this.delay(100);
-        }
-        
-        // Final cascade
-        await this.chaseLEDs(4, 80);
-        await this.setAllLEDs(true);
-        await this.delay(2000);
-        await this.setAllLEDs(false);
+        await this.playPattern('bike-victory');
     }
 
     async bikeSpeedFeedback(rpm) {
         // Visual RPM feedback on LEDs
-        const speedLevel = Math.min(4, Math.floor(rpm / 25)); // 25, 50, 75, 100+ RPM levels
+        // One more LED per 25 RPM on four buttons (25, 50, 75, 100+), spread over bigger layouts
+        const speedLevel = Math.min(this.buttonCount, Math.floor(rpm / 100 * this.buttonCount));
         
         // Turn on LEDs based on speed
-        for (let i = 1; i <= 4; i++) {
-            await this.setLED(i, i <= speedLevel);
-        }
+        await this.setLEDFrame(this.buttonNumbers().map(i => i <= speedLevel));
     }
 
     // ========================================
@@ -558,131 +2052,391 @@ class FourMicrobitController extends EventEmitter {
     // ========================================
 
     async randomLEDSequence(count = 4, onDuration = 500, offDuration = 100, totalSequences = 1) {
-        console.log(`🎲 Random LED sequence: ${totalSequences} sequences of ${count} LEDs`);
-        
-        for (let seq = 0; seq < totalSequences; seq++) {
-            const sequence = [];
-            for (let i = 0; i < count; i++) {
-                sequence.push(Math.floor(Math.random() * 4) + 1);
-            }
-            
-            console.log(`   Sequence ${seq + 1}: ${sequence.join(' → ')}`);
-            
-            for (const led of sequence) {
-                await this.setLED(led, true);
-                await this.delay(onDuration);
-                await this.setLED(led, false);
-                await this.delay(offDuration);
-            }
+        return this.animate('random-sequence', { priority: PRIORITY.AMBIENT }, async () => {
+            console.log(`🎲 Random LED sequence: ${totalSequences} sequences of ${count} LEDs`);
             
-            if (seq < totalSequences - 1) {
-                await this.delay(500); // Pause between sequences
+            for (let seq = 0; seq < totalSequences; seq++) {
+                const sequence = [];
+                for (let i = 0; i < count; i++) {
+                    sequence.push(this.randomButtonNumber());
+                }
+                
+                console.log(`   Sequence ${seq + 1}: ${sequence.join(' → ')}`);
+                
+                for (const led of sequence) {
+                    await this.setLED(led, true);
+                    await this.delay(onDuration);
+                    await this.setLED(led, false);
+                    await this.delay(offDuration);
+                }
+                
+                if (seq < totalSequences - 1) {
+                    await this.delay(500); // Pause between sequences
+                }
             }
-        }
+        });
     }
 
     async randomFlashSequence(sequences = 3, flashDuration = 500) {
-        console.log(`⚡ Random flash sequence: ${sequences} sequences`);
-        
-        for (let i = 0; i < sequences; i++) {
-            const randomLED = Math.floor(Math.random() * 4) + 1;
-            const flashCount = Math.floor(Math.random() * 3) + 2; // 2-4 flashes
-            
-            console.log(`   Flash LED ${randomLED} ${flashCount} times`);
-            await this.flashLED(randomLED, flashCount, flashDuration / flashCount);
+        return this.animate('random-flash', { priority: PRIORITY.AMBIENT }, async () => {
+            console.log(`⚡ Random flash sequence: ${sequences} sequences`);
             
-            if (i < sequences - 1) {
-                await this.delay(200);
+            for (let i = 0; i < sequences; i++) {
+                const randomLED = this.randomButtonNumber();
+                const flashCount = Math.floor(Math.random() * 3) + 2; // 2-4 flashes
+                
+                console.log(`   Flash LED ${randomLED} ${flashCount} times`);
+                await this.flashLED(randomLED, flashCount, flashDuration / flashCount);
+                
+                if (i < sequences - 1) {
+                    await this.delay(200);
+                }
             }
-        }
+        });
     }
 
     async randomLEDGame(rounds = 5, speed = 600) {
-        console.log(`🎮 Random LED game: ${rounds} rounds at ${speed}ms speed`);
-        
-        for (let round = 0; round < rounds; round++) {
-            const pattern = [];
-            const patternLength = Math.min(round + 2, 6); // Increasing difficulty
+        return this.animate('random-game', { priority: PRIORITY.GAME }, async () => {
+            console.log(`🎮 Random LED game: ${rounds} rounds at ${speed}ms speed`);
             
-            // Generate random pattern
+            for (let round = 0; round < rounds; round++) {
+                const pattern = [];
+                const patternLength = Math.min(round + 2, 6); // Increasing difficulty
+                
+                // Generate random pattern
+                for (let i = 0; i < patternLength; i++) {
+                    pattern.push(this.randomButtonNumber());
+                }
+                
+                console.log(`   Round ${round + 1} pattern: ${pattern.join(' → ')}`);
+                
+                // Show pattern
+                for (const led of pattern) {
+                    await this.setLED(led, true);
+                    await this.delay(speed);
+                    await this.setLED(led, false);
+                    await this.delay(100);
+                }
+                
+                // Pause before next round
+                if (round < rounds - 1) {
+                    await this.delay(800);
+                }
+            }
+        });
+    }
+
+    async simonSaysPattern(patternLength = 4, playbackSpeed = 800) {
+        return this.animate('simon-says', { priority: PRIORITY.GAME }, async () => {
+            console.log(`🧠 Simon Says pattern: ${patternLength} steps at ${playbackSpeed}ms`);
+            
+            const pattern = [];
             for (let i = 0; i < patternLength; i++) {
-                pattern.push(Math.floor(Math.random() * 4) + 1);
+                pattern.push(this.randomButtonNumber());
             }
             
-            console.log(`   Round ${round + 1} pattern: ${pattern.join(' → ')}`);
+            console.log(`   Pattern: ${pattern.join(' → ')}`);
             
-            // Show pattern
+            // Play back the pattern
             for (const led of pattern) {
                 await this.setLED(led, true);
-                await this.delay(speed);
+                await this.delay(playbackSpeed * 0.7);
                 await this.setLED(led, false);
-                await this.delay(100);
+                await this.delay(playbackSpeed * 0.3);
+            }
+            
+            return pattern;
+        });
+    }
+
+    async randomCascade(waves = 3, waveSpeed = 200) {
+        return this.animate('cascade', { priority: PRIORITY.AMBIENT }, async () => {
+            console.log(`🌊 Random cascade: ${waves} waves at ${waveSpeed}ms`);
+            
+            for (let wave = 0; wave < waves; wave++) {
+                const direction = Math.random() > 0.5 ? 1 : -1; // Random direction
+                
+                // Left to right, or right to left
+                const order = direction === 1 ? this.buttonNumbers() : this.buttonNumbers().reverse();
+                await this.playLEDFrames(this.chaseFrames(order, 1, waveSpeed));
             }
+        });
+    }
+
+    async rhythmicRandomPattern(beats = 8, tempo = 600) {
+        return this.animate('rhythmic', { priority: PRIORITY.AMBIENT }, async () => {
+            console.log(`🎵 Rhythmic random pattern: ${beats} beats at ${tempo}ms tempo`);
             
-            // Pause before next round
-            if (round < rounds - 1) {
-                await this.delay(800);
+            for (let beat = 0; beat < beats; beat++) {
+                const randomLED = this.randomButtonNumber();
+                const duration = Math.random() > 0.7 ? tempo * 0.5 : tempo * 0.2; // Some longer beats
+                
+                await this.setLED(randomLED, true);
+                await this.delay(duration);
+                await this.setLED(randomLED, false);
+                await this.delay(tempo - duration);
+            }
+        });
+    }
+
+    // ========================================
+    // SENSOR STREAMS (tilt, compass, analog pins, light)
+    // ========================================
+
+    handleSensorData(portPath, reading) {
+        const connection = this.connections.get(portPath);
+        const data = {
+            port: portPath,
+            deviceType: connection ? connection.deviceType : 'unknown',
+            button: this.buttonMappings.get(portPath) || null,
+            sensor: reading.sensor,
+            timestamp: Date.now()
+        };
+        const clamp = value => Math.max(-1, Math.min(1, value));
+
+        switch (reading.sensor) {
+            case 'tilt':
+                // tiltX / tiltY run -1 to 1 as the board tips through about 90 degrees - handy for steering
+                Object.assign(data, {
+                    x: reading.x,
+                    y: reading.y,
+                    z: reading.z,
+                    tiltX: clamp(reading.x / 1024),
+                    tiltY: clamp(reading.y / 1024)
+                });
+                break;
+            case 'compass':
+                data.heading = reading.heading;
+                break;
+            case 'analog':
+                Object.assign(data, { pin: reading.pin, value: reading.value, level: reading.value / 1023 });
+                break;
+            case 'light':
+                Object.assign(data, { value: reading.value, level: reading.value / 255 });
+                break;
+        }
+
+        const key = reading.sensor === 'analog' ? `${portPath}:analog:${reading.pin}` : `${portPath}:${reading.sensor}`;
+        this.latestSensorData.set(key, data);
+
+        this.emit('sensor-data', data);
+    }
+
+    // Latest reading of every stream, optionally only one sensor type
+    getSensorData(sensor = null) {
+        return Array.from(this.latestSensorData.values())
+            .filter(data => !sensor || data.sensor === sensor);
+    }
+
+    // Ask boards to stream a sensor at `hz` samples a second (0 = off).
+    // target is a button number, a port path, or null for every connected board.
+    setSensorRate(sensor, hz, target = null) {
+        const kind = String(sensor).toUpperCase();
+        if (!SENSOR_FIELDS[kind]) {
+            return { success: false, error: `Unknown sensor: ${sensor}` };
+        }
+
+        const rate = Number(hz);
+        if (!Number.isInteger(rate) || rate < 0 || rate > this.maxSensorRate) {
+            return { success: false, error: `Sample rate must be a whole number from 0 to ${this.maxSensorRate} Hz` };
+        }
+
+        let ports;
+        if (target === null || target === undefined) {
+            ports = Array.from(this.connections.keys());
+        } else if (typeof target === 'number') {
+            ports = this.portToButton.has(target) ? [this.portToButton.get(target)] : [];
+        } else {
+            ports = this.connections.has(target) ? [target] : [];
+        }
+
+        if (ports.length === 0) {
+            return { success: false, error: 'No Microbit connected to stream from' };
+        }
+
+        for (const portPath of ports) {
+            const connection = this.connections.get(portPath);
+            const rates = { ...(this.sensorRates.get(connection.deviceKey) || {}) };
+
+            if (rate === 0) {
+                delete rates[kind];
+                this.forgetSensorData(portPath, SENSOR_FIELDS[kind].name);
+            } else {
+                rates[kind] = rate;
             }
+            this.sensorRates.set(connection.deviceKey, rates);
+
+            this.sendCommand(portPath, `SENSOR_RATE:${kind}:${rate}`);
         }
+
+        console.log(`📡 ${kind} stream at ${rate} Hz on ${ports.length} board(s)`);
+        return { success: true, ports };
     }
 
-    async simonSaysPattern(patternLength = 4, playbackSpeed = 800) {
-        console.log(`🧠 Simon Says pattern: ${patternLength} steps at ${playbackSpeed}ms`);
-        
-        const pattern = [];
-        for (let i = 0; i < patternLength; i++) {
-            pattern.push(Math.floor(Math.random() * 4) + 1);
+    // Turn every stream off on every board - e.g. when going back to the menu
+    stopSensorStreams() {
+        for (const [portPath, connection] of this.connections) {
+            const rates = this.sensorRates.get(connection.deviceKey) || {};
+            Object.keys(rates).forEach(kind => this.sendCommand(portPath, `SENSOR_RATE:${kind}:0`));
         }
-        
-        console.log(`   Pattern: ${pattern.join(' → ')}`);
-        
-        // Play back the pattern
-        for (const led of pattern) {
-            await this.setLED(led, true);
-            await this.delay(playbackSpeed * 0.7);
-            await this.setLED(led, false);
-            await this.delay(playbackSpeed * 0.3);
+        this.sensorRates.clear();
+        this.latestSensorData.clear();
+    }
+
+    forgetSensorData(portPath, sensor = null) {
+        const prefix = sensor ? `${portPath}:${sensor}` : `${portPath}:`;
+        for (const key of this.latestSensorData.keys()) {
+            if (key.startsWith(prefix)) {
+                this.latestSensorData.delete(key);
+            }
         }
-        
-        return pattern;
     }
 
-    async randomCascade(waves = 3, waveSpeed = 200) {
-        console.log(`🌊 Random cascade: ${waves} waves at ${waveSpeed}ms`);
+    restoreSensorRates(portPath) {
+        const connection = this.connections.get(portPath);
+        if (!connection) return;
+
+        const rates = this.sensorRates.get(connection.deviceKey) || {};
+        Object.entries(rates).forEach(([kind, rate]) => {
+            this.sendCommand(portPath, `SENSOR_RATE:${kind}:${rate}`);
+        });
+    }
+
+    // ========================================
+    // SERIAL CAPTURE & REPLAY
+    // ========================================
+
+    // Write every inbound and outbound line to a capture file (see serial-capture.js)
+    startRecording(filePath) {
+        if (this.recorder) {
+            this.stopRecording();
+        }
+
+        this.recorder = new SerialRecorder(filePath);
+        console.log(`⏺️ Recording serial traffic to ${filePath}`);
+        this.emit('recording-started', this.recorder.describe());
+        return this.recorder.describe();
+    }
+
+    async stopRecording() {
+        if (!this.recorder) return null;
+
+        const recorder = this.recorder;
+        this.recorder = null;
+        const summary = recorder.describe();
+
+        console.log(`⏹️ Serial capture saved: ${summary.lines} lines in ${summary.filePath}`);
+        this.emit('recording-stopped', summary);
+        await recorder.stop();
+        return summary;
+    }
+
+    getRecordingStatus() {
+        return {
+            recording: this.recorder ? this.recorder.describe() : null,
+            replay: this.replay ? {
+                filePath: this.replay.filePath,
+                speed: this.replay.speed,
+                played: this.replay.played,
+                total: this.replay.total
+            } : null
+        };
+    }
+
+    // Feed a capture's inbound lines back through processMessage with the original gaps,
+    // divided by options.speed (2 = twice as fast). Outbound lines are only logged.
+    async replayCapture(filePath, options = {}) {
+        const speed = options.speed > 0 ? options.speed : 1;
+        const entries = loadCapture(filePath);
+
+        this.stopReplay();
+        const replay = { filePath, speed, played: 0, total: entries.length, cancelled: false, timer: null, wake: null };
         
-        for (let wave = 0; wave < waves; wave++) {
-            const direction = Math.random() > 0.5 ? 1 : -1; // Random direction
-            
-            if (direction === 1) {
-                // Left to right
-                for (let i = 1; i <= 4; i++) {
-                    await this.setLED(i, true);
-                    await this.delay(waveSpeed);
-                    await this.setLED(i, false);
-                }
+        // Ports in the capture that aren't plugged in now - their bikes only last as long as the replay
+        replay.ports = new Set(entries.map(entry => entry.port).filter(port => !this.connections.has(port)));
+        replay.bikes = new Set();
+        this.replay = replay;
+
+        // Sequence tracking starts fresh, as it did when the capture was made
+        entries.forEach(entry => this.fallbackParsers.delete(entry.port));
+
+        console.log(`⏯️ Replaying ${entries.length} serial lines from ${filePath} at ${speed}x`);
+        this.emit('replay-started', { filePath, speed, total: entries.length });
+
+        let previousTime = entries.length ? entries[0].t : 0;
+        for (const entry of entries) {
+            const wait = (entry.t - previousTime) / speed;
+            previousTime = entry.t;
+
+            if (wait >= 1) {
+                await new Promise(resolve => {
+                    replay.wake = resolve;
+                    replay.timer = setTimeout(resolve, wait);
+                });
+            }
+            if (replay.cancelled) break;
+
+            if (entry.dir === 'in') {
+                this.processMessage(entry.port, entry.line.trim());
             } else {
-                // Right to left
-                for (let i = 4; i >= 1; i--) {
-                    await this.setLED(i, true);
-                    await this.delay(waveSpeed);
-                    await this.setLED(i, false);
-                }
+                console.log(`↪️ [${entry.port}] (sent during capture) ${entry.line}`);
             }
+            replay.played++;
+        }
+
+        if (this.replay === replay) {
+            this.replay = null;
         }
+        this.forgetReplay(replay);
+
+        const summary = { filePath, played: replay.played, total: replay.total, cancelled: replay.cancelled };
+        console.log(`⏹️ Replay ${replay.cancelled ? 'stopped' : 'finished'}: ${replay.played}/${replay.total} lines`);
+        this.emit('replay-finished', summary);
+        return summary;
     }
 
-    async rhythmicRandomPattern(beats = 8, tempo = 600) {
-        console.log(`🎵 Rhythmic random pattern: ${beats} beats at ${tempo}ms tempo`);
+    // A bike of its own for a port that only exists in the capture, under an id nothing else has used
+    getReplayBike(portPath) {
+        const existing = Array.from(this.bikes.values()).find(bike => bike.port === portPath);
+        if (existing) return existing;
         
-        for (let beat = 0; beat < beats; beat++) {
-            const randomLED = Math.floor(Math.random() * 4) + 1;
-            const duration = Math.random() > 0.7 ? tempo * 0.5 : tempo * 0.2; // Some longer beats
-            
-            await this.setLED(randomLED, true);
-            await this.delay(duration);
-            await this.setLED(randomLED, false);
-            await this.delay(tempo - duration);
+        let id = 1;
+        while (this.bikes.has(id)) {
+            id++;
         }
+        const bike = this.getBike(id);
+        bike.port = portPath;
+        this.replay.bikes.add(id);
+        console.log(`⏯️ Replaying ${portPath} as Bike ${id}`);
+        return bike;
+    }
+
+    // Leave nothing behind for ports that were only in the capture
+    forgetReplay(replay) {
+        replay.bikes.forEach(id => {
+            const bike = this.bikes.get(id);
+            if (bike && !this.connections.has(bike.port)) {
+                bike.signal.stop();
+                this.bikes.delete(id);
+            }
+        });
+        replay.ports.forEach(port => {
+            if (!this.connections.has(port)) {
+                this.fallbackParsers.delete(port);
+                this.forgetSensorData(port);
+            }
+        });
+    }
+
+    stopReplay() {
+        if (!this.replay) return false;
+
+        const replay = this.replay;
+        this.replay = null;
+        replay.cancelled = true;
+        clearTimeout(replay.timer);
+        if (replay.wake) replay.wake();
+        return true;
     }
 
     // ========================================
@@ -697,19 +2451,89 @@ class FourMicrobitController extends EventEmitter {
         }
 
         try {
-            connection.port.write(command + '\n');
+            connection.port.write(command + connection.delimiter);
             console.log(`📤 Sent to ${portPath}: ${command}`);
+            if (this.recorder) {
+                this.recorder.record('out', portPath, command);
+            }
+            this.trackTraffic(portPath, 'out', command);
             return true;
         } catch (error) {
             console.error(`❌ Error sending command to ${portPath}:`, error);
+            this.trackTraffic(portPath, 'error', error.message);
             return false;
         }
     }
 
+    // Queue a command behind any others for this port and wait for the board to confirm it
+    sendCommandWithAck(portPath, command, matches) {
+        const connection = this.connections.get(portPath);
+        if (!connection || !connection.connected) {
+            console.error(`❌ No active connection to ${portPath}`);
+            return Promise.resolve(false);
+        }
+
+        return connection.commandQueue.enqueue(command, matches);
+    }
+
+    // Latency and failure counters for every connected board
+    getDeviceStats() {
+        return Array.from(this.connections.entries()).map(([port, conn]) => ({
+            port,
+            type: conn.deviceType,
+            buttonNumber: conn.buttonNumber || null,
+            ...conn.commandQueue.getStats()
+        }));
+    }
+
     delay(ms) {
+        // Inside an animation the wait ends early (and throws) if the animation is cancelled
+        const animation = this.animations.current();
+        if (animation) {
+            return animation.delay(ms);
+        }
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // ========================================
+    // LED ANIMATION SCHEDULING
+    // ========================================
+
+    // Run an LED animation through the scheduler. Resolves with the task's result,
+    // or false if it was refused or cancelled. Nested calls join the running animation.
+    async animate(name, options, task) {
+        if (this.animations.current()) {
+            return task();
+        }
+        
+        const animation = this.animations.start(name, task, options);
+        return animation ? animation.done : false;
+    }
+
+    // 'ambient' | 'game' | 'event' (or a PRIORITY number)
+    resolvePriority(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && PRIORITY[value.toUpperCase()] !== undefined) {
+            return PRIORITY[value.toUpperCase()];
+        }
+        return PRIORITY.GAME;
+    }
+
+    getRunningAnimations() {
+        return this.animations.list();
+    }
+
+    async stopAnimation(idOrName) {
+        return this.animations.stop(idOrName);
+    }
+
+    // Cancel everything and leave the LEDs in a known state (all off unless told otherwise)
+    async stopAllAnimations(finalState = null) {
+        const stopped = await this.animations.stopAll(finalState);
+        console.log(`⏹️ Stopped ${stopped} LED animation(s)`);
+        return stopped;
+    }
+
     getButtonStates() {
         return [...this.buttonStates];
     }
@@ -720,14 +2544,20 @@ class FourMicrobitController extends EventEmitter {
 
     getConnectionStatus() {
         const buttonConnections = Array.from(this.buttonMappings.values()).length;
-        const bikeConnected = this.bikePort !== null;
+        const bikeCount = this.connectedBikes().length;
+        const bikeConnected = bikeCount > 0;
+        
+        const buzzerConnected = this.buzzerPort !== null;
         
         const status = {
             connected: this.connections.size,
             buttonConnections: buttonConnections,
             bikeConnected: bikeConnected,
+            bikeCount: bikeCount,
+            buzzerConnected: buzzerConnected,
             bikeData: this.getBikeData(),
-            total: 4 + (bikeConnected ? 1 : 0)
+            bikes: this.getAllBikeData(),
+            total: this.buttonCount + bikeCount + (buzzerConnected ? 1 : 0)
         };
         
         console.log('📊 Connection Status:', status);
@@ -739,7 +2569,14 @@ class FourMicrobitController extends EventEmitter {
         const connections = Array.from(this.connections.entries()).map(([port, conn]) => ({
             port,
             type: conn.deviceType,
+            serialNumber: conn.serialNumber || null,
             buttonNumber: conn.buttonNumber || null,
+            bikeId: conn.bikeId || null,
+            protocolVersion: conn.protocolVersion,
+            firmwareVersion: conn.firmwareVersion,
+            diagnosticCount: conn.diagnosticCount,
+            commandStats: conn.commandQueue.getStats(),
+            sensorRates: this.sensorRates.get(conn.deviceKey) || {},
             connected: conn.connected,
             lastActivity: new Date(conn.lastActivity).toLocaleTimeString()
         }));
@@ -747,9 +2584,11 @@ class FourMicrobitController extends EventEmitter {
         return {
             totalConnections: this.connections.size,
             buttonMappings: Object.fromEntries(this.buttonMappings),
-            bikePort: this.bikePort,
-            bikeData: this.getBikeData(),
-            connections: connections
+            bikes: this.getAllBikeData(),
+            buzzerPort: this.buzzerPort,
+            connections: connections,
+            registry: this.getDeviceRegistry(),
+            buttonInput: this.buttonInput.getStats()
         };
     }
 
@@ -762,11 +2601,11 @@ class FourMicrobitController extends EventEmitter {
         
         console.log(`Total Connections: ${status.totalConnections}`);
         console.log(`Button Mappings:`, status.buttonMappings);
-        console.log(`Bike Connected: ${status.bikePort ? 'YES' : 'NO'}`);
+        console.log(`Bikes Connected: ${status.bikes.filter(bike => bike.port).length}`);
         
-        if (status.bikePort) {
-            console.log(`Bike Data:`, status.bikeData);
-        }
+        status.bikes.forEach(bike => {
+            console.log(`Bike ${bike.bikeId} Data:`, bike);
+        });
         
         console.log('\nConnection Details:');
         status.connections.forEach(conn => {
@@ -778,6 +2617,7 @@ class FourMicrobitController extends EventEmitter {
 
     disconnect() {
         console.log('🔌 Disconnecting all Microbits...');
+        this.disposed = true;
         
         // Clear status interval
         if (this.statusInterval) {
@@ -785,6 +2625,17 @@ class FourMicrobitController extends EventEmitter {
             this.statusInterval = null;
         }
         
+        // Stop watching for hot-plugged devices
+        this.stopPortWatcher();
+        
+        this.stopReplay();
+        this.stopRecording();
+        
+        // Let any LED animation wind down - the ports are going away
+        for (const animation of this.animations.running.values()) {
+            animation.cancel('disconnected');
+        }
+        
         for (const [portPath, connection] of this.connections) {
             try {
                 if (connection.port && connection.port.isOpen) {
@@ -796,42 +2647,52 @@ class FourMicrobitController extends EventEmitter {
             }
         }
         
+        for (const connection of this.connections.values()) {
+            connection.commandQueue.clear();
+        }
+        
         this.connections.clear();
         this.buttonMappings.clear();
         this.portToButton.clear();
-        this.bikePort = null;
+        this.buttonInput.resetAll();
+        this.buzzerPort = null;
         
         // Reset bike data
-        this.bikeData = {
-            revolutions: 0,
-            rpm: 0,
-            lastUpdateTime: 0,
-            isActive: false
-        };
+        this.bikes.forEach(bike => bike.signal.reset());
+        this.bikes.clear();
     }
 
     // ========================================
     // GAME EVENT PATTERNS
     // ========================================
 
+    // Play a pattern from the led-patterns library by name (or an inline pattern object)
+    async playPattern(nameOrPattern, options = {}) {
+        const pattern = typeof nameOrPattern === 'string' ? this.patterns.getPattern(nameOrPattern) : nameOrPattern;
+        const name = typeof nameOrPattern === 'string' ? nameOrPattern : (pattern && pattern.name) || 'inline-pattern';
+        const priority = this.resolvePriority(options.priority !== undefined ? options.priority : pattern && pattern.priority);
+        
+        return this.animate(name, { priority, finalState: options.finalState }, () => this.patterns.play(nameOrPattern, options));
+    }
+
+    listPatterns() {
+        this.patterns.loadLibrary();
+        return this.patterns.listPatterns();
+    }
+
     async gameStartPattern() {
         console.log('🎮 Game start LED pattern');
-        await this.chaseLEDs(2, 150);
-        await this.flashAllLEDs(2, 200);
+        await this.playPattern('game-start');
     }
 
     async gameOverPattern() {
         console.log('🎮 Game over LED pattern');
-        await this.setAllLEDs(true);
-        await this.delay(1000);
-        await this.flashAllLEDs(5, 100);
-        await this.setAllLEDs(false);
+        await this.playPattern('game-over');
     }
 
     async gameWinPattern() {
         console.log('🎮 Game win LED pattern');
-        await this.chaseLEDs(3, 100);
-        await this.setAllLEDs(false);
+        await this.playPattern('game-win');
     }
 
     startTestMode() {
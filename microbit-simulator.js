@@ -0,0 +1,570 @@
+// microbit-simulator.js - Virtual Microbits for running the controller without hardware
+//
+// The simulator hands the controller a SerialPort-compatible class (pass it as
+// `new FourMicrobitController({ SerialPort: simulator.SerialPort })`). Each
+// virtual board speaks the same protocol as the real firmware: it answers
+// IDENTIFY with BUTTON_<n>_READY / BIKE SENSOR READY (or a $HELLO frame for
+// protocolVersion 2), confirms LED_ON / LED_OFF, and sends button and
+// BIKE_REV lines when a scenario tells it to.
+//
+// Scenario files (see simulator-scenarios/) look like:
+//   {
+//     "devices": [ { "path": "/dev/sim-button-1", "serialNumber": "SIM0001", "role": "button", "id": 1,
+//                    "firmwareVersion": "2.1.0" } ],
+//     "script": [ { "at": 2000, "device": "/dev/sim-button-1", "action": "tap", "hold": 100 } ],
+//     "streams": { "TILT": 10 },
+//     "expect": { "button-press": 1, "diagnostic": { "max": 0 } }
+//   }
+// "at" is ms after the controller starts - boards are identified about a second in.
+// Actions: press, release, tap, pedal (rpm, duration), send (line), unplug, plug,
+// buzz, start-pad, end-pad (wire buzzer boards),
+// and sensor values the board streams once asked to: tilt (x, y, z),
+// compass (heading), analog (pin, value), light (value).
+//
+// A headless run goes the way a game window does: through hardware-bridge.js with a
+// stand-in for ipcMain and a window subscribed to every topic. It asks every board for
+// the sensor "streams" (sample rates in Hz) as it comes ready, then checks "expect"
+// against the controller's events ("bike-data") and the topics the window received
+// ("bikes.data"): an exact count, or { "min", "max" }. "payloads" lists fields every
+// message on a topic must carry, e.g. { "bikes.data": ["bikeId", "rpm"] }.
+//
+// Run headless: node microbit-simulator.js simulator-scenarios/classroom.json
+// Check them all: node microbit-simulator.js simulator-scenarios (exits 1 if any fail)
+// Run the app:  electron . --simulate simulator-scenarios/classroom.json
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Duplex } = require('stream');
+const { encodeFrame, SEQUENCE_MODULO } = require('./serial-protocol');
+
+class VirtualMicrobit {
+    constructor(config) {
+        this.path = config.path;
+        this.serialNumber = config.serialNumber || null;
+        this.role = config.role || 'button';
+        this.id = config.id || null;
+        this.protocolVersion = config.protocolVersion || 1;
+        this.firmwareVersion = config.firmwareVersion || null; // null - firmware too old to say
+        this.manufacturer = config.manufacturer || 'ARM';
+        this.vendorId = config.vendorId || '0d28';
+        this.productId = config.productId || '0204';
+        this.responseDelay = config.responseDelay !== undefined ? config.responseDelay : 5;
+        this.acknowledgeLEDs = config.acknowledgeLEDs !== false;
+
+        this.plugged = config.plugged !== false;
+        this.port = null;
+        this.seq = 0;
+        this.bootTime = Date.now();
+
+        this.ledOn = false;
+        this.revolutions = 0;
+        this.gameMode = false;
+        this.display = null;
+        this.received = [];
+
+        // Current sensor values and the streams the platform asked for
+        this.sensors = {
+            TILT: [0, 0, -1024],
+            COMPASS: [0],
+            ANALOG: { 0: 0, 1: 0, 2: 0 },
+            LIGHT: [128]
+        };
+        this.sensorTimers = new Map();
+    }
+
+    describePort() {
+        return {
+            path: this.path,
+            manufacturer: this.manufacturer,
+            serialNumber: this.serialNumber,
+            vendorId: this.vendorId,
+            productId: this.productId
+        };
+    }
+
+    attach(port) {
+        this.port = port;
+    }
+
+    detach() {
+        this.port = null;
+    }
+
+    // A replugged board reboots with every stream off
+    reboot() {
+        this.bootTime = Date.now();
+        this.seq = 0;
+        this.sensorTimers.forEach(timer => clearInterval(timer));
+        this.sensorTimers.clear();
+    }
+
+    // Send one line to the platform, after the board's response delay
+    send(line) {
+        setTimeout(() => {
+            if (this.port && this.port.isOpen) {
+                this.port.push(line + '\n');
+            }
+        }, this.responseDelay);
+    }
+
+    // Version 1 boards send plain text, version 2 boards send checksummed frames
+    sendMessage(legacyLine, frameType, fields) {
+        if (this.protocolVersion >= 2) {
+            this.send(encodeFrame(frameType, this.seq, fields));
+            this.seq = (this.seq + 1) % SEQUENCE_MODULO;
+        } else {
+            this.send(legacyLine);
+        }
+    }
+
+    handleCommand(command) {
+        this.received.push({ command, timestamp: Date.now() });
+
+        if (command === 'IDENTIFY') {
+            this.identify();
+        } else if (command === 'LED_ON' || command === 'LED_OFF' || command.startsWith('LED_SET:')) {
+            this.ledOn = command !== 'LED_OFF' && !command.startsWith('LED_SET:0:');
+            if (this.acknowledgeLEDs) {
+                const state = this.ledOn ? 'ON' : 'OFF';
+                // LED_SET is echoed back with the brightness and blink it applied
+                const setting = command.startsWith('LED_SET:') ? command.split(':').slice(1, 3) : [];
+                this.sendMessage(`LED_${this.id || 0}_${state}_CONFIRMED`, 'LED', [this.id || 0, state, ...setting]);
+            }
+        } else if (command.startsWith('ASSIGN_BUTTON:')) {
+            // Only version 2 firmware stores a new number - legacy boards ignore it
+            if (this.protocolVersion >= 2 && this.role === 'button') {
+                this.id = Number(command.slice('ASSIGN_BUTTON:'.length));
+                this.identify();
+            }
+        } else if (command === 'RESET_COUNTER') {
+            this.revolutions = 0;
+        } else if (command === 'GAME_MODE_ON' || command === 'GAME_MODE_OFF') {
+            this.gameMode = command === 'GAME_MODE_ON';
+        } else if (command.startsWith('SHOW_ICON:') || command === 'CLEAR_DISPLAY') {
+            this.display = command === 'CLEAR_DISPLAY' ? null : command.slice('SHOW_ICON:'.length);
+        } else if (command.startsWith('SENSOR_RATE:')) {
+            const [, kind, hz] = command.split(':');
+            this.setSensorRate(kind, Number(hz));
+        }
+    }
+
+    setSensorRate(kind, hz) {
+        if (!this.sensors[kind]) return;
+
+        clearInterval(this.sensorTimers.get(kind));
+        this.sensorTimers.delete(kind);
+
+        if (hz > 0) {
+            this.sensorTimers.set(kind, setInterval(() => this.sendSensor(kind), 1000 / hz));
+        }
+    }
+
+    sendSensor(kind) {
+        const readings = kind === 'ANALOG'
+            ? Object.entries(this.sensors.ANALOG).map(([pin, value]) => [Number(pin), value])
+            : [this.sensors[kind]];
+
+        readings.forEach(values => {
+            this.sendMessage(`SENSOR:${kind}:${values.join(':')}`, 'SENSOR', [kind, ...values]);
+        });
+    }
+
+    identify() {
+        if (this.protocolVersion >= 2) {
+            this.seq = 0;
+            const fields = [this.protocolVersion, this.role.toUpperCase(), this.id || 0];
+            this.sendMessage(null, 'HELLO', this.firmwareVersion ? [...fields, this.firmwareVersion] : fields);
+            return;
+        }
+
+        if (this.role === 'bike') {
+            this.send('BIKE SENSOR READY');
+        } else if (this.role === 'button') {
+            this.send(`BUTTON_${this.id}_READY`);
+        } else if (this.role === 'buzzer') {
+            this.send('BUZZER_READY');
+        }
+        if (this.firmwareVersion) {
+            this.send(`FIRMWARE:${this.firmwareVersion}`);
+        }
+    }
+
+    // 'BUZZ', 'START_PAD' or 'END_PAD'
+    contact(kind) {
+        this.sendMessage(kind, 'WIRE', [kind]);
+    }
+
+    press() {
+        this.sendMessage(`BUTTON_${this.id}_PRESSED`, 'BTN', [this.id, 'DOWN']);
+    }
+
+    release() {
+        this.sendMessage(`BUTTON_${this.id}_RELEASED`, 'BTN', [this.id, 'UP']);
+    }
+
+    revolution(rpm) {
+        this.revolutions++;
+        const time = Date.now() - this.bootTime;
+        this.sendMessage(`BIKE_REV:${this.revolutions}:${rpm}:${time}`, 'BIKE', [this.revolutions, rpm, time]);
+    }
+}
+
+class MicrobitSimulator {
+    constructor(scenario = {}) {
+        this.scenario = scenario;
+        this.devices = new Map();
+        this.timers = new Set();
+
+        (scenario.devices || []).forEach(config => this.addDevice(config));
+
+        this.SerialPort = this.createSerialPortClass();
+    }
+
+    addDevice(config) {
+        const device = new VirtualMicrobit(config);
+        this.devices.set(device.path, device);
+        return device;
+    }
+
+    getDevice(portPath) {
+        const device = this.devices.get(portPath);
+        if (!device) {
+            throw new Error(`No virtual Microbit at ${portPath}`);
+        }
+        return device;
+    }
+
+    listPorts() {
+        return Array.from(this.devices.values())
+            .filter(device => device.plugged)
+            .map(device => device.describePort());
+    }
+
+    // A SerialPort look-alike backed by the virtual devices
+    createSerialPortClass() {
+        const simulator = this;
+
+        return class VirtualSerialPort extends Duplex {
+            static async list() {
+                return simulator.listPorts();
+            }
+
+            constructor(options) {
+                super();
+                this.path = options.path;
+                this.baudRate = options.baudRate;
+                this.isOpen = false;
+
+                if (options.autoOpen !== false) {
+                    this.open();
+                }
+            }
+
+            open(callback) {
+                const device = simulator.devices.get(this.path);
+                if (!device || !device.plugged) {
+                    const error = new Error(`Error: No such file or directory, cannot open ${this.path}`);
+                    if (callback) callback(error);
+                    else this.emit('error', error);
+                    return;
+                }
+
+                this.isOpen = true;
+                device.attach(this);
+                process.nextTick(() => {
+                    this.emit('open');
+                    if (callback) callback(null);
+                });
+            }
+
+            _write(chunk, encoding, callback) {
+                const device = simulator.devices.get(this.path);
+                if (!this.isOpen || !device) {
+                    callback(new Error('Port is not open'));
+                    return;
+                }
+
+                chunk.toString().split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean)
+                    .forEach(line => device.handleCommand(line));
+                callback();
+            }
+
+            _read() {}
+
+            close(callback) {
+                if (!this.isOpen) {
+                    if (callback) callback(new Error('Port is not open'));
+                    return;
+                }
+
+                this.isOpen = false;
+                const device = simulator.devices.get(this.path);
+                if (device && device.port === this) {
+                    device.detach();
+                }
+
+                process.nextTick(() => {
+                    this.emit('close');
+                    if (callback) callback(null);
+                });
+            }
+        };
+    }
+
+    // Pull the USB cable - an open port sees an error and closes, like the real thing
+    unplug(portPath) {
+        const device = this.getDevice(portPath);
+        device.plugged = false;
+
+        if (device.port && device.port.isOpen) {
+            const port = device.port;
+            port.emit('error', new Error('Device disconnected'));
+            port.close();
+        }
+    }
+
+    plug(portPath) {
+        const device = this.getDevice(portPath);
+        device.plugged = true;
+        device.reboot();
+    }
+
+    schedule(ms, action) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            action();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    runStep(step) {
+        const device = this.getDevice(step.device);
+
+        switch (step.action) {
+            case 'press':
+                device.press();
+                break;
+            case 'release':
+                device.release();
+                break;
+            case 'tap':
+                device.press();
+                this.schedule(step.hold || 100, () => device.release());
+                break;
+            case 'pedal': {
+                const rpm = step.rpm || 60;
+                const interval = 60000 / rpm;
+                const count = Math.max(1, Math.floor((step.duration || 5000) / interval));
+                for (let i = 1; i <= count; i++) {
+                    this.schedule(i * interval, () => device.revolution(rpm));
+                }
+                break;
+            }
+            case 'send':
+                device.send(step.line);
+                break;
+            case 'unplug':
+                this.unplug(step.device);
+                break;
+            case 'plug':
+                this.plug(step.device);
+                break;
+            case 'buzz':
+            case 'start-pad':
+            case 'end-pad':
+                device.contact(step.action.toUpperCase().replace('-', '_'));
+                break;
+            case 'tilt':
+                device.sensors.TILT = [step.x || 0, step.y || 0, step.z !== undefined ? step.z : -1024];
+                break;
+            case 'compass':
+                device.sensors.COMPASS = [step.heading || 0];
+                break;
+            case 'analog':
+                device.sensors.ANALOG[step.pin || 0] = step.value || 0;
+                break;
+            case 'light':
+                device.sensors.LIGHT = [step.value || 0];
+                break;
+            default:
+                throw new Error(`Unknown scenario action: ${step.action}`);
+        }
+    }
+
+    // Play the scenario script; resolves once the last step (and any pedalling) has run
+    runScenario(script = this.scenario.script || []) {
+        let end = 0;
+
+        script.forEach(step => {
+            this.getDevice(step.device);
+            this.schedule(step.at || 0, () => this.runStep(step));
+            end = Math.max(end, (step.at || 0) + (step.action === 'pedal' ? step.duration || 5000 : step.hold || 0));
+        });
+
+        return new Promise(resolve => this.schedule(end + 500, resolve));
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.devices.forEach(device => device.reboot());
+    }
+}
+
+function loadScenario(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+const SUMMARY_EVENTS = ['microbit-ready', 'button-press', 'button-release', 'bike-sensor-ready', 'bike-data',
+    'device-attached', 'device-detached', 'device-conflict', 'diagnostic'];
+
+// Failure messages for counts that miss a scenario's "expect" - empty when it passed
+function checkExpectations(expect, counts) {
+    return Object.entries(expect).flatMap(([eventName, expected]) => {
+        const count = counts[eventName];
+        const { min, max } = typeof expected === 'number' ? { min: expected, max: expected } : expected;
+
+        if (min !== undefined && count < min) {
+            return [`${eventName}: expected at least ${min}, got ${count}`];
+        }
+        if (max !== undefined && count > max) {
+            return [`${eventName}: expected at most ${max}, got ${count}`];
+        }
+        return [];
+    });
+}
+
+// Failure messages for topic messages missing a field named in a scenario's "payloads"
+function checkPayloads(payloads, received) {
+    return Object.entries(payloads).flatMap(([topic, fields]) => {
+        const messages = received[topic] || [];
+        return fields.flatMap(field => {
+            const missing = messages.filter(data => !data || data[field] === undefined).length;
+            return missing ? [`${topic}: ${missing} of ${messages.length} message(s) without "${field}"`] : [];
+        });
+    });
+}
+
+// Electron's ipcMain and one window, for a bridge with no Electron around it.
+// request(name, args) goes in on arcade:request; received holds what each topic sent the window.
+function headlessWindow(bridge) {
+    const handlers = {};
+    const register = (channel, handler) => {
+        handlers[channel] = handler;
+    };
+    bridge.listen({ on: register, handle: register });
+
+    const received = {};
+    const webContents = new EventEmitter();
+    webContents.isDestroyed = () => false;
+    webContents.send = (channel, topic, data) => {
+        (received[topic] = received[topic] || []).push(data);
+    };
+
+    const event = { sender: webContents };
+    const describe = {};
+    handlers['arcade:describe'](describe);
+    describe.returnValue.topics.forEach(topic => handlers['arcade:subscribe'](event, topic));
+
+    return {
+        received,
+        request: (name, args) => handlers['arcade:request'](event, name, args)
+    };
+}
+
+// Scenario files to run for the given paths - a directory stands for every .json in it
+function scenarioFiles(paths) {
+    return paths.flatMap(target => fs.statSync(target).isDirectory()
+        ? fs.readdirSync(target).filter(name => name.endsWith('.json')).sort().map(name => path.join(target, name))
+        : [target]);
+}
+
+// Headless run: drive the real controller with a scenario, through the bridge a game window
+// uses, and report what it saw. Resolves to { counts, received, failures } - failures lists
+// every "expect" and "payloads" entry that was missed.
+async function runHeadless(scenarioFile) {
+    const FourMicrobitController = require('./microbit-controller');
+    const HardwareBridge = require('./hardware-bridge');
+    const { REQUESTS, TOPICS } = require('./hardware-api');
+
+    const scenario = loadScenario(scenarioFile);
+    const expect = scenario.expect || {};
+    const simulator = new MicrobitSimulator(scenario);
+    const controller = new FourMicrobitController({ SerialPort: simulator.SerialPort });
+    const bridge = new HardwareBridge(REQUESTS, TOPICS);
+    bridge.attach(controller);
+    const gameWindow = headlessWindow(bridge);
+
+    // Topic names have a dot ("bikes.data") - they are counted from what the window received
+    const counts = {};
+    new Set([...SUMMARY_EVENTS, ...Object.keys(expect)]).forEach(eventName => {
+        if (eventName.includes('.')) return;
+        counts[eventName] = 0;
+        controller.on(eventName, () => counts[eventName]++);
+    });
+
+    controller.on('microbit-ready', data => {
+        Object.entries(scenario.streams || {}).forEach(([sensor, hz]) => {
+            gameWindow.request('sensors.setRate', [sensor, hz, data.buttonId]).then(result => {
+                if (!result.success) console.warn(`⚠️ sensors.setRate ${sensor}: ${result.error}`);
+            });
+        });
+    });
+
+    await simulator.runScenario();
+    Object.keys(expect).filter(name => name.includes('.')).forEach(topic => {
+        counts[topic] = (gameWindow.received[topic] || []).length;
+    });
+    const failures = [
+        ...checkExpectations(expect, counts),
+        ...checkPayloads(scenario.payloads || {}, gameWindow.received)
+    ];
+
+    console.log(`\n🧪 SIMULATION SUMMARY - ${scenario.name || scenarioFile}`);
+    console.log('================================');
+    Object.entries(counts).forEach(([eventName, count]) => console.log(`  ${eventName}: ${count}`));
+    console.log('================================');
+    failures.forEach(failure => console.log(`  ❌ ${failure}`));
+    console.log(failures.length ? '' : '  ✅ Every expectation met\n');
+
+    simulator.stop();
+    bridge.detach();
+    controller.disconnect();
+    return { counts, received: gameWindow.received, failures };
+}
+
+if (require.main === module) {
+    const targets = process.argv.slice(2);
+    if (targets.length === 0) {
+        console.error('Usage: node microbit-simulator.js <scenario.json | scenario folder>...');
+        process.exit(1);
+    }
+
+    (async () => {
+        const failed = [];
+        for (const scenarioFile of scenarioFiles(targets)) {
+            const { failures } = await runHeadless(scenarioFile);
+            if (failures.length) failed.push(scenarioFile);
+        }
+        if (failed.length) {
+            console.error(`❌ ${failed.length} scenario(s) failed: ${failed.join(', ')}`);
+            process.exit(1);
+        }
+        process.exit(0);
+    })().catch(error => {
+        console.error('❌ Simulation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    VirtualMicrobit,
+    MicrobitSimulator,
+    loadScenario,
+    checkExpectations,
+    checkPayloads,
+    runHeadless
+};
@@ -0,0 +1,191 @@
+// player-profiles.js - Players who come back, so their scores stay theirs across sessions
+//
+// players.json in the user data folder holds one entry per player:
+//
+//   { "id": "...", "name": "SAM", "avatar": "🦊", "classGroup": "7B",
+//     "createdAt": "...", "lastPlayedAt": "..." }
+//
+// Names are entered on the arcade buttons (js/player-picker.js), so they stick to the
+// characters in NAME_CHARACTERS. Two players may share a name in different classes,
+// not in the same one. A change is saved before it replaces the players in memory, so
+// one that can't be written is not kept either.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const NAME_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -';
+const MAX_NAME_LENGTH = 10;
+const AVATARS = ['🦊', '🐼', '🐸', '🦁', '🐵', '🐧', '🐙', '🦄', '🐢', '🦖', '🚀', '⚽', '🎸', '🌟', '🍕', '👾'];
+
+function nameKey(name) {
+    return name.trim().toUpperCase();
+}
+
+// "7B " and "7B" are the same class - null when there is none
+function classKey(classGroup) {
+    return typeof classGroup === 'string' ? classGroup.trim() : null;
+}
+
+class PlayerProfiles {
+    constructor(filePath = null) {
+        // No file path means profiles only live for this session
+        this.filePath = filePath;
+        this.players = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                (data.players || []).forEach(entry => {
+                    if (entry.id && entry.name) {
+                        this.players.set(entry.id, entry);
+                    }
+                });
+                console.log(`👤 Loaded ${this.players.size} player profiles from ${this.filePath}`);
+            }
+        } catch (error) {
+            console.error('❌ Error loading player profiles:', error);
+        }
+    }
+
+    // Write players to disk and, once that worked, make them the current ones
+    save(players = this.players) {
+        if (this.filePath) {
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.writeFileSync(this.filePath, JSON.stringify({ players: Array.from(players.values()) }, null, 2));
+            } catch (error) {
+                console.error('❌ Error saving player profiles:', error);
+                return false;
+            }
+        }
+
+        this.players = players;
+        return true;
+    }
+
+    // Saves players with one entry added or replaced
+    savePlayer(player) {
+        const players = new Map(this.players);
+        players.set(player.id, player);
+        return this.save(players)
+            ? { success: true, player: { ...player } }
+            : { success: false, error: 'Could not save the player profiles' };
+    }
+
+    get(id) {
+        return id ? this.players.get(id) || null : null;
+    }
+
+    // Most recent players first - a class's own players ahead of everyone else's
+    list(options = {}) {
+        const classGroup = options.classGroup || null;
+        return Array.from(this.players.values())
+            .map(entry => ({ ...entry }))
+            .sort((a, b) => {
+                if (classGroup && (a.classGroup === classGroup) !== (b.classGroup === classGroup)) {
+                    return a.classGroup === classGroup ? -1 : 1;
+                }
+                return (b.lastPlayedAt || b.createdAt).localeCompare(a.lastPlayedAt || a.createdAt);
+            });
+    }
+
+    // Returns an error message, or null if the profile can be saved
+    check(profile, ignoreId = null) {
+        const name = typeof profile.name === 'string' ? nameKey(profile.name) : '';
+        if (!name) {
+            return 'A player needs a name';
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            return `Names can be at most ${MAX_NAME_LENGTH} characters`;
+        }
+        if ([...name].some(character => !NAME_CHARACTERS.includes(character))) {
+            return 'Names can only use letters, numbers, spaces and dashes';
+        }
+        if (profile.avatar && !AVATARS.includes(profile.avatar)) {
+            return `Unknown avatar: ${profile.avatar}`;
+        }
+
+        if (profile.classGroup !== undefined && profile.classGroup !== null &&
+            (typeof profile.classGroup !== 'string' || !profile.classGroup.trim())) {
+            const got = typeof profile.classGroup === 'string' ? JSON.stringify(profile.classGroup) : String(profile.classGroup);
+            return `A class must be a name like 7B, or none (got ${got})`;
+        }
+
+        const classGroup = classKey(profile.classGroup);
+        for (const entry of this.players.values()) {
+            if (entry.id !== ignoreId && nameKey(entry.name) === name && entry.classGroup === classGroup) {
+                return `${name} is already a player${classGroup ? ` in ${classGroup}` : ''} - pick them from the list`;
+            }
+        }
+        return null;
+    }
+
+    // Returns { success, player } or { success: false, error }
+    create(profile) {
+        const error = this.check(profile);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const player = {
+            id: crypto.randomUUID(),
+            name: nameKey(profile.name),
+            avatar: profile.avatar || AVATARS[0],
+            classGroup: classKey(profile.classGroup),
+            createdAt: new Date().toISOString(),
+            lastPlayedAt: null
+        };
+        return this.savePlayer(player);
+    }
+
+    update(id, changes) {
+        const existing = this.get(id);
+        if (!existing) {
+            return { success: false, error: `Unknown player: ${id}` };
+        }
+
+        const updated = {
+            ...existing,
+            name: changes.name !== undefined ? changes.name : existing.name,
+            avatar: changes.avatar !== undefined ? changes.avatar : existing.avatar,
+            classGroup: changes.classGroup !== undefined ? changes.classGroup : existing.classGroup
+        };
+        const error = this.check(updated, id);
+        if (error) {
+            return { success: false, error };
+        }
+
+        updated.name = nameKey(updated.name);
+        updated.classGroup = classKey(updated.classGroup);
+        return this.savePlayer(updated);
+    }
+
+    // Called when a play is recorded for the player
+    touch(id) {
+        const existing = this.get(id);
+        if (!existing) return false;
+
+        return this.savePlayer({ ...existing, lastPlayedAt: new Date().toISOString() }).success;
+    }
+
+    // True once the player is gone on disk as well
+    remove(id) {
+        if (!this.players.has(id)) return false;
+
+        const players = new Map(this.players);
+        players.delete(id);
+        return this.save(players);
+    }
+}
+
+PlayerProfiles.NAME_CHARACTERS = NAME_CHARACTERS;
+PlayerProfiles.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
+PlayerProfiles.AVATARS = AVATARS;
+
+module.exports = PlayerProfiles;
@@ -0,0 +1,78 @@
+// preload.js - The only way the renderer reaches the main process: window.arcade
+//
+// The windows run with contextIsolation and sandbox on and no Node, so games, the
+// platform and the diagnostics window get this narrow API instead of ipcRenderer.
+// window.arcade is built from the names main.js offers (hardware-api.js plus the app's
+// own requests), so a new capability shows up here without touching this file:
+//
+//   'leds.flash'    -> window.arcade.leds.flash(...args)      a promise of { success, ... }
+//   'buttons.press' -> window.arcade.buttons.onPress(callback) returns an unsubscribe function
+//
+// window.arcade.request(name, ...args) and window.arcade.subscribe(topic, callback) do the
+// same by name. Callbacks get the event's data only, never the IPC event itself.
+//
+// Types for editors are in arcade.d.ts. Sandboxed preloads can only require 'electron',
+// so this file stays self-contained.
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+const listeners = new Map();    // topic -> Set of callbacks
+
+ipcRenderer.on('arcade:event', (event, topic, data) => {
+    (listeners.get(topic) || []).forEach(callback => {
+        try {
+            callback(data);
+        } catch (error) {
+            console.error(`Error in ${topic} listener:`, error);
+        }
+    });
+});
+
+function request(name, ...args) {
+    return ipcRenderer.invoke('arcade:request', name, args);
+}
+
+// Main only sends a topic once something here listens to it
+function subscribe(topic, callback) {
+    if (!listeners.has(topic)) {
+        listeners.set(topic, new Set());
+        ipcRenderer.send('arcade:subscribe', topic);
+    }
+    listeners.get(topic).add(callback);
+
+    return () => {
+        const callbacks = listeners.get(topic);
+        if (!callbacks) return;
+
+        callbacks.delete(callback);
+        if (callbacks.size === 0) {
+            listeners.delete(topic);
+            ipcRenderer.send('arcade:unsubscribe', topic);
+        }
+    };
+}
+
+function namespace(api, name) {
+    const [group, action] = name.split('.');
+    api[group] = api[group] || {};
+    return [api[group], action];
+}
+
+function buildApi({ requests, topics }) {
+    const api = { request, subscribe };
+
+    requests.forEach(name => {
+        const [group, action] = namespace(api, name);
+        group[action] = (...args) => request(name, ...args);
+    });
+
+    // 'buttons.layoutChanged' -> buttons.onLayoutChanged
+    topics.forEach(topic => {
+        const [group, event] = namespace(api, topic);
+        group[`on${event.charAt(0).toUpperCase()}${event.slice(1)}`] = (callback) => subscribe(topic, callback);
+    });
+
+    return api;
+}
+
+contextBridge.exposeInMainWorld('arcade', buildApi(ipcRenderer.sendSync('arcade:describe')));
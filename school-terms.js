@@ -0,0 +1,80 @@
+// school-terms.js - Term dates, for "this term" leaderboards
+//
+// A terms file (terms/*.json, or school-terms.json in the user data folder) looks like:
+//
+//   {
+//     "terms": [
+//       { "name": "Autumn 2025", "start": "2025-09-03", "end": "2025-12-19" },
+//       { "name": "Spring 2026", "start": "2026-01-05", "end": "2026-03-27" },
+//       ...
+//     ]
+//   }
+//
+// Dates are local days and "end" is the last day of the term. In a holiday the board
+// shows the term that has just finished. Without a file the year is split into
+// Autumn (September-December), Spring (January-March) and Summer (April-August).
+
+const fs = require('fs');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "2025-09-03" -> local midnight at the start of that day
+function parseDay(text) {
+    const [year, month, day] = text.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Check a terms file - throws with a readable message if it can't be used
+function normalizeTerms(data) {
+    if (!data || !Array.isArray(data.terms) || data.terms.length === 0) {
+        throw new Error('School terms need a non-empty "terms" array');
+    }
+
+    return data.terms.map((term, index) => {
+        const where = `Term ${index + 1}`;
+        if (!DATE_PATTERN.test(term.start || '') || !DATE_PATTERN.test(term.end || '')) {
+            throw new Error(`${where}: "start" and "end" must be dates like "2025-09-03"`);
+        }
+
+        const start = parseDay(term.start);
+        const end = parseDay(term.end);
+        end.setDate(end.getDate() + 1);
+        if (end <= start) {
+            throw new Error(`${where}: ends before it starts`);
+        }
+        return { name: term.name || where, start, end };
+    }).sort((a, b) => a.start - b.start);
+}
+
+// Missing file means the built-in Autumn / Spring / Summer split
+function loadTerms(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return null;
+    }
+    return normalizeTerms(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function defaultTerm(now) {
+    const year = now.getFullYear();
+    const month = now.getMonth();
+
+    if (month >= 8) return { name: `Autumn ${year}`, start: new Date(year, 8, 1), end: new Date(year + 1, 0, 1) };
+    if (month <= 2) return { name: `Spring ${year}`, start: new Date(year, 0, 1), end: new Date(year, 3, 1) };
+    return { name: `Summer ${year}`, start: new Date(year, 3, 1), end: new Date(year, 8, 1) };
+}
+
+// { name, start, end } for the term now is in, or the last one to start before it
+function currentTerm(terms, now = new Date()) {
+    if (!terms || terms.length === 0) {
+        return defaultTerm(now);
+    }
+
+    const started = terms.filter(term => term.start <= now);
+    return started.length > 0 ? started[started.length - 1] : terms[0];
+}
+
+module.exports = {
+    normalizeTerms,
+    loadTerms,
+    currentTerm
+};
@@ -0,0 +1,280 @@
+// score-store.js - Every play of every game, kept in an append-only log in the user data folder
+//
+// scores.jsonl holds one play per line and is only ever appended to, so nothing is lost
+// when a list is cut to its top ten and a crash can at worst cost the line being written:
+//
+//   {"id":"...","game":"bikerbeat","player":"Sam","score":4200,"mode":null,"difficulty":"hard",
+//    "variant":"hard","classGroup":"7B","duration":93500,"stats":{"maxRpm":112},
+//    "playedAt":"2024-05-14T10:21:07.000Z"}
+//
+// player is null when nobody entered a name - those plays count in the history but
+// not on the boards. playerId links a play to a profile in player-profiles.js; plays
+// without one (imported scores, older plays) are matched on the name alone.
+// duration is in milliseconds. Higher scores are better in every game.
+// variant is what the game reported as its mode and difficulty, so a 4-player round
+// of Stream Stop never shares a board with a 1-player one.
+//
+// The log is read into memory once; a school's worth of plays is a few thousand lines.
+// The old highscores.json is copied in the first time the log is created.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { currentTerm } = require('./school-terms');
+
+const PERIODS = ['today', 'week', 'term', 'month', 'all'];
+
+// { since, until } for a period, in local time - weeks start on Monday.
+// terms come from school-terms.js; without them the built-in split is used.
+function periodRange(period, now = new Date(), terms = null) {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+    switch (period) {
+        case 'today':
+            break;
+        case 'term': {
+            const term = currentTerm(terms, now);
+            return { since: term.start, until: term.end };
+        }
+        case 'week':
+            start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+            break;
+        case 'month':
+            start.setDate(1);
+            break;
+        case 'all':
+        case undefined:
+        case null:
+            return { since: null, until: null };
+        default:
+            throw new Error(`Unknown period "${period}" - use one of ${PERIODS.join(', ')}`);
+    }
+    return { since: start, until: null };
+}
+
+// "Sam ", "sam" and "SAM" are the same player
+function playerKey(name) {
+    return typeof name === 'string' ? name.trim().toLowerCase() : null;
+}
+
+// Who a play belongs to - the profile when there is one, otherwise the name
+function ownerKey(play) {
+    return play.playerId ? `id:${play.playerId}` : `name:${playerKey(play.player)}`;
+}
+
+// Only full ISO timestamps ("2024-05-14T10:21:07.000Z") - anything else would sort and
+// filter wrongly forever once it is in the log
+function isoDate(value, field) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new Error(`Play ${field} must be an ISO date (got ${JSON.stringify(value)})`);
+    }
+    return new Date(value).toISOString();
+}
+
+// since / until for query() - a date, or text Date can read. Anything else throws rather
+// than quietly matching nothing.
+function filterDate(value, field) {
+    const date = new Date(value);
+    if (!(typeof value === 'string' || value instanceof Date) || Number.isNaN(date.getTime())) {
+        throw new Error(`"${field}" must be a date (got ${typeof value === 'string' ? JSON.stringify(value) : String(value)})`);
+    }
+    return date;
+}
+
+function optionalString(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw new Error(`Play ${field} must be text (got ${JSON.stringify(value)})`);
+    }
+    return value.trim();
+}
+
+// Check a play from a game and fill in what it left out - throws with a readable message
+function normalizePlay(play) {
+    if (!play || typeof play.game !== 'string' || !play.game.trim()) {
+        throw new Error('A play needs the game it was played in');
+    }
+    if (typeof play.score !== 'number' || !Number.isFinite(play.score)) {
+        throw new Error(`Play score must be a number (got ${JSON.stringify(play.score)})`);
+    }
+    if (play.duration !== undefined && play.duration !== null &&
+        (typeof play.duration !== 'number' || play.duration < 0)) {
+        throw new Error(`Play duration must be a number of milliseconds (got ${JSON.stringify(play.duration)})`);
+    }
+    if (play.stats !== undefined && play.stats !== null && (typeof play.stats !== 'object' || Array.isArray(play.stats))) {
+        throw new Error('Play stats must be an object');
+    }
+
+    if (play.id !== undefined && play.id !== null && (typeof play.id !== 'string' || !play.id.trim())) {
+        throw new Error(`Play id must be text (got ${JSON.stringify(play.id)})`);
+    }
+
+    const mode = optionalString(play.mode, 'mode');
+    const difficulty = optionalString(play.difficulty, 'difficulty');
+
+    return {
+        id: play.id || crypto.randomUUID(),
+        game: play.game.trim(),
+        player: optionalString(play.player, 'player'),
+        playerId: optionalString(play.playerId, 'player id'),
+        score: play.score,
+        mode,
+        difficulty,
+        variant: optionalString(play.variant, 'variant') || [mode, difficulty].filter(Boolean).join(' ') || null,
+        classGroup: optionalString(play.classGroup, 'class'),
+        duration: play.duration === undefined || play.duration === null ? null : Math.round(play.duration),
+        stats: play.stats || null,
+        playedAt: play.playedAt ? isoDate(play.playedAt, 'date') : new Date().toISOString()
+    };
+}
+
+class ScoreStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.terms = options.terms || null;
+        this.plays = [];
+
+        const isNew = !fs.existsSync(filePath);
+        this.load();
+        if (isNew && options.legacyFile) {
+            this.importLegacy(options.legacyFile);
+        }
+    }
+
+    load() {
+        this.plays = [];
+        if (!fs.existsSync(this.filePath)) return;
+
+        let skipped = 0;
+        fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(text => {
+            if (!text.trim()) return;
+            try {
+                this.plays.push(normalizePlay(JSON.parse(text)));
+            } catch (error) {
+                skipped++;
+            }
+        });
+
+        console.log(`🏆 Loaded ${this.plays.length} plays from ${this.filePath}`);
+        if (skipped > 0) {
+            console.warn(`⚠️ Skipped ${skipped} unreadable line(s) in ${this.filePath}`);
+        }
+    }
+
+    // { pong: [{ name, score, date }], ... } from the old highscores.json
+    importLegacy(legacyFile) {
+        try {
+            if (!fs.existsSync(legacyFile)) return 0;
+
+            const scores = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+            let imported = 0;
+            let skipped = 0;
+            Object.entries(scores).forEach(([game, entries]) => {
+                (Array.isArray(entries) ? entries : []).forEach(entry => {
+                    // One bad entry costs that entry, not the rest of the file
+                    try {
+                        this.append(normalizePlay({ game, player: entry.name, score: entry.score, playedAt: entry.date, stats: { imported: true } }));
+                        imported++;
+                    } catch (error) {
+                        skipped++;
+                    }
+                });
+            });
+
+            console.log(`🏆 Imported ${imported} high score(s) from ${legacyFile}`);
+            if (skipped > 0) {
+                console.warn(`⚠️ Skipped ${skipped} unreadable high score(s) in ${legacyFile}`);
+            }
+            return imported;
+        } catch (error) {
+            console.error('❌ Error importing old high scores:', error);
+            return 0;
+        }
+    }
+
+    // Appends one play from a game and returns it as stored - the id and time are always ours
+    record(play) {
+        return this.append(normalizePlay({ ...play, id: null, playedAt: null }));
+    }
+
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        this.plays.push(entry);
+        return entry;
+    }
+
+    // Plays matching { game, player, playerId, mode, difficulty, variant, classGroup, period, since, until },
+    // newest first. A filter left out matches anything; null matches plays without that field.
+    query(filters = {}) {
+        const range = periodRange(filters.period, new Date(), this.terms);
+        const since = filters.since ? filterDate(filters.since, 'since') : range.since;
+        const until = filters.until ? filterDate(filters.until, 'until') : range.until;
+        const player = playerKey(filters.player);
+
+        return this.plays.filter(play => {
+            const playedAt = new Date(play.playedAt);
+            return (!filters.game || play.game === filters.game) &&
+                (!player || playerKey(play.player) === player) &&
+                (!filters.playerId || play.playerId === filters.playerId) &&
+                (filters.mode === undefined || play.mode === filters.mode) &&
+                (filters.difficulty === undefined || play.difficulty === filters.difficulty) &&
+                (filters.variant === undefined || play.variant === filters.variant) &&
+                (filters.classGroup === undefined || play.classGroup === filters.classGroup) &&
+                (!since || playedAt >= since) &&
+                (!until || playedAt < until);
+        }).reverse();
+    }
+
+    // Best named plays for a game - bestPerPlayer keeps only each player's top score
+    top(game, options = {}) {
+        const { limit = 10, bestPerPlayer = false, ...filters } = options;
+        const plays = this.query({ ...filters, game })
+            .filter(play => play.player)
+            .sort((a, b) => b.score - a.score || a.playedAt.localeCompare(b.playedAt));
+
+        if (!bestPerPlayer) {
+            return plays.slice(0, limit);
+        }
+
+        const seen = new Set();
+        return plays.filter(play => {
+            const key = ownerKey(play);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).slice(0, limit);
+    }
+
+    // A player's best play in a game, or null - by name, or by profile with filters.playerId
+    personalBest(game, player, filters = {}) {
+        if (!playerKey(player) && !filters.playerId) return null;
+        return this.top(game, { ...filters, player: filters.playerId ? undefined : player, limit: 1 })[0] || null;
+    }
+
+    // What a game's boards can be split by: { variants, classes, term }
+    facets(game) {
+        const plays = this.plays.filter(play => play.game === game);
+        const distinct = (values) => Array.from(new Set(values.filter(Boolean))).sort();
+        const term = currentTerm(this.terms, new Date());
+
+        return {
+            variants: distinct(plays.map(play => play.variant)),
+            classes: distinct(this.plays.map(play => play.classGroup)),
+            term: { name: term.name, start: term.start.toISOString(), end: term.end.toISOString() }
+        };
+    }
+
+    // Most recent plays, optionally filtered like query()
+    history(filters = {}) {
+        const { limit = 50, ...rest } = filters;
+        return this.query(rest).slice(0, limit);
+    }
+}
+
+module.exports = {
+    ScoreStore,
+    PERIODS,
+    periodRange,
+    normalizePlay
+};
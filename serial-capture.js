@@ -0,0 +1,79 @@
+// serial-capture.js - Record raw serial traffic to a file and read it back for replay
+//
+// A capture is a JSON-lines file. The first line describes the session, every
+// line after that is one serial line in either direction:
+//
+//   {"capture":1,"startedAt":1718000000000}
+//   {"t":1718000000123,"dir":"in","port":"COM3","line":"BUTTON_1_PRESSED"}
+//   {"t":1718000000130,"dir":"out","port":"COM3","line":"LED_ON"}
+//
+// Inbound lines are stored exactly as they came off the wire (before trimming),
+// so stray carriage returns and half-lines survive into the replay.
+
+const fs = require('fs');
+const path = require('path');
+
+const CAPTURE_VERSION = 1;
+
+class SerialRecorder {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.startedAt = Date.now();
+        this.lines = 0;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            console.error(`❌ Serial capture write failed (${filePath}):`, error.message);
+        });
+        this.writeEntry({ capture: CAPTURE_VERSION, startedAt: this.startedAt });
+    }
+
+    writeEntry(entry) {
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    record(direction, portPath, line) {
+        this.lines++;
+        this.writeEntry({ t: Date.now(), dir: direction, port: portPath, line });
+    }
+
+    // Resolves once everything has been flushed to disk
+    stop() {
+        return new Promise(resolve => this.stream.end(resolve));
+    }
+
+    describe() {
+        return {
+            filePath: this.filePath,
+            startedAt: this.startedAt,
+            lines: this.lines
+        };
+    }
+}
+
+// Returns the traffic entries in time order - the session header and unreadable lines are skipped
+function loadCapture(filePath) {
+    const entries = [];
+
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach((text, index) => {
+        if (!text.trim()) return;
+
+        try {
+            const entry = JSON.parse(text);
+            if ((entry.dir === 'in' || entry.dir === 'out') && entry.port && typeof entry.line === 'string') {
+                entries.push(entry);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Skipping unreadable capture line ${index + 1} in ${filePath}`);
+        }
+    });
+
+    return entries.sort((a, b) => a.t - b.t);
+}
+
+module.exports = {
+    CAPTURE_VERSION,
+    SerialRecorder,
+    loadCapture
+};
@@ -0,0 +1,287 @@
+// serial-protocol.js - Line protocol spoken between the Microbits and the platform
+//
+// Version 1 (legacy firmware) sends bare text lines:
+//   BUTTON_<n>_READY, BUTTON_<n>_PRESSED, BUTTON_<n>_RELEASED,
+//   LED_<n>_<ON|OFF|TOGGLE>_CONFIRMED, BIKE SENSOR READY, BIKE_REV:<count>:<rpm>:<time>,
+//   SENSOR:TILT:<x>:<y>:<z>, SENSOR:COMPASS:<heading>, SENSOR:ANALOG:<pin>:<value>, SENSOR:LIGHT:<value>,
+//   BUZZER_READY, BUZZ, START_PAD, END_PAD (wire buzzer rig: wire touched, hoop on a pad),
+//   FIRMWARE:<version> (sent after the READY line by builds that know their version)
+//
+// Version 2 firmware sends framed lines with a sequence number and checksum:
+//   $<TYPE>,<seq>,<field>,<field>...*<XX>
+// where <seq> counts 0-255 per board and <XX> is the XOR of every character
+// between '$' and '*', as two hex digits. A version 2 board answers IDENTIFY with
+//   $HELLO,<seq>,<protocolVersion>,<BUTTON|BIKE|BUZZER>,<id>,<firmwareVersion>*XX
+// (the firmware version, e.g. 2.1.0, is missing from the earliest version 2 builds)
+//
+// Frame types: HELLO, BTN (<n>,READY|DOWN|UP), LED (<n>,ON|OFF|TOGGLE[,<brightness>,<blink>]),
+// BIKE (<count>,<rpm>,<time>), SENSOR (TILT|COMPASS|ANALOG|LIGHT,<values as above>),
+// WIRE (BUZZ|START_PAD|END_PAD)
+//
+// A button board's LED takes LED_ON, LED_OFF and LED_TOGGLE, answered with
+// LED_<n>_<ON|OFF|TOGGLE>_CONFIRMED or $LED,<seq>,<n>,<ON|OFF|TOGGLE>*XX. Version 2
+// firmware also takes LED_SET:<brightness 1-255>:<blink ms, 0 for steady> and answers
+// $LED,<seq>,<n>,ON,<brightness>,<blink>*XX with the values it applied, so a change of
+// brightness or blink is confirmed and not just the LED being on.
+//
+// Sensor streams are off until the platform sends SENSOR_RATE:<TILT|COMPASS|ANALOG|LIGHT>:<hz>
+// (0 turns a stream off). Tilt is the accelerometer in milli-g, compass a heading
+// in degrees, analog a pin reading 0-1023 and light the LED-matrix level 0-255.
+//
+// The wire buzzer's display takes SHOW_ICON:<HAPPY|SAD|NO|YES> and CLEAR_DISPLAY.
+//
+// ASSIGN_BUTTON:<n> gives a button board a new number (the assignment wizard). Version 2
+// firmware keeps it and answers with HELLO; older boards ignore it and the platform's
+// device registry maps them instead.
+//
+// Anything that is not exactly one of the above comes back as 'unknown' or
+// 'malformed' so debug prints from the firmware are never mistaken for input.
+
+const PROTOCOL_VERSION = 2;
+const SEQUENCE_MODULO = 256;
+
+const LEGACY_PATTERNS = [
+    { regex: /^BUTTON_(\d+)_READY$/, build: m => ({ type: 'button-ready', button: Number(m[1]) }) },
+    { regex: /^BUTTON_(\d+)_PRESSED$/, build: m => ({ type: 'button-pressed', button: Number(m[1]) }) },
+    { regex: /^BUTTON_(\d+)_RELEASED$/, build: m => ({ type: 'button-released', button: Number(m[1]) }) },
+    { regex: /^LED_(\d+)_(ON|OFF|TOGGLE)_CONFIRMED$/, build: m => ({ type: 'led-confirmed', button: Number(m[1]), state: m[2] }) },
+    { regex: /^(BIKE SENSOR READY|HW-484 .*READY.*)$/i, build: () => ({ type: 'bike-ready' }) },
+    { regex: /^BIKE_REV:(-?\d+):(-?\d+):(-?\d+)$/, build: m => bikeRev(m[1], m[2], m[3]) },
+    { regex: /^BUZZER_READY$/, build: () => ({ type: 'buzzer-ready' }) },
+    { regex: /^(BUZZ|START_PAD|END_PAD)$/, build: m => ({ type: 'buzzer-contact', contact: BUZZER_CONTACTS[m[1]] }) },
+    { regex: /^SENSOR:([A-Z]+)((?::-?\d+)+)$/, build: m => sensorReading(m[1], m[2].slice(1).split(':')) },
+    { regex: /^FIRMWARE:(\d+(?:\.\d+){0,2})$/, build: m => ({ type: 'firmware', version: m[1] }) }
+];
+
+const FIRMWARE_VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+
+// Values each sensor sends, in order, and their allowed range
+const SENSOR_FIELDS = {
+    TILT: { name: 'tilt', fields: ['x', 'y', 'z'], min: -4096, max: 4096 },
+    COMPASS: { name: 'compass', fields: ['heading'], min: 0, max: 359 },
+    ANALOG: { name: 'analog', fields: ['pin', 'value'], min: 0, max: 1023 },
+    LIGHT: { name: 'light', fields: ['value'], min: 0, max: 255 }
+};
+
+const BUZZER_CONTACTS = {
+    BUZZ: 'buzz',
+    START_PAD: 'start-pad',
+    END_PAD: 'end-pad'
+};
+
+const BUTTON_ACTIONS = {
+    READY: 'button-ready',
+    DOWN: 'button-pressed',
+    UP: 'button-released'
+};
+
+function bikeRev(revolutions, rpm, timestamp) {
+    const message = {
+        type: 'bike-rev',
+        revolutions: Number(revolutions),
+        rpm: Number(rpm),
+        timestamp: Number(timestamp)
+    };
+
+    if (message.revolutions < 0 || message.rpm < 0) {
+        return { type: 'malformed', reason: 'Negative bike sensor values' };
+    }
+    return message;
+}
+
+function sensorReading(kind, values) {
+    const spec = SENSOR_FIELDS[kind];
+    if (!spec) {
+        return { type: 'unknown', reason: `Unknown sensor: ${kind}` };
+    }
+    if (values.length !== spec.fields.length || !values.every(value => /^-?\d+$/.test(value))) {
+        return { type: 'malformed', reason: `Bad ${kind} reading` };
+    }
+
+    const message = { type: 'sensor', sensor: spec.name };
+    for (let i = 0; i < spec.fields.length; i++) {
+        const value = Number(values[i]);
+        if (value < spec.min || value > spec.max) {
+            return { type: 'malformed', reason: `${kind} ${spec.fields[i]} out of range: ${value}` };
+        }
+        message[spec.fields[i]] = value;
+    }
+    return message;
+}
+
+function checksum(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+        sum ^= body.charCodeAt(i);
+    }
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// Build a version 2 frame - used by the simulator and by anything replying to a board
+function encodeFrame(type, seq, fields = []) {
+    const body = [type, seq, ...fields].join(',');
+    return `$${body}*${checksum(body)}`;
+}
+
+function parseFrame(line) {
+    const star = line.lastIndexOf('*');
+    if (star === -1) {
+        return { type: 'malformed', reason: 'Frame has no checksum' };
+    }
+
+    const body = line.slice(1, star);
+    const expected = line.slice(star + 1).toUpperCase();
+    if (checksum(body) !== expected) {
+        return { type: 'malformed', reason: `Checksum mismatch (expected ${checksum(body)}, got ${expected})` };
+    }
+
+    const [frameType, seqText, ...fields] = body.split(',');
+    const seq = Number(seqText);
+    if (!Number.isInteger(seq) || seq < 0 || seq >= SEQUENCE_MODULO) {
+        return { type: 'malformed', reason: `Bad sequence number: ${seqText}` };
+    }
+
+    let message;
+    switch (frameType) {
+        case 'HELLO': {
+            const protocolVersion = Number(fields[0]);
+            const role = (fields[1] || '').toLowerCase();
+            if (!Number.isInteger(protocolVersion) || !['button', 'bike', 'buzzer'].includes(role)) {
+                return { type: 'malformed', reason: 'Bad HELLO frame' };
+            }
+            if (fields[2] && !/^\d+$/.test(fields[2])) {
+                return { type: 'malformed', reason: `Bad HELLO id: ${fields[2]}` };
+            }
+            message = {
+                type: 'hello',
+                protocolVersion,
+                role,
+                id: fields[2] ? Number(fields[2]) : null,
+                firmwareVersion: FIRMWARE_VERSION_PATTERN.test(fields[3] || '') ? fields[3] : null
+            };
+            break;
+        }
+        case 'BTN':
+            if (!/^\d+$/.test(fields[0] || '') || !BUTTON_ACTIONS[fields[1]]) {
+                return { type: 'malformed', reason: 'Bad BTN frame' };
+            }
+            message = { type: BUTTON_ACTIONS[fields[1]], button: Number(fields[0]) };
+            break;
+        case 'LED':
+            if (!/^\d+$/.test(fields[0] || '') || !['ON', 'OFF', 'TOGGLE'].includes(fields[1]) ||
+                (fields.length > 2 && (fields.length !== 4 || !fields.slice(2).every(field => /^\d+$/.test(field))))) {
+                return { type: 'malformed', reason: 'Bad LED frame' };
+            }
+            message = { type: 'led-confirmed', button: Number(fields[0]), state: fields[1] };
+            if (fields.length === 4) {
+                message.brightness = Number(fields[2]);
+                message.blink = Number(fields[3]);
+            }
+            break;
+        case 'BIKE':
+            if (fields.length < 3 || !fields.slice(0, 3).every(field => /^-?\d+$/.test(field))) {
+                return { type: 'malformed', reason: 'Bad BIKE frame' };
+            }
+            message = bikeRev(fields[0], fields[1], fields[2]);
+            break;
+        case 'WIRE':
+            if (!BUZZER_CONTACTS[fields[0]]) {
+                return { type: 'malformed', reason: 'Bad WIRE frame' };
+            }
+            message = { type: 'buzzer-contact', contact: BUZZER_CONTACTS[fields[0]] };
+            break;
+        case 'SENSOR':
+            message = sensorReading(fields[0], fields.slice(1));
+            if (message.type !== 'sensor') return message;
+            break;
+        default:
+            return { type: 'unknown', reason: `Unknown frame type: ${frameType}` };
+    }
+
+    if (message.type !== 'malformed') {
+        message.seq = seq;
+        message.fields = fields;
+    }
+    return message;
+}
+
+// Stateless parse of a single line. Always returns an object with a `type`.
+function parseLine(line) {
+    const raw = typeof line === 'string' ? line.trim() : '';
+    if (!raw) {
+        return { type: 'malformed', reason: 'Empty line', raw };
+    }
+
+    if (raw.startsWith('$')) {
+        return { version: 2, ...parseFrame(raw), raw };
+    }
+
+    for (const pattern of LEGACY_PATTERNS) {
+        const match = raw.match(pattern.regex);
+        if (match) {
+            return { version: 1, ...pattern.build(match), raw };
+        }
+    }
+
+    return { type: 'unknown', reason: 'Unrecognised line', raw };
+}
+
+// Per-board parser - also tracks sequence numbers to spot dropped or repeated frames
+class ProtocolParser {
+    constructor() {
+        this.lastSeq = null;
+        this.protocolVersion = null;
+        this.droppedFrames = 0;
+    }
+
+    parse(line) {
+        const message = parseLine(line);
+
+        if (message.type === 'unknown' || message.type === 'malformed') {
+            return message;
+        }
+
+        if (message.type === 'hello') {
+            this.protocolVersion = message.protocolVersion;
+            this.lastSeq = message.seq;
+            return message;
+        }
+
+        if (!this.protocolVersion) {
+            this.protocolVersion = message.version;
+        }
+
+        if (message.seq !== undefined) {
+            if (this.lastSeq !== null) {
+                const gap = (message.seq - this.lastSeq - 1 + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+                if (gap === SEQUENCE_MODULO - 1) {
+                    message.duplicate = true;
+                    return message;
+                }
+                if (gap > 0) {
+                    message.missed = gap;
+                    this.droppedFrames += gap;
+                }
+            }
+            this.lastSeq = message.seq;
+        }
+
+        return message;
+    }
+
+    reset() {
+        this.lastSeq = null;
+        this.protocolVersion = null;
+        this.droppedFrames = 0;
+    }
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    SENSOR_FIELDS,
+    SEQUENCE_MODULO,
+    ProtocolParser,
+    parseLine,
+    encodeFrame,
+    checksum
+};
@@ -0,0 +1,165 @@
+// serial-transport.js - Which serial ports the platform opens, and how it talks to them
+//
+// A transport file (transports/*.json, or serial-transport.json in the user data folder) looks like:
+//
+//   {
+//     "name": "microbit-and-pico",
+//     "description": "micro:bits plus Pico buttons",
+//     "baudRate": 115200,
+//     "delimiter": "\n",
+//     "devices": [
+//       { "name": "BBC micro:bit", "vendorId": "0d28", "productId": "0204" },
+//       { "name": "Raspberry Pi Pico", "vendorId": "2e8a" },
+//       { "name": "Arduino Uno", "vendorId": "2341", "productId": "0043", "baudRate": 9600 }
+//     ],
+//     "ignore": [
+//       { "path": "/dev/ttyACM0" },
+//       { "serialNumber": "E6614104030B2B2F" }
+//     ]
+//   }
+//
+// Only ports whose USB vendor ID (and product ID, if given) is in "devices" are opened.
+// An "ignore" entry drops every port that matches all of its fields, even an allowed one.
+// "baudRate" and "delimiter" apply to every board, unless its "devices" entry sets its own.
+// Any board speaking the line protocol in serial-protocol.js works - a micro:bit is just
+// the one the platform was built around.
+
+const fs = require('fs');
+
+const BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600];
+const DELIMITERS = ['\n', '\r\n', '\r'];
+
+const DEFAULT_TRANSPORT = {
+    name: 'microbit',
+    description: 'BBC micro:bits only (V1 and V2)',
+    baudRate: 115200,
+    delimiter: '\n',
+    devices: [
+        { name: 'BBC micro:bit', vendorId: '0d28', productId: '0204' }
+    ],
+    ignore: []
+};
+
+// "0x0D28", "0d28" and "D28" are all the same ID
+function normalizeId(id) {
+    if (id === undefined || id === null || id === '') return null;
+    const hex = String(id).toLowerCase().replace(/^0x/, '');
+    return /^[0-9a-f]{1,4}$/.test(hex) ? hex.padStart(4, '0') : null;
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+function checkLineSettings(settings, where) {
+    if (isSet(settings.baudRate) && !BAUD_RATES.includes(settings.baudRate)) {
+        throw new Error(`${where}: baudRate must be one of ${BAUD_RATES.join(', ')} (got ${settings.baudRate})`);
+    }
+    if (isSet(settings.delimiter) && !DELIMITERS.includes(settings.delimiter)) {
+        throw new Error(`${where}: delimiter must be "\\n", "\\r\\n" or "\\r"`);
+    }
+}
+
+// Check a transport and fill in the defaults - throws with a readable message if it can't be used
+function normalizeTransport(transport) {
+    if (!transport || !Array.isArray(transport.devices) || transport.devices.length === 0) {
+        throw new Error('Serial transport needs a non-empty "devices" array');
+    }
+    checkLineSettings(transport, 'Serial transport');
+
+    const devices = transport.devices.map((device, index) => {
+        const where = `Device ${index + 1}`;
+        const vendorId = normalizeId(device.vendorId);
+        if (!vendorId) {
+            throw new Error(`${where}: needs a USB "vendorId" like "0d28" (got ${device.vendorId})`);
+        }
+        const productId = normalizeId(device.productId);
+        if (isSet(device.productId) && !productId) {
+            throw new Error(`${where}: "productId" must be a USB product ID like "0204" (got ${device.productId})`);
+        }
+        checkLineSettings(device, where);
+
+        return {
+            name: device.name || `${vendorId}:${productId || '*'}`,
+            vendorId,
+            productId,
+            baudRate: device.baudRate || null,
+            delimiter: device.delimiter || null
+        };
+    });
+
+    const ignore = (transport.ignore || []).map((entry, index) => {
+        const rule = {
+            path: entry.path || null,
+            serialNumber: entry.serialNumber || null,
+            vendorId: normalizeId(entry.vendorId),
+            productId: normalizeId(entry.productId)
+        };
+        if (!rule.path && !rule.serialNumber && !rule.vendorId) {
+            throw new Error(`Ignore entry ${index + 1}: needs a "path", "serialNumber" or "vendorId"`);
+        }
+        return rule;
+    });
+
+    return {
+        name: transport.name || 'custom',
+        description: transport.description || '',
+        baudRate: transport.baudRate || DEFAULT_TRANSPORT.baudRate,
+        delimiter: transport.delimiter || DEFAULT_TRANSPORT.delimiter,
+        devices,
+        ignore
+    };
+}
+
+// Missing file means micro:bits only, at 115200 baud
+function loadTransport(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return normalizeTransport(DEFAULT_TRANSPORT);
+    }
+    return normalizeTransport(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function ignoreRuleMatches(rule, portInfo) {
+    return (!rule.path || rule.path === portInfo.path) &&
+        (!rule.serialNumber || rule.serialNumber === portInfo.serialNumber) &&
+        (!rule.vendorId || rule.vendorId === normalizeId(portInfo.vendorId)) &&
+        (!rule.productId || rule.productId === normalizeId(portInfo.productId));
+}
+
+// { allowed, device, reason } for a port from SerialPort.list()
+function matchPort(transport, portInfo) {
+    if (transport.ignore.some(rule => ignoreRuleMatches(rule, portInfo))) {
+        return { allowed: false, device: null, reason: 'on the ignore list' };
+    }
+
+    const vendorId = normalizeId(portInfo.vendorId);
+    const productId = normalizeId(portInfo.productId);
+    if (!vendorId) {
+        return { allowed: false, device: null, reason: 'no USB vendor ID' };
+    }
+
+    const device = transport.devices.find(candidate =>
+        candidate.vendorId === vendorId && (!candidate.productId || candidate.productId === productId));
+    if (!device) {
+        return { allowed: false, device: null, reason: `${vendorId}:${productId || '????'} is not in the transport's devices` };
+    }
+
+    return { allowed: true, device, reason: null };
+}
+
+// Baud rate and delimiter for one port - its device entry wins over the transport's own
+function lineSettings(transport, device) {
+    return {
+        baudRate: (device && device.baudRate) || transport.baudRate,
+        delimiter: (device && device.delimiter) || transport.delimiter
+    };
+}
+
+module.exports = {
+    BAUD_RATES,
+    DEFAULT_TRANSPORT,
+    normalizeTransport,
+    loadTransport,
+    matchPort,
+    lineSettings
+};
@@ -1,7 +1,11 @@
 // test-serial-ports.js - Run this to see what ports are available
-// Save this file and run: node test-serial-ports.js
+// Save this file and run: node test-serial-ports.js [transport.json]
+// Ports are checked against the same transport rules the platform uses (see serial-transport.js)
 
 const { SerialPort } = require('serialport');
+const { loadTransport, matchPort } = require('./serial-transport');
+
+const transport = loadTransport(process.argv[2] || null);
 
 async function listAllPorts() {
     try {
@@ -15,7 +19,7 @@ async function listAllPorts() {
             return;
         }
         
-        console.log(`📋 Found ${ports.length} serial ports:\n`);
+        console.log(`📋 Found ${ports.length} serial ports (transport: ${transport.name}):\n`);
         
         ports.forEach((port, index) => {
             console.log(`${index + 1}. ${port.path}`);
@@ -24,37 +28,20 @@ async function listAllPorts() {
             console.log(`   Product ID: ${port.productId || 'N/A'}`);
             console.log(`   Serial Number: ${port.serialNumber || 'N/A'}`);
             
-            // Check if it looks like a Microbit
-            const manufacturer = (port.manufacturer || '').toLowerCase();
-            const vendorId = port.vendorId || '';
-            const productId = port.productId || '';
+            // Would the platform open it?
+            const match = matchPort(transport, port);
             
-            const isMicrobit = 
-                manufacturer.includes('arm') || 
-                manufacturer.includes('mbed') ||
-                vendorId === '0d28' || 
-                productId === '0204';
-                
-            if (isMicrobit) {
-                console.log('   ✅ LOOKS LIKE A MICROBIT!');
-            } else if (port.path.toLowerCase().includes('com')) {
-                console.log('   🤔 COM port - might be a Microbit');
+            if (match.allowed) {
+                console.log(`   ✅ WILL BE OPENED AS ${match.device.name.toUpperCase()}`);
+            } else {
+                console.log(`   ⏭️ Skipped - ${match.reason}`);
             }
             
             console.log('   ---\n');
         });
         
-        // Show potential Microbits
-        const microbitPorts = ports.filter(port => {
-            const manufacturer = (port.manufacturer || '').toLowerCase();
-            const vendorId = port.vendorId || '';
-            const productId = port.productId || '';
-            
-            return manufacturer.includes('arm') || 
-                   manufacturer.includes('mbed') ||
-                   vendorId === '0d28' || 
-                   productId === '0204';
-        });
+        // Show the boards the platform will use
+        const microbitPorts = ports.filter(port => matchPort(transport, port).allowed);
         
         if (microbitPorts.length > 0) {
             console.log(`🎮 Detected ${microbitPorts.length} potential Microbits:`);
@@ -62,7 +49,7 @@ async function listAllPorts() {
                 console.log(`   - ${port.path}`);
             });
         } else {
-            console.log('⚠️  No obvious Microbits detected by vendor/product ID');
+            console.log('⚠️  No port matches the transport\'s vendor/product IDs');
             
             // Show all COM ports as fallback
             const comPorts = ports.filter(port => 
@@ -89,7 +76,7 @@ async function testPort(portPath) {
     try {
         const port = new SerialPort({
             path: portPath,
-            baudRate: 115200,
+            baudRate: transport.baudRate,
             autoOpen: false
         });
         
@@ -117,7 +104,7 @@ async function testPort(portPath) {
 
 // Main execution
 listAllPorts().then(() => {
-    console.log('\n💡 If you see COM ports above, try updating the detection in your controller!');
+    console.log('\n💡 If a board you want is skipped, add its vendor/product ID to a transport file (see transports/)');
     console.log('💡 On Windows, Microbits usually appear as COM3, COM4, etc.');
     console.log('💡 Check Device Manager > Ports (COM & LPT) to see active ports');
 });
\ No newline at end of file
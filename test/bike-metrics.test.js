@@ -0,0 +1,131 @@
+// bike-metrics.test.js - Distance, speed, power and calories from a bike's calibration,
+// and that a calibration follows the board across a reconnect
+//
+// Run with npm test (node --test).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BikeMetrics, normalizeCalibration, estimatePower } = require('../bike-metrics');
+const FourMicrobitController = require('../microbit-controller');
+const { MicrobitSimulator } = require('../microbit-simulator');
+
+const reading = (revolutions, rpm) => ({ revolutions, rpm, cadence: rpm });
+
+async function waitFor(condition, timeout = 8000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('formulas', () => {
+    it('covers wheel circumference x gear ratio a crank turn', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2, gearRatio: 1 });
+        metrics.update(reading(0, 0), 0);
+        assert.equal(metrics.update(reading(10, 60), 1000).distance, 20);
+
+        const geared = new BikeMetrics({ wheelCircumference: 2.1, gearRatio: 2.5 });
+        geared.update(reading(0, 0), 0);
+        assert.equal(geared.update(reading(4, 60), 1000).distance, 21);
+    });
+
+    it('counts crank turns, not magnet pulses', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2, gearRatio: 1, magnetsPerRevolution: 2 });
+        metrics.update(reading(0, 0), 0);
+        const result = metrics.update(reading(20, 120), 1000);
+        assert.equal(result.revolutions, 10);
+        assert.equal(result.rpm, 60);
+        assert.equal(result.distance, 20);
+    });
+
+    it('gives speed in km/h and power on the flat', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2, gearRatio: 1, riderWeight: 50 });
+        const result = metrics.update(reading(1, 60), 0);
+        assert.equal(result.speed, 7.2);
+        // 0.005 x 62 kg x 9.81 x 2 m/s rolling + 0.5 x 1.225 x 0.5 x 2^3 drag
+        assert.ok(Math.abs(estimatePower(2, 50) - 8.5322) < 0.001);
+        assert.equal(result.power, 9);
+        assert.equal(metrics.update(reading(1, 0), 1000).power, 0);
+    });
+
+    it('turns work at the pedals into calories at 24% efficiency', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2, gearRatio: 1, riderWeight: 50 });
+        let result;
+        const start = Date.UTC(2024, 4, 14);
+        for (let second = 0; second <= 3600; second += 5) {
+            result = metrics.update(reading(second, 60), start + second * 1000);
+        }
+        // 8.5322 W for an hour / 0.24 / 4184 J per kcal
+        assert.equal(result.calories, 30.6);
+    });
+
+    it('leaves long gaps between updates out of the calories', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2, gearRatio: 1 });
+        const start = Date.UTC(2024, 4, 14);
+        metrics.update(reading(1, 60), start);
+        assert.equal(metrics.update(reading(2, 60), start + 60000).calories, 0);
+    });
+});
+
+describe('calibration', () => {
+    it('fills in the defaults', () => {
+        assert.deepEqual(normalizeCalibration({ riderWeight: '40' }),
+            { wheelCircumference: 2.1, gearRatio: 2.5, magnetsPerRevolution: 1, riderWeight: 40 });
+    });
+
+    it('refuses values it cannot use', () => {
+        [{ wheelCircumference: 0 }, { wheelCircumference: 'big' }, { gearRatio: 7 },
+            { magnetsPerRevolution: 1.5 }, { riderWeight: -5 }].forEach(calibration => {
+            assert.throws(() => normalizeCalibration(calibration), undefined, JSON.stringify(calibration));
+        });
+    });
+
+    it('keeps the old calibration when a new one is refused', () => {
+        const metrics = new BikeMetrics({ wheelCircumference: 2 });
+        assert.throws(() => metrics.configure({ gearRatio: 0 }));
+        assert.equal(metrics.calibration.wheelCircumference, 2);
+        assert.equal(metrics.calibration.gearRatio, 2.5);
+    });
+});
+
+describe('setBikeCalibration', () => {
+    it('refuses bad settings and keeps a good one across a reconnect and a restart', async () => {
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'bike-metrics-'));
+        const registryFile = path.join(folder, 'devices.json');
+        const simulator = new MicrobitSimulator({ devices: [{ path: '/dev/sim-bike', serialNumber: 'SIM0201', role: 'bike' }] });
+        let controller = new FourMicrobitController({ SerialPort: simulator.SerialPort, registryFile });
+
+        try {
+            await waitFor(() => controller.bikes.size === 1);
+            const [bikeId] = controller.bikes.keys();
+
+            [{ decayInterval: 0 }, { smoothing: 'x' }, { wheels: 2 }, { wheelCircumference: 2, maxRpm: 5000 }].forEach(calibration => {
+                assert.equal(controller.setBikeCalibration(bikeId, calibration).success, false, JSON.stringify(calibration));
+            });
+            assert.equal(controller.getBikeCalibration(bikeId).wheelCircumference, 2.1);
+
+            assert.equal(controller.setBikeCalibration(bikeId, { wheelCircumference: 1.8, maxRpm: 180 }).success, true);
+
+            simulator.unplug('/dev/sim-bike');
+            await waitFor(() => !controller.connections.has('/dev/sim-bike'));
+            simulator.plug('/dev/sim-bike');
+            await waitFor(() => controller.connections.has('/dev/sim-bike') && controller.bikes.size === 1);
+            assert.equal(controller.getBikeCalibration(bikeId).wheelCircumference, 1.8);
+
+            controller.disconnect();
+            controller = new FourMicrobitController({ SerialPort: simulator.SerialPort, registryFile });
+            await waitFor(() => controller.bikes.size === 1);
+            const [restartedId] = controller.bikes.keys();
+            assert.equal(controller.getBikeCalibration(restartedId).wheelCircumference, 1.8);
+            assert.equal(controller.getBikeCalibration(restartedId).maxRpm, 180);
+        } finally {
+            controller.disconnect();
+            simulator.stop();
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,123 @@
+// bike-signal.test.js - BIKE_REV sequences through the signal processor: bounces, spikes,
+// dropouts and stopping, and the rpm that comes out
+//
+// Run with npm test (node --test).
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLine } = require('../serial-protocol');
+const { BikeSignalProcessor } = require('../bike-signal');
+
+// Feed BIKE_REV lines as the board would send them: [revolutions, board time in ms].
+// Our clock runs in step with the board's. Returns the last reading.
+function feed(signal, revolutions) {
+    let result;
+    revolutions.forEach(([count, time]) => {
+        const sample = parseLine(`BIKE_REV:${count}:0:${time}`);
+        result = signal.addSample(sample, time);
+    });
+    return result;
+}
+
+// One revolution a second, counting up from `from` at board time `start`
+const steady = (from, to, start = 0, interval = 1000) =>
+    Array.from({ length: to - from + 1 }, (_, i) => [from + i, start + i * interval]);
+
+describe('BikeSignalProcessor', () => {
+    let decays;
+    let signal;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setInterval'] });
+        decays = [];
+        signal = new BikeSignalProcessor(reading => decays.push(reading));
+    });
+
+    afterEach(() => {
+        signal.stopDecay();
+        mock.timers.reset();
+    });
+
+    it('settles on the cadence of steady pedalling', () => {
+        const reading = feed(signal, steady(1, 6));
+        assert.equal(reading.event, 'revolution');
+        assert.equal(reading.rpm, 60);
+        assert.equal(reading.revolutions, 6);
+        assert.equal(reading.quality.status, 'good');
+    });
+
+    it('smooths a change of pace', () => {
+        feed(signal, steady(1, 4));
+        // 750 ms a revolution is 80 rpm: 60 + 0.35 x 20
+        assert.equal(feed(signal, [[5, 3750]]).rpm, 67);
+    });
+
+    it('drops a magnet bounce and keeps timing from the real revolution', () => {
+        feed(signal, steady(1, 3));
+        const bounce = feed(signal, [[4, 2050]]);
+        assert.equal(bounce.event, 'bounce');
+        assert.equal(bounce.revolutions, 3);
+        assert.equal(bounce.rpm, 60);
+
+        const next = feed(signal, [[5, 3000]]);
+        assert.equal(next.event, 'revolution');
+        assert.equal(next.cadence, 60);
+        assert.equal(next.revolutions, 4);
+        assert.equal(signal.getQuality().bounces, 1);
+    });
+
+    it('counts a cadence spike but leaves it out of the rpm', () => {
+        feed(signal, steady(1, 5));
+        // 300 ms is 200 rpm - under maxRpm, but far above the recent median of 60
+        const spike = feed(signal, [[6, 4300]]);
+        assert.equal(spike.event, 'outlier');
+        assert.equal(spike.rpm, 60);
+        assert.equal(spike.revolutions, 6);
+        assert.equal(signal.getQuality().outliers, 1);
+    });
+
+    it('marks several revolutions in one report as a dropout', () => {
+        feed(signal, steady(1, 4));
+        const jump = feed(signal, [[7, 6000]]);
+        assert.equal(jump.revolutions, 7);
+        assert.equal(jump.cadence, 60);
+        assert.equal(signal.getQuality().dropouts, 1);
+    });
+
+    it('lets the rpm fall away after the last revolution, then reach 0', () => {
+        feed(signal, steady(1, 5));
+        assert.equal(signal.rpm, 60);
+
+        signal.decay(4000 + 999);
+        assert.equal(signal.rpm, 60);           // not overdue yet
+        signal.decay(4000 + 1500);
+        assert.equal(Math.round(signal.rpm), 40);
+        signal.decay(4000 + 2000);
+        assert.equal(Math.round(signal.rpm), 30);
+        signal.decay(4000 + 3000);
+        assert.equal(signal.rpm, 0);
+
+        assert.deepEqual(decays.map(reading => reading.rpm), [40, 30, 0]);
+        assert.ok(decays.every(reading => reading.event === 'decay'));
+        assert.equal(signal.decayTimer, null);
+    });
+
+    it('starts counting again after the board resets its counter', () => {
+        feed(signal, steady(10, 13));
+        const reset = feed(signal, [[1, 4000]]);
+        assert.equal(reset.event, 'start');
+        assert.equal(reset.revolutions, 5);
+        assert.equal(feed(signal, [[2, 5000]]).revolutions, 6);
+    });
+
+    it('adds what the board counted while the link was down', () => {
+        feed(signal, steady(1, 3));
+        signal.stop();
+        assert.equal(signal.getQuality().status, 'no-signal');
+        assert.equal(signal.rpm, 0);
+
+        const resumed = feed(signal, [[8, 20000]]);
+        assert.equal(resumed.event, 'start');
+        assert.equal(resumed.revolutions, 8);
+    });
+});
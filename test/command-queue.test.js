@@ -0,0 +1,144 @@
+// command-queue.test.js - Acks, timeouts, retries and ordering, on fake timers
+//
+// Run with npm test (node --test).
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CommandQueue = require('../command-queue');
+
+const ledConfirmed = (state) => (message) => message.type === 'led-confirmed' && message.state === state;
+
+// A queue whose port writes into `sent` - write() returns false once `connected` is cleared
+function queueFor(sent, options = { timeout: 300, retries: 2 }) {
+    const port = { connected: true };
+    const queue = new CommandQueue(command => {
+        if (!port.connected) return false;
+        sent.push(command);
+        return true;
+    }, options);
+    return { queue, port };
+}
+
+// Let a resolved promise's callbacks run before checking on it
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('CommandQueue', () => {
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('resolves true when the reply comes in, with its latency', async () => {
+        const sent = [];
+        const { queue } = queueFor(sent);
+        const result = queue.enqueue('LED_ON', ledConfirmed('ON'));
+
+        mock.timers.tick(40);
+        assert.equal(queue.handleMessage({ type: 'led-confirmed', state: 'OFF' }), false);
+        assert.equal(queue.handleMessage({ type: 'led-confirmed', state: 'ON' }), true);
+
+        assert.equal(await result, true);
+        assert.deepEqual(sent, ['LED_ON']);
+        assert.equal(queue.getStats().acknowledged, 1);
+        assert.equal(queue.getStats().lastLatency, 40);
+    });
+
+    it('resolves a command without a matcher as soon as it is written', async () => {
+        const { queue } = queueFor([]);
+        assert.equal(await queue.enqueue('IDENTIFY'), true);
+    });
+
+    it('retries twice on timeout, then resolves false', async () => {
+        const sent = [];
+        const { queue } = queueFor(sent);
+        let result = null;
+        queue.enqueue('LED_ON', ledConfirmed('ON')).then(value => { result = value; });
+
+        mock.timers.tick(299);
+        assert.deepEqual(sent, ['LED_ON']);
+        mock.timers.tick(1);
+        assert.deepEqual(sent, ['LED_ON', 'LED_ON']);
+        mock.timers.tick(300);
+        assert.deepEqual(sent, ['LED_ON', 'LED_ON', 'LED_ON']);
+        await settle();
+        assert.equal(result, null);
+
+        mock.timers.tick(300);
+        await settle();
+        assert.equal(result, false);
+        assert.equal(sent.length, 3);
+        assert.equal(queue.getStats().retries, 2);
+        assert.equal(queue.getStats().failures, 1);
+    });
+
+    it('takes a late reply to a retried command', async () => {
+        const sent = [];
+        const { queue } = queueFor(sent);
+        const result = queue.enqueue('LED_OFF', ledConfirmed('OFF'));
+
+        mock.timers.tick(300);
+        queue.handleMessage({ type: 'led-confirmed', state: 'OFF' });
+        assert.equal(await result, true);
+        assert.deepEqual(sent, ['LED_OFF', 'LED_OFF']);
+    });
+
+    it('resolves false at once when the port is gone', async () => {
+        const sent = [];
+        const { queue, port } = queueFor(sent);
+        port.connected = false;
+        assert.equal(await queue.enqueue('LED_ON', ledConfirmed('ON')), false);
+        assert.equal(queue.getStats().failures, 1);
+    });
+
+    it('sends a port\'s commands one at a time, in order', async () => {
+        const sent = [];
+        const { queue } = queueFor(sent);
+        const first = queue.enqueue('LED_ON', ledConfirmed('ON'));
+        const second = queue.enqueue('LED_OFF', ledConfirmed('OFF'));
+        const third = queue.enqueue('LED_ON', ledConfirmed('ON'));
+
+        assert.deepEqual(sent, ['LED_ON']);
+        assert.equal(queue.getStats().queued, 3);
+
+        queue.handleMessage({ type: 'led-confirmed', state: 'ON' });
+        assert.deepEqual(sent, ['LED_ON', 'LED_OFF']);
+        queue.handleMessage({ type: 'led-confirmed', state: 'OFF' });
+        queue.handleMessage({ type: 'led-confirmed', state: 'ON' });
+
+        assert.deepEqual(await Promise.all([first, second, third]), [true, true, true]);
+        assert.deepEqual(sent, ['LED_ON', 'LED_OFF', 'LED_ON']);
+    });
+
+    it('does not hold one port up waiting on another', async () => {
+        const sentA = [];
+        const sentB = [];
+        const { queue: a } = queueFor(sentA);
+        const { queue: b } = queueFor(sentB);
+
+        const slow = a.enqueue('LED_ON', ledConfirmed('ON'));
+        a.enqueue('LED_OFF', ledConfirmed('OFF'));
+        const quick = b.enqueue('LED_ON', ledConfirmed('ON'));
+
+        assert.deepEqual(sentB, ['LED_ON']);
+        b.handleMessage({ type: 'led-confirmed', state: 'ON' });
+        assert.equal(await quick, true);
+        assert.deepEqual(sentA, ['LED_ON']);
+
+        a.clear();
+        assert.equal(await slow, false);
+    });
+
+    it('gives up on everything queued when cleared', async () => {
+        const { queue } = queueFor([]);
+        const results = [queue.enqueue('LED_ON', ledConfirmed('ON')), queue.enqueue('LED_OFF', ledConfirmed('OFF'))];
+        queue.clear();
+        assert.deepEqual(await Promise.all(results), [false, false]);
+        assert.equal(queue.getStats().queued, 0);
+    });
+});
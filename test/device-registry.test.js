@@ -0,0 +1,82 @@
+// device-registry.test.js - Roles and calibrations kept by serial number, and that a
+// change which can't be written leaves the registry as it was
+//
+// Run with npm test (node --test).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeviceRegistry = require('../device-registry');
+
+// A registry whose file has turned into a folder - every write fails from then on
+function unwritableRegistry() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'device-registry-'));
+    const filePath = path.join(folder, 'devices.json');
+    const registry = new DeviceRegistry(filePath);
+    assert.equal(registry.assign('AAA', 'bike', 1).success, true);
+    assert.equal(registry.setCalibration('AAA', { magnetsPerRevolution: 2 }).success, true);
+    fs.rmSync(filePath);
+    fs.mkdirSync(filePath);
+    return { registry, filePath, cleanup: () => fs.rmSync(folder, { recursive: true, force: true }) };
+}
+
+describe('saving', () => {
+    it('writes every change and reads it back', () => {
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'device-registry-'));
+        const filePath = path.join(folder, 'devices.json');
+        try {
+            const registry = new DeviceRegistry(filePath);
+            registry.assign('AAA', 'button', 3);
+            registry.assign('BBB', 'bike', 2);
+            registry.setCalibration('BBB', { wheelCircumference: 2.1 });
+            registry.remove('AAA');
+
+            const reloaded = new DeviceRegistry(filePath);
+            assert.equal(reloaded.get('AAA'), null);
+            assert.equal(reloaded.get('BBB').bikeId, 2);
+            assert.deepEqual(reloaded.get('BBB').calibration, { wheelCircumference: 2.1 });
+        } finally {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps the old assignment when the new one cannot be saved', () => {
+        const { registry, cleanup } = unwritableRegistry();
+        try {
+            const result = registry.assign('AAA', 'button', 4);
+            assert.equal(result.success, false);
+            assert.match(result.error, /Could not save/);
+            assert.equal(registry.get('AAA').role, 'bike');
+            assert.equal(registry.findByButton(4), null);
+
+            assert.equal(registry.assignButtons([{ serialNumber: 'CCC', buttonNumber: 1 }]).success, false);
+            assert.equal(registry.get('CCC'), null);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('keeps the old calibration when the new one cannot be saved', () => {
+        const { registry, cleanup } = unwritableRegistry();
+        try {
+            const before = registry.get('AAA');
+            assert.equal(registry.setCalibration('AAA', { magnetsPerRevolution: 4 }).success, false);
+            assert.equal(registry.get('AAA'), before);
+            assert.deepEqual(registry.get('AAA').calibration, { magnetsPerRevolution: 2 });
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('still knows a device it could not forget on disk', () => {
+        const { registry, cleanup } = unwritableRegistry();
+        try {
+            assert.equal(registry.remove('AAA'), false);
+            assert.equal(registry.get('AAA').bikeId, 1);
+        } finally {
+            cleanup();
+        }
+    });
+});
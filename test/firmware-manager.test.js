@@ -0,0 +1,156 @@
+// firmware-manager.test.js - The bundled firmware: manifest, Intel HEX checks and flashing
+// onto a stand-in MICROBIT drive
+//
+// Run with npm test (node --test).
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FirmwareManager, compareVersions, validateHex, parseDetails } = require('../firmware-manager');
+
+const FIRMWARE_DIR = path.join(__dirname, '..', 'firmware');
+
+// One data byte at 0x0000, then end of file
+const GOOD_HEX = ':0100000000FF\n:00000001FF\n';
+
+describe('validateHex', () => {
+    it('counts the records of a complete file', () => {
+        assert.equal(validateHex(GOOD_HEX), 2);
+        assert.equal(validateHex(GOOD_HEX.replace(/\n/g, '\r\n')), 2);
+    });
+
+    it('refuses files that are not complete Intel HEX', () => {
+        const bad = {
+            'The file is empty': '\n',
+            'Line 1 is not an Intel HEX record': 'hello\n:00000001FF',
+            'Line 1 fails its checksum': ':0100000000FE\n:00000001FF',
+            'Line 1 has the wrong length': ':0200000000FE\n:00000001FF',
+            'Line 1 has an unknown record type 7': ':00000007F9\n:00000001FF',
+            'The file has no end-of-file record': ':0100000000FF'
+        };
+        Object.entries(bad).forEach(([message, text]) => {
+            assert.throws(() => validateHex(text), { message: new RegExp(`^${message}`) });
+        });
+    });
+});
+
+describe('the bundled firmware', () => {
+    beforeEach(() => mock.method(console, 'log', () => {}));
+    afterEach(() => mock.restoreAll());
+
+    it('lists only complete entries, each with a valid .hex beside the manifest', () => {
+        const data = JSON.parse(fs.readFileSync(path.join(FIRMWARE_DIR, 'manifest.json'), 'utf8'));
+        assert.ok(Array.isArray(data.firmware));
+
+        const manager = new FirmwareManager(FIRMWARE_DIR);
+        assert.equal(manager.manifest.length, data.firmware.length, 'an entry with no role, version or file was skipped');
+
+        manager.list().forEach(entry => {
+            assert.ok(entry.available, `${entry.file} is listed but missing`);
+            assert.doesNotThrow(() => validateHex(fs.readFileSync(path.join(FIRMWARE_DIR, entry.file), 'ascii')), entry.file);
+        });
+    });
+});
+
+describe('FirmwareManager', () => {
+    let folder;
+    let drive;
+    let manager;
+
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'firmware-'));
+    });
+
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    // A bundle of { file: contents } and its manifest entries, plus a MICROBIT drive to flash
+    function setUp(entries, files) {
+        const directory = fs.mkdtempSync(path.join(folder, 'bundle-'));
+        fs.writeFileSync(path.join(directory, 'manifest.json'), JSON.stringify({ firmware: entries }));
+        Object.entries(files).forEach(([file, text]) => fs.writeFileSync(path.join(directory, file), text));
+
+        drive = fs.mkdtempSync(path.join(folder, 'MICROBIT-'));
+        fs.writeFileSync(path.join(drive, 'DETAILS.TXT'), 'Unique ID: 9904000012345678\r\nInterface Version: 0255\r\n');
+
+        manager = new FirmwareManager(directory, { pollInterval: 10, remountTimeout: 1000 });
+        manager.candidateMounts = () => [drive, path.join(folder, 'not-a-drive')];
+        return directory;
+    }
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('skips manifest entries without a role, version or file', () => {
+        setUp([
+            { role: 'button', version: '2.1.0', file: 'button.hex' },
+            { role: 'bike', version: 'latest', file: 'bike.hex' },
+            { version: '1.0.0', file: 'x.hex' }
+        ], { 'button.hex': GOOD_HEX });
+        assert.deepEqual(manager.manifest.map(entry => entry.role), ['button']);
+    });
+
+    it('checks a board against the newest bundled version for its role', () => {
+        setUp([
+            { role: 'button', version: '2.0.0', file: 'old.hex' },
+            { role: 'button', version: '2.1', file: 'button.hex' }
+        ], { 'button.hex': GOOD_HEX });
+
+        assert.equal(manager.check('button', '2.0.9').status, 'outdated');
+        assert.equal(manager.check('button', '2.1.0').status, 'current');
+        assert.equal(manager.check('button', 'dev').status, 'unknown');
+        assert.equal(manager.check('bike', '1.0.0').status, 'no-bundle');
+        assert.deepEqual(manager.list().map(entry => entry.available), [false, true]);
+        assert.equal(compareVersions('2.10', '2.9.9'), 1);
+    });
+
+    it('finds MICROBIT drives by their DETAILS.TXT', () => {
+        setUp([], {});
+        assert.deepEqual(manager.findDrives(), [{ path: drive, uniqueId: '9904000012345678', interfaceVersion: '0255' }]);
+        assert.deepEqual(parseDetails('Version: 0234'), { uniqueId: null, interfaceVersion: '0234' });
+    });
+
+    it('refuses to flash with nothing bundled, to a drive it did not find, or a bad file', async () => {
+        setUp([
+            { role: 'button', version: '2.1.0', file: 'button.hex' },
+            { role: 'bike', version: '2.1.0', file: 'bike.hex' }
+        ], { 'button.hex': GOOD_HEX, 'bike.hex': ':0100000000FE\n:00000001FF\n' });
+
+        await assert.rejects(manager.flash('buzzer', drive), /Flashing is off/);
+        await assert.rejects(manager.flash('button', folder), /is not a MICROBIT drive/);
+        await assert.rejects(manager.flash('bike', drive), /fails its checksum/);
+        assert.deepEqual(fs.readdirSync(drive), ['DETAILS.TXT']);
+    });
+
+    it('copies the file and waits for the board to take it', async () => {
+        setUp([{ role: 'button', version: '2.1.0', file: 'button.hex' }], { 'button.hex': GOOD_HEX });
+
+        const stages = [];
+        const result = await manager.flash('button', drive, progress => {
+            stages.push(progress.stage);
+            // The board programs itself and remounts without the file
+            if (progress.stage === 'verifying') fs.rmSync(path.join(drive, 'button.hex'));
+        });
+
+        assert.deepEqual(result, { role: 'button', version: '2.1.0', file: 'button.hex', drive });
+        assert.deepEqual(stages, ['checking', 'copying', 'verifying', 'done']);
+    });
+
+    it('reports why the board rejected the file', async () => {
+        setUp([{ role: 'button', version: '2.1.0', file: 'button.hex' }], { 'button.hex': GOOD_HEX });
+
+        await assert.rejects(manager.flash('button', drive, progress => {
+            if (progress.stage === 'verifying') {
+                fs.rmSync(path.join(drive, 'button.hex'));
+                fs.writeFileSync(path.join(drive, 'FAIL.TXT'), 'The hex file cannot be decoded.');
+            }
+        }), /rejected the firmware: The hex file cannot be decoded/);
+    });
+});
@@ -0,0 +1,150 @@
+// hardware-bridge.test.js - The renderer's only way in: requests and topics are checked
+// before anything reaches the controller
+//
+// Run with npm test (node --test).
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const HardwareBridge = require('../hardware-bridge');
+const { REQUESTS, TOPICS } = require('../hardware-api');
+
+// Stands in for the controller - every method it is given is a mock, so calls can be counted
+function fakeController(methods = {}) {
+    const controller = new EventEmitter();
+    Object.entries(methods).forEach(([name, implementation]) => {
+        controller[name] = mock.fn(implementation);
+    });
+    return controller;
+}
+
+// What main.js hands bridge.listen(), and the window on the other end
+function fakeIpcMain() {
+    const handlers = {};
+    const register = (channel, handler) => { handlers[channel] = handler; };
+    return { handlers, on: register, handle: register };
+}
+
+function fakeWebContents() {
+    const webContents = new EventEmitter();
+    webContents.sent = [];
+    webContents.send = (channel, topic, data) => webContents.sent.push({ channel, topic, data });
+    webContents.isDestroyed = () => false;
+    return webContents;
+}
+
+describe('HardwareBridge', () => {
+    let bridge;
+    let controller;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        bridge = new HardwareBridge(REQUESTS, TOPICS);
+        controller = fakeController({
+            setLED: () => true,
+            flashLED: () => undefined,
+            setBikeCalibration: () => ({ success: true }),
+            setSensorRate: () => { throw new Error('No Microbit connected to stream from'); },
+            connectedBikes: () => [1]
+        });
+        bridge.attach(controller);
+    });
+
+    describe('requests', () => {
+        it('calls the controller with checked arguments and shapes the reply', async () => {
+            assert.deepEqual(await bridge.request('leds.set', [2, true]), { success: true });
+            assert.deepEqual(controller.setLED.mock.calls[0].arguments, [2, true]);
+
+            assert.deepEqual(await bridge.request('leds.flash', [1, null]), { success: true });
+            assert.deepEqual(controller.flashLED.mock.calls[0].arguments, [1, undefined, undefined]);
+        });
+
+        it('refuses an argument of the wrong type', async () => {
+            for (const args of [['2', true], [2, 'yes'], [1.5, true], [2, true, 'extra']]) {
+                const reply = await bridge.request('leds.set', args);
+                assert.equal(reply.success, false);
+                assert.equal(reply.code, 'invalid-argument', JSON.stringify(args));
+            }
+            assert.equal((await bridge.request('bikes.setCalibration', [1, [2.1]])).code, 'invalid-argument');
+            assert.equal((await bridge.request('leds.set', { 0: 2, 1: true })).code, 'invalid-argument');
+            assert.equal(controller.setLED.mock.callCount(), 0);
+            assert.equal(controller.setBikeCalibration.mock.callCount(), 0);
+        });
+
+        it('refuses a missing required argument', async () => {
+            const reply = await bridge.request('leds.set', [2]);
+            assert.equal(reply.code, 'invalid-argument');
+            assert.match(reply.error, /state is required/);
+            assert.equal(controller.setLED.mock.callCount(), 0);
+        });
+
+        it('refuses a request it does not know', async () => {
+            for (const name of ['leds.explode', 'setLED', 'constructor', '__proto__', 'leds.set.extra']) {
+                const reply = await bridge.request(name, [2, true]);
+                assert.deepEqual(reply, { success: false, code: 'unknown-request', error: `Unknown request: ${name}` });
+            }
+            assert.equal(controller.setLED.mock.callCount(), 0);
+        });
+
+        it('answers unavailable without a controller, and failed when the controller throws', async () => {
+            assert.equal((await bridge.request('sensors.setRate', ['TILT', 10])).code, 'failed');
+
+            bridge.detach();
+            assert.equal((await bridge.request('leds.set', [2, true])).code, 'unavailable');
+            assert.equal(controller.setLED.mock.callCount(), 0);
+        });
+
+        it('takes requests over the arcade:request channel', async () => {
+            const ipcMain = fakeIpcMain();
+            bridge.listen(ipcMain);
+            const event = { sender: fakeWebContents() };
+
+            assert.equal((await ipcMain.handlers['arcade:request'](event, 'leds.set', [3, false])).success, true);
+            assert.equal((await ipcMain.handlers['arcade:request'](event, 'leds.set', [3, 0])).code, 'invalid-argument');
+            assert.equal((await ipcMain.handlers['arcade:request'](event, 'files.delete', ['/'])).code, 'unknown-request');
+            assert.equal(controller.setLED.mock.callCount(), 1);
+        });
+    });
+
+    describe('topics', () => {
+        it('only sends a window the topics it subscribed to', () => {
+            const ipcMain = fakeIpcMain();
+            bridge.listen(ipcMain);
+            const webContents = fakeWebContents();
+            ipcMain.handlers['arcade:subscribe']({ sender: webContents }, 'bikes.status');
+
+            controller.emit('button-press', { button: 1, color: 'green' });
+            controller.emit('bike-sensor-ready', { port: '/dev/sim-bike', bikeId: 1, message: 'Bike 1 ready' });
+
+            assert.deepEqual(webContents.sent, [{
+                channel: 'arcade:event',
+                topic: 'bikes.status',
+                data: { status: 'connected', message: 'Bike 1 ready', port: '/dev/sim-bike', bikeId: 1, bikeCount: 1 }
+            }]);
+        });
+
+        it('ignores a subscription to a topic it does not know', () => {
+            const webContents = fakeWebContents();
+            assert.equal(bridge.subscribe(webContents, 'bikes.secrets'), false);
+            assert.equal(bridge.subscribe(webContents, 'constructor'), false);
+            assert.equal(bridge.subscribers.has(webContents), false);
+
+            bridge.publish('bikes.secrets', { leaked: true });
+            controller.emit('bike-data', { bikeId: 1 });
+            assert.deepEqual(webContents.sent, []);
+        });
+
+        it('stops sending once the window unsubscribes or is gone', () => {
+            const webContents = fakeWebContents();
+            bridge.subscribe(webContents, 'buttons.press');
+            bridge.unsubscribe(webContents, 'buttons.press');
+            controller.emit('button-press', { button: 1 });
+
+            bridge.subscribe(webContents, 'buttons.release');
+            webContents.emit('destroyed');
+            controller.emit('button-release', { button: 1 });
+            assert.deepEqual(webContents.sent, []);
+        });
+    });
+});
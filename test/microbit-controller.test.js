@@ -0,0 +1,30 @@
+// microbit-controller.test.js - The controller against simulated boards (microbit-simulator.js)
+//
+// Run with npm test (node --test).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FourMicrobitController = require('../microbit-controller');
+const { MicrobitSimulator } = require('../microbit-simulator');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('disconnect', () => {
+    it('leaves no port open when it comes in the middle of startup', async () => {
+        const simulator = new MicrobitSimulator({
+            devices: [1, 2, 3].map(id => ({ path: `/dev/sim-button-${id}`, serialNumber: `SIM000${id}`, role: 'button', id }))
+        });
+        const controller = new FourMicrobitController({ SerialPort: simulator.SerialPort });
+
+        await wait(100);
+        controller.disconnect();
+        await controller.startup;
+        await wait(1500);
+
+        assert.equal(controller.connections.size, 0);
+        assert.equal(controller.portWatchInterval, null);
+        assert.equal(controller.reconnectTimers.size, 0);
+        simulator.devices.forEach(device => assert.equal(device.port, null, `${device.path} is still open`));
+        simulator.stop();
+    });
+});
@@ -0,0 +1,105 @@
+// player-profiles.test.js - Checking and storing player profiles, and that a change which
+// can't be written leaves them as they were
+//
+// Run with npm test (node --test).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlayerProfiles = require('../player-profiles');
+
+describe('classes', () => {
+    it('stores the class trimmed, or null when there is none', () => {
+        const profiles = new PlayerProfiles();
+        assert.equal(profiles.create({ name: 'sam', classGroup: ' 7B ' }).player.classGroup, '7B');
+        assert.equal(profiles.create({ name: 'ali' }).player.classGroup, null);
+        assert.equal(profiles.create({ name: 'jo', classGroup: null }).player.classGroup, null);
+    });
+
+    it('refuses a class that is not a name', () => {
+        const profiles = new PlayerProfiles();
+        [42, '', '   ', { name: '7B' }, ['7B'], true].forEach(classGroup => {
+            const result = profiles.create({ name: 'sam', classGroup });
+            assert.equal(result.success, false);
+            assert.match(result.error, /A class must be a name/);
+        });
+        assert.equal(profiles.list().length, 0);
+    });
+
+    it('treats "7B " and "7B" as the same class', () => {
+        const profiles = new PlayerProfiles();
+        profiles.create({ name: 'sam', classGroup: '7B' });
+        assert.equal(profiles.create({ name: 'SAM', classGroup: '7B ' }).success, false);
+        assert.equal(profiles.create({ name: 'SAM', classGroup: '8C' }).success, true);
+    });
+
+    it('checks and trims a class changed by update', () => {
+        const profiles = new PlayerProfiles();
+        const { player } = profiles.create({ name: 'sam', classGroup: '7B' });
+        assert.equal(profiles.update(player.id, { classGroup: 7 }).success, false);
+        assert.equal(profiles.get(player.id).classGroup, '7B');
+        assert.equal(profiles.update(player.id, { classGroup: ' 8C' }).player.classGroup, '8C');
+        assert.equal(profiles.update(player.id, { classGroup: null }).player.classGroup, null);
+    });
+});
+
+// Profiles with one player, whose file has then turned into a folder - every write fails
+function unwritableProfiles() {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'player-profiles-'));
+    const filePath = path.join(folder, 'players.json');
+    const profiles = new PlayerProfiles(filePath);
+    const { player } = profiles.create({ name: 'sam', avatar: '🐼', classGroup: '7B' });
+    fs.rmSync(filePath);
+    fs.mkdirSync(filePath);
+    return { profiles, player, cleanup: () => fs.rmSync(folder, { recursive: true, force: true }) };
+}
+
+describe('saving', () => {
+    it('writes every change and reads it back', () => {
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'player-profiles-'));
+        const filePath = path.join(folder, 'players.json');
+        try {
+            const profiles = new PlayerProfiles(filePath);
+            const sam = profiles.create({ name: 'sam', classGroup: '7B' }).player;
+            const ali = profiles.create({ name: 'ali' }).player;
+            profiles.update(sam.id, { avatar: '🐸' });
+            assert.equal(profiles.touch(sam.id), true);
+            assert.equal(profiles.remove(ali.id), true);
+
+            const reloaded = new PlayerProfiles(filePath);
+            assert.equal(reloaded.get(ali.id), null);
+            assert.equal(reloaded.get(sam.id).avatar, '🐸');
+            assert.ok(reloaded.get(sam.id).lastPlayedAt);
+        } finally {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps nothing that could not be saved', () => {
+        const { profiles, player, cleanup } = unwritableProfiles();
+        try {
+            const created = profiles.create({ name: 'ali' });
+            assert.equal(created.success, false);
+            assert.match(created.error, /Could not save/);
+            assert.equal(profiles.list().length, 1);
+
+            assert.equal(profiles.update(player.id, { name: 'jo', avatar: '🐸' }).success, false);
+            assert.equal(profiles.touch(player.id), false);
+            assert.deepEqual(profiles.get(player.id), player);
+        } finally {
+            cleanup();
+        }
+    });
+
+    it('still knows a player it could not remove on disk', () => {
+        const { profiles, player, cleanup } = unwritableProfiles();
+        try {
+            assert.equal(profiles.remove(player.id), false);
+            assert.equal(profiles.get(player.id).name, 'SAM');
+        } finally {
+            cleanup();
+        }
+    });
+});
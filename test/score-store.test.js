@@ -0,0 +1,129 @@
+// score-store.test.js - Periods, queries and boards over a temporary scores.jsonl, on a fixed clock
+//
+// Run with npm test (node --test).
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScoreStore, periodRange } = require('../score-store');
+const { normalizeTerms } = require('../school-terms');
+
+// Wednesday 15 May 2024, midday local time
+const NOW = new Date(2024, 4, 15, 12, 0, 0);
+const daysAgo = (days, hour = 10) => new Date(2024, 4, 15 - days, hour).toISOString();
+
+// In the order they were played, as the log is appended
+const PLAYS = [
+    { game: 'pong', player: 'Sam', score: 800, playedAt: new Date(2024, 0, 10).toISOString() },
+    { game: 'pong', player: 'Ali', score: 700, playedAt: daysAgo(20) },         // 25 April
+    { game: 'pong', player: 'Ali', score: 500, playedAt: daysAgo(3) },          // Sunday 12 May - last week
+    { game: 'pong', player: 'Jo', playerId: 'p-jo', score: 400, playedAt: daysAgo(2), classGroup: '7B' },
+    { game: 'pong', player: 'sam ', score: 500, playedAt: daysAgo(1) },
+    { game: 'pong', player: 'Sam', score: 300, playedAt: daysAgo(0) },
+    { game: 'pong', player: null, score: 900, playedAt: daysAgo(0) },
+    { game: 'flappybird', player: 'Sam', score: 50, playedAt: daysAgo(0) }
+];
+
+describe('periodRange', () => {
+    it('starts today at local midnight', () => {
+        assert.deepEqual(periodRange('today', NOW), { since: new Date(2024, 4, 15), until: null });
+    });
+
+    it('starts the week on Monday, Sunday included', () => {
+        assert.deepEqual(periodRange('week', NOW).since, new Date(2024, 4, 13));
+        assert.deepEqual(periodRange('week', new Date(2024, 4, 19, 18)).since, new Date(2024, 4, 13));
+        assert.deepEqual(periodRange('week', new Date(2024, 4, 20, 8)).since, new Date(2024, 4, 20));
+    });
+
+    it('starts the month on the 1st', () => {
+        assert.deepEqual(periodRange('month', NOW), { since: new Date(2024, 4, 1), until: null });
+    });
+
+    it('uses the built-in terms, or the school\'s own', () => {
+        assert.deepEqual(periodRange('term', NOW), { since: new Date(2024, 3, 1), until: new Date(2024, 8, 1) });
+
+        const terms = normalizeTerms({ terms: [
+            { name: 'Spring 2024', start: '2024-01-08', end: '2024-03-28' },
+            { name: 'Summer 2024', start: '2024-04-15', end: '2024-07-19' }
+        ] });
+        assert.deepEqual(periodRange('term', NOW, terms), { since: new Date(2024, 3, 15), until: new Date(2024, 6, 20) });
+    });
+
+    it('has no limits for all, and refuses a period it does not know', () => {
+        assert.deepEqual(periodRange('all', NOW), { since: null, until: null });
+        assert.deepEqual(periodRange(undefined, NOW), { since: null, until: null });
+        assert.throws(() => periodRange('year', NOW), /Unknown period "year"/);
+    });
+});
+
+describe('ScoreStore', () => {
+    let folder;
+    let store;
+
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'score-store-'));
+    });
+
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: NOW });
+        mock.method(console, 'log', () => {});
+        const file = path.join(folder, `scores-${Math.random().toString(36).slice(2)}.jsonl`);
+        fs.writeFileSync(file, PLAYS.map(play => JSON.stringify(play)).join('\n') + '\n');
+        store = new ScoreStore(file);
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('filters plays by period, newest first', () => {
+        const scores = (period) => store.query({ game: 'pong', period }).map(play => play.score);
+        assert.deepEqual(scores('today'), [900, 300]);
+        assert.deepEqual(scores('week'), [900, 300, 500, 400]);
+        assert.deepEqual(scores('month'), [900, 300, 500, 400, 500]);
+        assert.deepEqual(scores('term'), [900, 300, 500, 400, 500, 700]);
+        assert.equal(scores('all').length, 7);
+    });
+
+    it('takes since and until, and refuses ones that are not dates', () => {
+        const plays = store.query({ game: 'pong', since: daysAgo(3, 0), until: new Date(2024, 4, 14) });
+        assert.deepEqual(plays.map(play => play.score), [400, 500]);
+
+        assert.throws(() => store.query({ since: 'last tuesday' }), /"since" must be a date/);
+        assert.throws(() => store.query({ until: {} }), /"until" must be a date/);
+        assert.throws(() => store.history({ since: 12 }), /"since" must be a date/);
+    });
+
+    it('ranks named plays, earliest first on a tie', () => {
+        const top = store.top('pong', { period: 'all', limit: 3 });
+        assert.deepEqual(top.map(play => [play.player, play.score]), [['Sam', 800], ['Ali', 700], ['Ali', 500]]);
+        assert.ok(store.top('pong').every(play => play.player));
+    });
+
+    it('keeps one play per player with bestPerPlayer', () => {
+        const top = store.top('pong', { period: 'week', bestPerPlayer: true });
+        assert.deepEqual(top.map(play => [play.player.trim(), play.score]), [['sam', 500], ['Jo', 400]]);
+    });
+
+    it('finds a personal best by name or by profile', () => {
+        assert.equal(store.personalBest('pong', 'SAM').score, 800);
+        assert.equal(store.personalBest('pong', 'Sam', { period: 'today' }).score, 300);
+        assert.equal(store.personalBest('pong', null, { playerId: 'p-jo' }).score, 400);
+        assert.equal(store.personalBest('pong', 'Nobody'), null);
+        assert.equal(store.personalBest('pong', '  '), null);
+    });
+
+    it('stamps a recorded play with its own id and the time now', () => {
+        const play = store.record({ game: 'pong', player: 'Kim', score: 10, id: 'mine', playedAt: '2001-01-01T00:00:00.000Z' });
+        assert.notEqual(play.id, 'mine');
+        assert.equal(play.playedAt, NOW.toISOString());
+        assert.equal(new ScoreStore(store.filePath).query({ player: 'kim' }).length, 1);
+    });
+});
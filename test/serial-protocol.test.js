@@ -0,0 +1,169 @@
+// serial-protocol.test.js - The line parser on its own: v1 lines, v2 frames, checksums and sequence numbers
+//
+// Run with npm test (node --test).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProtocolParser, parseLine, encodeFrame, checksum } = require('../serial-protocol');
+
+describe('version 1 lines', () => {
+    it('reads button lines', () => {
+        assert.deepEqual(parseLine('BUTTON_2_READY'), { version: 1, type: 'button-ready', button: 2, raw: 'BUTTON_2_READY' });
+        assert.equal(parseLine('BUTTON_3_PRESSED').type, 'button-pressed');
+        assert.equal(parseLine('BUTTON_3_RELEASED').button, 3);
+    });
+
+    it('reads LED confirmations', () => {
+        const message = parseLine('LED_1_TOGGLE_CONFIRMED');
+        assert.equal(message.type, 'led-confirmed');
+        assert.equal(message.button, 1);
+        assert.equal(message.state, 'TOGGLE');
+    });
+
+    it('reads bike revolutions', () => {
+        const message = parseLine('BIKE_REV:12:85:40321');
+        assert.equal(message.type, 'bike-rev');
+        assert.equal(message.revolutions, 12);
+        assert.equal(message.rpm, 85);
+        assert.equal(message.timestamp, 40321);
+        assert.equal(parseLine('BIKE SENSOR READY').type, 'bike-ready');
+        assert.equal(parseLine('BIKE_REV:-1:85:40321').type, 'malformed');
+    });
+
+    it('reads sensors, wire buzzer contacts and firmware versions', () => {
+        const tilt = parseLine('SENSOR:TILT:-120:45:1010');
+        assert.equal(tilt.sensor, 'tilt');
+        assert.deepEqual([tilt.x, tilt.y, tilt.z], [-120, 45, 1010]);
+        assert.equal(parseLine('SENSOR:COMPASS:400').type, 'malformed');
+        assert.equal(parseLine('SENSOR:SONAR:12').type, 'unknown');
+        assert.equal(parseLine('START_PAD').contact, 'start-pad');
+        assert.equal(parseLine('FIRMWARE:2.1.0').version, '2.1.0');
+    });
+
+    it('never mistakes debug prints for input', () => {
+        assert.equal(parseLine('DEBUG: BUTTON_1_PRESSED twice').type, 'unknown');
+        assert.equal(parseLine('BUTTON_X_PRESSED').type, 'unknown');
+        assert.equal(parseLine('   ').type, 'malformed');
+    });
+});
+
+describe('version 2 frames', () => {
+    it('round-trips frames built by encodeFrame', () => {
+        const button = parseLine(encodeFrame('BTN', 7, [4, 'DOWN']));
+        assert.equal(button.version, 2);
+        assert.equal(button.type, 'button-pressed');
+        assert.equal(button.button, 4);
+        assert.equal(button.seq, 7);
+
+        const bike = parseLine(encodeFrame('BIKE', 8, [3, 90, 1200]));
+        assert.equal(bike.type, 'bike-rev');
+        assert.equal(bike.revolutions, 3);
+
+        const wire = parseLine(encodeFrame('WIRE', 9, ['BUZZ']));
+        assert.equal(wire.contact, 'buzz');
+    });
+
+    it('reads the brightness and blink a board echoes for LED_SET', () => {
+        const led = parseLine(encodeFrame('LED', 3, [2, 'ON', 120, 500]));
+        assert.equal(led.type, 'led-confirmed');
+        assert.equal(led.state, 'ON');
+        assert.equal(led.brightness, 120);
+        assert.equal(led.blink, 500);
+        assert.equal(parseLine(encodeFrame('LED', 3, [2, 'ON'])).brightness, undefined);
+        assert.equal(parseLine(encodeFrame('LED', 3, [2, 'ON', 120])).type, 'malformed');
+        assert.equal(parseLine(encodeFrame('LED', 3, [2, 'ON', 'dim', 0])).type, 'malformed');
+    });
+
+    it('reads HELLO with its role, id and firmware version', () => {
+        const hello = parseLine(encodeFrame('HELLO', 0, [2, 'BIKE', 3, '2.0.0']));
+        assert.equal(hello.type, 'hello');
+        assert.equal(hello.protocolVersion, 2);
+        assert.equal(hello.role, 'bike');
+        assert.equal(hello.id, 3);
+        assert.equal(hello.firmwareVersion, '2.0.0');
+        assert.equal(parseLine(encodeFrame('HELLO', 0, [2, 'BUZZER'])).id, null);
+    });
+
+    it('refuses a HELLO whose id is not a number', () => {
+        const hello = parseLine(encodeFrame('HELLO', 0, [2, 'BUTTON', 'two']));
+        assert.equal(hello.type, 'malformed');
+        assert.equal(parseLine(encodeFrame('HELLO', 0, [2, 'BUTTON', '1e3'])).type, 'malformed');
+    });
+
+    it('refuses bad frames and unknown frame types', () => {
+        assert.equal(parseLine(encodeFrame('BTN', 1, ['one', 'DOWN'])).type, 'malformed');
+        assert.equal(parseLine(encodeFrame('BTN', 300, [1, 'DOWN'])).type, 'malformed');
+        assert.equal(parseLine(encodeFrame('PING', 1, [])).type, 'unknown');
+        assert.equal(parseLine('$BTN,1,1,DOWN').type, 'malformed');
+    });
+});
+
+describe('checksums', () => {
+    it('is the XOR of the body as two hex digits', () => {
+        assert.equal(checksum('BTN,1,1,DOWN'), encodeFrame('BTN', 1, [1, 'DOWN']).split('*')[1]);
+    });
+
+    it('refuses a frame whose checksum does not match', () => {
+        const frame = encodeFrame('BTN', 1, [1, 'DOWN']);
+        const corrupted = frame.replace('BTN,1,1', 'BTN,1,2');
+        const message = parseLine(corrupted);
+        assert.equal(message.type, 'malformed');
+        assert.match(message.reason, /Checksum mismatch/);
+    });
+
+    it('accepts lower-case checksum digits', () => {
+        const [body, sum] = encodeFrame('LED', 2, [1, 'ON']).split('*');
+        assert.equal(parseLine(`${body}*${sum.toLowerCase()}`).type, 'led-confirmed');
+    });
+});
+
+describe('sequence numbers', () => {
+    const frame = (seq) => encodeFrame('BTN', seq, [1, 'DOWN']);
+
+    it('passes frames in order untouched', () => {
+        const parser = new ProtocolParser();
+        [0, 1, 2].forEach(seq => {
+            const message = parser.parse(frame(seq));
+            assert.equal(message.missed, undefined);
+            assert.equal(message.duplicate, undefined);
+        });
+        assert.equal(parser.droppedFrames, 0);
+        assert.equal(parser.protocolVersion, 2);
+    });
+
+    it('counts the frames missing in a gap', () => {
+        const parser = new ProtocolParser();
+        parser.parse(frame(10));
+        assert.equal(parser.parse(frame(14)).missed, 3);
+        assert.equal(parser.droppedFrames, 3);
+    });
+
+    it('marks a repeated frame as a duplicate', () => {
+        const parser = new ProtocolParser();
+        parser.parse(frame(5));
+        assert.equal(parser.parse(frame(5)).duplicate, true);
+        assert.equal(parser.parse(frame(6)).missed, undefined);
+    });
+
+    it('wraps from 255 to 0', () => {
+        const parser = new ProtocolParser();
+        parser.parse(frame(255));
+        const message = parser.parse(frame(0));
+        assert.equal(message.missed, undefined);
+        assert.equal(parser.parse(frame(2)).missed, 1);
+    });
+
+    it('starts counting again from a HELLO', () => {
+        const parser = new ProtocolParser();
+        parser.parse(frame(40));
+        parser.parse(encodeFrame('HELLO', 0, [2, 'BUTTON', 1]));
+        assert.equal(parser.parse(frame(1)).missed, undefined);
+    });
+
+    it('leaves version 1 lines alone', () => {
+        const parser = new ProtocolParser();
+        const message = parser.parse('BUTTON_1_PRESSED');
+        assert.equal(message.seq, undefined);
+        assert.equal(parser.protocolVersion, 1);
+    });
+});